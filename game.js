@@ -2,20 +2,50 @@ import fs from 'fs';
 import readline from 'readline';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { createGame, describeCondition, readStress } from './src/engine.js';
+import { parseSmartInput, parseDuration, DEFAULT_TIME_SECONDS } from './src/parser.js';
+import { createRng, randomSeed, dailyKey, dailySeed } from './src/rng.js';
+import { calculateScore, scoreRun, scoreLevels, SCORE_PARTS, LEVEL_PARTS } from './src/scoring.js';
+import { createManualClock, createRecorder, resumeRecorder, loadReplay, summarizeRun, verifyReplay, replayCommand } from './src/replay.js';
+import { saveFileFor, writeSave, loadSave, deleteSave } from './src/savegame.js';
+import { runScript } from './src/script.js';
+import { createScreen } from './src/screen.js';
+import { STRATEGIES } from './src/strategies.js';
+import { simulate, FAILURE_OUTCOMES } from './src/simulate.js';
+import {
+    LEGACY_PLAYER_ID, loadProfiles, saveProfiles, listProfiles, findProfile,
+    createProfile, importProfile, renameProfile, deleteProfile
+} from './src/profiles.js';
+import { createRunTracker, buildRunRecord, appendRun, loadHistory, deletePlayerHistory } from './src/history.js';
+import { computeStats } from './src/stats.js';
+import { compareSplits, toSplitSeconds } from './src/splits.js';
+import { BOTTLE_TYPES } from './src/bottles.js';
+import { splitSequence, splitCommandWord, suggestCommands } from './src/commands.js';
+import { resolveConfig, loadConfigFile, difficultyKey, DEFAULT_DIFFICULTY } from './src/difficulty.js';
+import { CATALOGS, DEFAULT_LANGUAGE, resolveLanguage, createTranslator, checkCatalogs } from './src/i18n.js';
+import { ACHIEVEMENTS, ACHIEVEMENT_LIMITS, createAchievementTracker } from './src/achievements.js';
+import { loadPack, validatePack, packConfig } from './src/packs.js';
+import { debriefReplay } from './src/debrief.js';
+import {
+    defaultDataDir, prepareDataDir, loadScores, saveScores, writeFileAtomic,
+    exportScores, readExport, mergeScores, remapPlayers
+} from './src/storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // --- CONFIGURATION & CONSTANTS ---
-const TOTAL_LEVELS = 10;
-const MAX_TIME_SECONDS = 300; // 5 Minutes total
-const SCORE_FILE = path.join(__dirname, 'personalscores.json');
-const DEFAULT_PLAYER_ID = 'player_default'; // Default player ID
+const TWIST_FRAMES = 10; // Cap animation when a twist is applied
+const TWIST_FRAME_MS = 40;
+// Player data files, in the data directory (see PLAYER DATA below)
+const DATA_FILES = ['personalscores.json', 'profiles.json', 'history.jsonl', 'saves', 'replays'];
 
 // ANSI Colors for Visuals (No external libraries needed)
 const C = {
     reset: "\x1b[0m",
     bright: "\x1b[1m",
+    black: "\x1b[30m",
     red: "\x1b[31m",
     green: "\x1b[32m",
     yellow: "\x1b[33m",
@@ -27,37 +57,304 @@ const C = {
     bgGreen: "\x1b[42m",
 };
 
-// --- STATE MANAGEMENT ---
-const state = {
-    level: 1,
-    energy: 100, // Percentage
-    startTime: 0, // Will be set when actual game starts, not in intro
-    endTime: 0,
-    remainingTime: MAX_TIME_SECONDS, // Tracks remaining time (decremented per action)
-    isGameOver: false,
-    message: "Welcome to the paradox. Choose wisely.",
-    history: [], // To show last few moves
-    playerId: DEFAULT_PLAYER_ID, // Current player's ID
-    lastRecoveryTick: 0 // For tracking energy recovery
+// Glyphs beyond plain ASCII, swapped for ASCII_GLYPHS with --ascii
+const G = {
+    block: "█",
+    rule: "─",
+    doubleRule: "═",
+    pointer: "▶",
+    up: "▲",
+    down: "▼",
+    check: "✓",
+    times: "×",
+    arrow: "→",
+    star: "⭐",
+    newBest: "🌟",
+    party: "🎉",
+    muscle: "💪",
+    wrench: "🔧",
+    bolt: "⚡",
+    clock: "⏱",
+    drop: "🩸",
+    boom: "💥",
+    unlock: "🔓"
+};
+
+const ASCII_GLYPHS = {
+    block: "#",
+    rule: "-",
+    doubleRule: "=",
+    pointer: ">",
+    up: "^",
+    down: "v",
+    check: "+",
+    times: "x",
+    arrow: "->",
+    star: "*",
+    newBest: "*",
+    party: "*",
+    muscle: "!",
+    wrench: "*",
+    bolt: "*",
+    clock: "*",
+    drop: "*",
+    boom: "*",
+    unlock: "*"
 };
 
-// Bottle Physics (Hidden from player mostly)
-let bottle = {
-    lockedDir: 'CW', // or 'ACW'
-    requiredForce: 0,
-    maxCapacity: 0,  // If force > this, bottle breaks
-    currentTightness: 0, // Errors add to this
-    isOpen: false
+// --- COMMAND LINE OPTIONS ---
+const COMMANDS = ['stats', 'simulate', 'check-lang', 'validate-pack', 'debrief', 'export', 'import'];
+
+let args;
+let command;
+let commandArg; // validate-pack <file>, debrief [replay file], export [file], import <file>
+try {
+    ({ values: args, positionals: [command, commandArg] } = parseArgs({
+        allowPositionals: true,
+        options: {
+            player: { type: 'string' },
+            seed: { type: 'string' },
+            daily: { type: 'boolean', default: false },
+            replay: { type: 'string' },
+            speed: { type: 'string', default: '1' },
+            verify: { type: 'boolean', default: false },
+            last: { type: 'string', default: '10' },
+            difficulty: { type: 'string' },
+            config: { type: 'string' },
+            pack: { type: 'string' },
+            'time-model': { type: 'string' },
+            mode: { type: 'string' },
+            reveal: { type: 'boolean', default: false },
+            resume: { type: 'boolean', default: false },
+            script: { type: 'string' },
+            strategy: { type: 'string', default: 'cautious' },
+            games: { type: 'string', default: '1000' },
+            'no-color': { type: 'boolean', default: false },
+            ascii: { type: 'boolean', default: false },
+            narrate: { type: 'boolean', default: false },
+            lang: { type: 'string' },
+            'data-dir': { type: 'string' }
+        }
+    }));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+// --- DISPLAY ---
+// Narrated output reads the run out as plain sentences, one after another - for screen
+// readers and dumb terminals, which can't do anything else. It implies no colour and ASCII.
+const NARRATE = args.narrate || process.env.TERM === 'dumb';
+const ASCII_ONLY = NARRATE || args.ascii;
+if (NARRATE || args['no-color'] || (process.env.NO_COLOR ?? '') !== '') {
+    for (const key of Object.keys(C)) C[key] = "";
+}
+if (ASCII_ONLY) Object.assign(G, ASCII_GLYPHS);
+
+// --- LANGUAGE ---
+// Everything the player reads goes through t() (see i18n.js). Command line errors and
+// the developer tools (simulate, --verify, --script) stay English.
+const LANGUAGE = resolveLanguage(args.lang);
+if (LANGUAGE === null) {
+    console.error(`Unknown language "${args.lang}". Available: ${Object.keys(CATALOGS).join(', ')}`);
+    process.exit(1);
+}
+const t = createTranslator(LANGUAGE);
+
+if (command !== undefined && !COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}". Available: ${COMMANDS.join(', ')}`);
+    process.exit(1);
+}
+
+if (args.daily && args.seed !== undefined) {
+    console.error("Use either --seed or --daily, not both.");
+    process.exit(1);
+}
+
+if (args.daily && (args.config !== undefined || args.pack !== undefined || args['time-model'] !== undefined || args.mode !== undefined || (args.difficulty ?? DEFAULT_DIFFICULTY) !== DEFAULT_DIFFICULTY)) {
+    console.error(`The daily challenge is always played on ${DEFAULT_DIFFICULTY} difficulty, without a config file, level pack, time model or mode.`);
+    process.exit(1);
+}
+
+if (args.resume && ['seed', 'daily', 'replay', 'difficulty', 'config', 'pack', 'time-model', 'mode'].some(name => args[name] !== undefined && args[name] !== false)) {
+    console.error("--resume continues a saved run as it was - only --player can go with it.");
+    process.exit(1);
+}
+
+if (args.script !== undefined && (args.replay || args.resume || command !== undefined)) {
+    console.error("--script plays a new run - it can't be combined with --replay, --resume or a command.");
+    process.exit(1);
+}
+
+if (args.verify && !args.replay) {
+    console.error("--verify needs a replay file: node game.js --replay <file> --verify");
+    process.exit(1);
+}
+
+const playbackSpeed = Number(args.speed);
+if (!(playbackSpeed > 0)) {
+    console.error(`Invalid --speed "${args.speed}". Use a number above 0, e.g. --speed 4`);
+    process.exit(1);
+}
+
+// --- PLAYER DATA ---
+// Scores, profiles, history, saved runs and replays live in a per-user data directory.
+// Files an older version kept next to game.js are copied in on first use (see storage.js).
+const DATA_DIR = args['data-dir'] !== undefined ? path.resolve(args['data-dir']) : defaultDataDir();
+const SCORE_FILE = path.join(DATA_DIR, 'personalscores.json');
+const PROFILE_FILE = path.join(DATA_DIR, 'profiles.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const SAVE_DIR = path.join(DATA_DIR, 'saves'); // One saved run per player, see --resume
+const REPLAY_DIR = path.join(DATA_DIR, 'replays');
+// Only what reads or writes player data sets the directory up; simulate, check-lang,
+// validate-pack, --verify and --script never touch it
+const USES_DATA = args.script === undefined && !args.verify && !['simulate', 'check-lang', 'validate-pack'].includes(command);
+if (USES_DATA) {
+    try {
+        prepareDataDir(DATA_DIR, __dirname, DATA_FILES);
+        loadScores(SCORE_FILE); // Migrates an older score file now, and refuses one from a newer game
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+let replay = null;
+if (args.replay) {
+    try {
+        replay = loadReplay(args.replay);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+// --resume: the player's saved run decides the seed, config and state
+let saved = null;
+let saveFile = null;
+if (args.resume) {
+    const data = loadProfiles(PROFILE_FILE);
+    const profile = args.player !== undefined ? findProfile(data, args.player) : data.profiles[data.lastUsed];
+    if (!profile) {
+        console.error(args.player !== undefined ? `No profile named "${args.player}".` : "No profile selected yet. Use --player <name>.");
+        process.exit(1);
+    }
+    saveFile = saveFileFor(SAVE_DIR, profile.id);
+    if (!fs.existsSync(saveFile)) {
+        console.error(`${profile.name} has no saved run. Type 'save' during a run to save it.`);
+        process.exit(1);
+    }
+    try {
+        saved = loadSave(saveFile);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+// Difficulty preset plus config file overrides; replays and saved runs bring their own config
+let gameConfig = replay ? replay.config : (saved ? saved.config : null);
+if (!gameConfig) {
+    try {
+        const overrides = args.config !== undefined ? loadConfigFile(args.config) : {};
+        gameConfig = resolveConfig({ difficulty: args.difficulty ?? null, timeModel: args['time-model'] ?? null, mode: args.mode ?? null, overrides });
+        // validate-pack reports on the pack instead of refusing to start
+        if (args.pack !== undefined && command !== 'validate-pack') gameConfig = packConfig(loadPack(args.pack), gameConfig);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+// The seed fully decides all bottles; every run gets one so it can be reproduced
+const recorded = replay || saved;
+const run = recorded
+    ? { daily: recorded.daily, seed: recorded.seed }
+    : {
+        daily: args.daily ? dailyKey() : null, // Date of the daily challenge, if playing one
+        seed: args.daily ? dailySeed() : (args.seed ?? randomSeed())
+    };
+run.unverified = saved ? saved.unverified : false; // Continues a save changed outside the game - nothing is recorded
+
+// --- STATE MANAGEMENT ---
+// The engine owns the game rules; the CLI only keeps what it shows on screen
+// Replays drive the engine with a manual clock set to each recorded move's moment
+// A saved run continues from its state, with the random source where it left off
+const replayClock = replay ? createManualClock() : null;
+const rng = createRng(run.seed);
+if (saved) rng.setPosition(saved.rngPosition);
+const game = createGame({
+    config: gameConfig,
+    clock: replayClock ? replayClock.now : undefined,
+    random: rng,
+    state: saved ? saved.state : undefined
+});
+const { totalLevels: TOTAL_LEVELS, maxTimeSeconds: MAX_TIME_SECONDS } = game.config;
+const TIME_MODEL = `timeModels.${game.config.timeModel}`; // Catalog key for the time model's HUD and rules text
+const MODE = game.config.mode;
+const ENDLESS = MODE === 'endless'; // No last level - TOTAL_LEVELS only sizes the splits column
+const ZEN = MODE === 'zen'; // No clock to show or read out
+const REVEAL = ZEN && args.reveal; // Zen: show the hidden bottle values once each level is open
+const TRACK_ACHIEVEMENTS = !ZEN && !ENDLESS; // Achievements are for winning a run against the clock
+const POOL_SECONDS = MODE === 'timeAttack' ? Math.floor(MAX_TIME_SECONDS / TOTAL_LEVELS) : MAX_TIME_SECONDS; // What the time remaining counts down from
+
+if (args.reveal && !ZEN) {
+    console.error("--reveal shows the hidden bottle values in zen mode only: --mode zen --reveal");
+    process.exit(1);
+}
+run.difficulty = difficultyKey(game.config); // Scores and history are only compared within one difficulty
+
+const ui = {
+    message: t(saved ? 'hud.welcomeBack' : 'hud.welcome'),
+    history: saved ? saved.log.history : [], // Every log line of the run
+    historyStart: saved ? saved.log.historyStart : 0, // Where the current level's lines begin - the HUD shows the last few
+    playerId: recorded ? recorded.playerId : null, // Current player's profile ID - scores are keyed by it
+    playerName: recorded ? recorded.playerName || recorded.playerId : null,
+    speed: replay ? playbackSpeed : 1, // Pauses are divided by this during playback
+    personalBest: null, // Record this run is compared against in the splits column
+    recorder: null, // Writes the replay file during a live run
+    tracker: createRunTracker(saved ? saved.tracker : null), // Collects moves and energy for the run history
+    achievements: null, // Achievement tracker during a live run - replays and scripts earn nothing
+    ownedAchievements: {}, // What the player had unlocked before this run, so only new ones are announced
+    ticker: null, // Redraws the HUD every second during a live run
+    capTurn: null, // { direction, frame } while the cap animation plays
+    spoken: null, // Narrated mode: what was last read out (see narrateInterface)
+    prompting: false, // Waiting at the Action prompt - a resize puts it back
+    wake: null, // Ends the wait for input early, when the real-time clock runs out
+    interrupted: false, // A Ctrl+C prompt is open
+    holdRender: false // A message is held on screen - the ticker doesn't redraw over it
 };
 
 // --- INPUT HANDLER ---
-const rl = readline.createInterface({
+// Scripted runs read their own input and never prompt
+const rl = args.script === undefined ? readline.createInterface({
     input: process.stdin,
     output: process.stdout
-});
+}) : null;
 
 const ask = (query) => new Promise((resolve) => rl.question(query, resolve));
 
+/**
+ * Whether an answer is a catalog word ('common.yesWord', ...) or its first letter
+ * Case and accents don't matter, so 'Si' answers 'sí'
+ */
+function answerIs(answer, key) {
+    const plain = (text) => text.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const word = plain(t(key));
+    const given = plain(answer);
+    return given !== "" && (given === word || given === word[0]);
+}
+
+// The HUD only rewrites what changed, above a fixed input line (see screen.js)
+const screen = createScreen({
+    interactive: !NARRATE && Boolean(process.stdout.isTTY),
+    onResize: () => {
+        if (!ui.prompting) return;
+        screen.focusInput();
+        rl.prompt(true); // Put back what the player was typing
+    }
+});
+
 // --- HELPER FUNCTIONS ---
 
 function sleep(ms) {
@@ -65,10 +362,19 @@ function sleep(ms) {
 }
 
 function clearScreen() {
-    process.stdout.write('\x1b[H\x1b[J');
+    if (NARRATE) {
+        console.log(""); // Narrated output only ever adds lines
+        return;
+    }
+    screen.clear();
 }
 
 async function printSlowly(text, delay = 30) {
+    // A screen reader would read the text out a letter at a time
+    if (NARRATE) {
+        process.stdout.write(text);
+        return;
+    }
     return new Promise((resolve) => {
         let i = 0;
         const interval = setInterval(() => {
@@ -84,258 +390,373 @@ async function printSlowly(text, delay = 30) {
 }
 
 /**
- * Load player's personal best scores from JSON file
- * Returns object mapping playerId to their best score object
- * Initializes empty file if not present
+ * Load every personal best and achievement: { bests, daily, achievements, unverified }
+ * (see storage.js for the file and what happens when it is damaged)
  */
 function loadPersonalBests() {
-    if (!fs.existsSync(SCORE_FILE)) {
-        // Initialize with empty object if file doesn't exist
-        try {
-            fs.writeFileSync(SCORE_FILE, JSON.stringify({}, null, 2));
-            return {};
-        } catch (e) {
-            console.error("Error creating scores file:", e.message);
-            return {};
-        }
-    }
-    try {
-        const data = JSON.parse(fs.readFileSync(SCORE_FILE, 'utf8'));
-        return typeof data === 'object' && !Array.isArray(data) ? data : {};
-    } catch (e) {
-        console.error("Error reading scores:", e.message);
-        return {};
-    }
+    return loadScores(SCORE_FILE);
 }
 
 /**
  * Save or update a player's personal best score
- * Time-based scoring: Lesser time = Higher score
- * Score calculation: (MAX_TIME_SECONDS - timeUsed) * 100 + bonus points
+ * scored is the run's score from scoreRun: { score, ...parts } - its parts are kept with the record
+ * Daily challenge runs go to their own per-date table and never touch the normal best
+ * A run that scored nothing sets no record; one marked oldScoring (see storage.js) is
+ * replaced by the next scored run, since the two can't be compared
  */
-function savePersonalBest(playerId, timeUsed, energyRemaining) {
+function savePersonalBest(playerId, scored, timeUsed, energyRemaining, runInfo = {}) {
     const personalBests = loadPersonalBests();
-    
-    // Score Calculation:
-    // Primary: Time-based (faster = higher)
-    // Bonus: Energy remaining adds bonus points
-    const timeScore = (MAX_TIME_SECONDS - timeUsed) * 100;
-    const energyBonus = Math.floor(energyRemaining * 10); // Max +1000 points
-    const totalScore = timeScore + energyBonus;
+    const { score: totalScore, ...parts } = scored;
 
     const newScore = {
         playerId: playerId,
+        difficulty: runInfo.difficulty ?? DEFAULT_DIFFICULTY,
         score: totalScore,
         timeUsed: timeUsed,
         energyRemaining: Math.floor(energyRemaining),
         date: new Date().toISOString().split('T')[0],
         timestamp: new Date().toISOString(),
-        timeScore: timeScore,
-        energyBonus: energyBonus
+        ...parts, // The mode's SCORE_PARTS, and the itemised levels where level points count
+        seed: runInfo.seed ?? null,
+        splits: runInfo.splits || [] // Seconds per level, for live comparison in later runs
     };
 
     // Check if this is better than their previous best
-    const previousBest = personalBests[playerId];
+    const table = getScoreTable(personalBests, runInfo);
+    const replacesOldScoring = Boolean(table[playerId] && table[playerId].oldScoring);
+    const previousBest = replacesOldScoring ? null : table[playerId];
     let isNewPB = true;
     
     if (previousBest && previousBest.score >= totalScore) {
         isNewPB = false;
-        console.log(`\n${C.yellow}Personal best not beaten. Your record: ${previousBest.score} points${C.reset}`);
-        return { newScore, isNewPB, improvement: 0 };
+        console.log(`\n${C.yellow}${t('gameOver.notBeaten', { score: previousBest.score })}${C.reset}`);
+        return { newScore, previousBest, isNewPB, improvement: 0 };
     }
+    // Nothing to beat, and nothing worth keeping - it would only become the splits to race
+    if (totalScore <= 0) return { newScore, previousBest: null, isNewPB: false, improvement: 0 };
 
     const improvement = previousBest ? totalScore - previousBest.score : 0;
-    personalBests[playerId] = newScore;
-    
-    try {
-        fs.writeFileSync(SCORE_FILE, JSON.stringify(personalBests, null, 2));
-        return { newScore, isNewPB, improvement };
-    } catch (e) {
-        console.error("Error saving score:", e.message);
-        return { newScore, isNewPB, improvement };
-    }
+    table[playerId] = newScore;
+    saveScores(SCORE_FILE, personalBests);
+    return { newScore, previousBest: previousBest ?? null, replacesOldScoring, isNewPB, improvement };
+}
+
+/**
+ * The table a run competes in: { playerId: record }
+ * Each difficulty key has its own table; daily challenges (always normal) have one per date
+ */
+function getScoreTable(personalBests, { daily = null, difficulty = DEFAULT_DIFFICULTY }) {
+    const [group, name] = daily ? ['daily', daily] : ['bests', difficulty];
+    return personalBests[group][name] = personalBests[group][name] || {};
 }
 
 /**
  * Get a player's personal best score
+ * Pass a daily challenge date or a difficulty to read that table's best instead
+ */
+function getPersonalBest(playerId, daily = null, difficulty = DEFAULT_DIFFICULTY) {
+    return getScoreTable(loadPersonalBests(), { daily, difficulty })[playerId] || null;
+}
+
+/**
+ * Remove every record a player holds, including daily challenge results
  */
-function getPersonalBest(playerId) {
+function deletePlayerScores(playerId) {
     const personalBests = loadPersonalBests();
-    return personalBests[playerId] || null;
+    delete personalBests.achievements[playerId];
+    for (const group of ['bests', 'daily']) {
+        for (const table of Object.values(personalBests[group])) {
+            delete table[playerId];
+        }
+    }
+    saveScores(SCORE_FILE, personalBests);
 }
 
-function getProgressBar(current, max, width = 20, color = C.green) {
-    const percent = Math.max(0, Math.min(1, current / max));
-    const fill = Math.floor(width * percent);
-    const bar = "█".repeat(fill) + "-".repeat(width - fill);
-    return `${color}[${bar}] ${Math.floor(percent * 100)}%${C.reset}`;
+/**
+ * The achievements a player has unlocked: { achievementId: { date, seed, difficulty } }
+ */
+function getAchievements(playerId) {
+    return loadPersonalBests().achievements[playerId] || {};
 }
 
-function generateBottle(level) {
-    // Difficulty scales with level
-    const baseForce = 20 + (level * 5); 
-    const randomness = Math.floor(Math.random() * 20);
-    
-    bottle.lockedDir = Math.random() > 0.5 ? 'CW' : 'ACW';
-    bottle.requiredForce = baseForce + randomness;
-    
-    // Twist: Capacity gets closer to required force as levels go up (Riskier)
-    // Level 1: Capacity is 200% of required. Level 10: Capacity is 120% of required.
-    const safetyMargin = 2.0 - (level * 0.08); 
-    bottle.maxCapacity = Math.floor(bottle.requiredForce * safetyMargin);
-    
-    bottle.currentTightness = 0;
-    bottle.isOpen = false;
+/**
+ * Record achievements earned in a run, keeping the first unlock of each
+ * Returns the ids that were not unlocked before
+ */
+function saveAchievements(playerId, ids, runInfo = {}) {
+    const personalBests = loadPersonalBests();
+    const unlocked = personalBests.achievements[playerId] = personalBests.achievements[playerId] || {};
+    const fresh = ids.filter(id => !unlocked[id]);
+    if (fresh.length === 0) return fresh;
+
+    for (const id of fresh) {
+        unlocked[id] = {
+            date: new Date().toISOString().split('T')[0],
+            seed: runInfo.seed ?? null,
+            difficulty: runInfo.difficulty ?? DEFAULT_DIFFICULTY
+        };
+    }
+    saveScores(SCORE_FILE, personalBests);
+    return fresh;
 }
 
-function getTimeElapsed() {
-    if (state.startTime === 0) return 0; // Timer hasn't started yet
-    return Math.floor((Date.now() - state.startTime) / 1000);
+/**
+ * One-line description of the current run's seed for the HUD and end screens
+ */
+function describeRun() {
+    if (game.config.pack) {
+        return t('hud.pack', { name: `${C.magenta}${game.config.pack}${C.reset}`, difficulty: `${C.magenta}${game.config.difficulty}${C.reset}` });
+    }
+    return run.daily
+        ? t('hud.daily', { date: `${C.magenta}${run.daily}${C.reset}`, seed: run.seed })
+        : t('hud.seed', { seed: `${C.magenta}${run.seed}${C.reset}`, difficulty: `${C.magenta}${run.difficulty}${C.reset}` });
 }
 
 /**
- * Format time in MM:SS format
+ * A file path as short as it can be shown: relative to where the game was started
+ * from if it is under there, in full otherwise
  */
-function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+function displayPath(file) {
+    const relative = path.relative(process.cwd(), file);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? file : relative;
 }
 
 /**
- * Smart input parser - detects direction, time, and force
- * from messy, case-insensitive, unordered input
- * 
- * Returns: { direction: 'CW'|'ACW', time: number, force: number, valid: boolean }
+ * Visible width of a string, ignoring ANSI colour codes
  */
-function parseSmartInput(input) {
-    const result = {
-        direction: null,
-        time: null,
-        force: null,
-        valid: false,
-        error: ""
-    };
+function visibleLength(text) {
+    return text.replace(/\x1b\[[0-9;]*m/g, '').length;
+}
 
-    // Convert to uppercase for direction matching, keep original for number extraction
-    const upperInput = input.toUpperCase();
+/**
+ * Catalog labels padded to one width, so the values after them line up in any language
+ */
+function padLabels(keys, gap = 1) {
+    const labels = keys.map(key => t(key));
+    const width = Math.max(...labels.map(label => label.length)) + gap;
+    return labels.map(label => label.padEnd(width));
+}
 
-    // --- DETECT DIRECTION (CW or ACW, case-insensitive) ---
-    if (upperInput.includes('ACW')) {
-        result.direction = 'ACW';
-    } else if (upperInput.includes('CW')) {
-        result.direction = 'CW';
-    } else {
-        result.error = "Direction not found. Use CW or ACW.";
-        return result;
-    }
+/**
+ * How a run ended, in words - unknown outcomes show as they are
+ */
+function outcomeLabel(outcome, translate = t) {
+    const key = `outcomes.${outcome}`;
+    const label = translate(key);
+    return label === key ? outcome : label;
+}
 
-    // --- DETECT TIME (number followed by 'S', case-insensitive) ---
-    // Regex: capture number before 's' or 'S'
-    const timeMatch = input.match(/(\d+)\s*[sS]/);
-    if (timeMatch) {
-        result.time = parseInt(timeMatch[1], 10);
-    } else {
-        result.error = "Time not found. Use format: 20S";
-        return result;
-    }
+function formatSplitDelta(delta) {
+    const color = delta <= 0 ? C.green : C.red;
+    return `${color}${delta <= 0 ? '-' : '+'}${Math.abs(delta).toFixed(1)}${C.reset}`;
+}
 
-    // --- DETECT FORCE (number followed by 'N', case-insensitive) ---
-    // Regex: capture number before 'n' or 'N'
-    const forceMatch = input.match(/(\d+)\s*[nN]/);
-    if (forceMatch) {
-        result.force = parseInt(forceMatch[1], 10);
-    } else {
-        result.error = "Force not found. Use format: 10N";
-        return result;
-    }
+/**
+ * Speedrun-style splits column: each level's time against the personal best's split
+ * Green is ahead of the PB, red is behind; the current level ticks live
+ */
+function getSplitsColumn(state) {
+    const pbSplits = (ui.personalBest && ui.personalBest.splits) || [];
+    const { rows, delta, projectedTime } = compareSplits({
+        splits: state.splits.map(toSplitSeconds),
+        level: state.level,
+        levelElapsed: game.getLevelElapsed(),
+        pbSplits,
+        // Endless runs go past TOTAL_LEVELS; the column then shows the latest levels
+        totalLevels: ENDLESS ? Math.max(TOTAL_LEVELS, state.level) : TOTAL_LEVELS
+    });
 
-    // --- VALIDATION ---
-    if (result.time <= 0) {
-        result.error = "Time must be greater than 0.";
-        return result;
+    const lines = [`${C.bright}${t('hud.splits').padEnd(pbSplits.length ? 16 : 0)}${C.reset}${pbSplits.length ? `${C.cyan}${t('hud.vsPb')}${C.reset}` : ''}`];
+    for (const row of rows.slice(-TOTAL_LEVELS)) {
+        const marker = row.status === 'current' ? `${C.yellow}${G.pointer}${C.reset}` : ' ';
+        const time = row.time === null ? '   -  ' : `${row.time.toFixed(1).padStart(5)}s`;
+        let compare = '';
+        if (row.delta !== null && row.status !== 'upcoming') {
+            compare = formatSplitDelta(row.delta);
+        } else if (row.pb !== null) {
+            compare = `${C.white}(${row.pb.toFixed(1)})${C.reset}`;
+        }
+        lines.push(`${marker}${String(row.level).padStart(2)} ${time}  ${compare}`);
     }
-    if (result.force <= 0) {
-        result.error = "Force must be greater than 0.";
-        return result;
+
+    if (pbSplits.length && state.splits.length) {
+        lines.push(t('hud.total', { delta: formatSplitDelta(delta) }));
     }
-    if (result.time > state.remainingTime) {
-        result.error = `Not enough time remaining. You have ${state.remainingTime}s left.`;
-        return result;
+    // Only the classic score is worked out from the total time
+    if (MODE === 'classic' && projectedTime !== null && state.status === 'playing') {
+        lines.push(projectedTime > MAX_TIME_SECONDS
+            ? t('hud.overTime', { warning: `${C.red}${t('hud.overTimeWarning')}${C.reset}` })
+            : t('hud.projected', { score: `${C.bright}${calculateScore(projectedTime, state.energy, MAX_TIME_SECONDS).score + scoreLevels(state.levelResults).levelPoints}${C.reset}` }));
     }
+    return lines;
+}
 
-    result.valid = true;
-    return result;
+function getProgressBar(current, max, width = 20, color = C.green) {
+    const percent = Math.max(0, Math.min(1, current / max));
+    const fill = Math.floor(width * percent);
+    const bar = G.block.repeat(fill) + "-".repeat(width - fill);
+    return `${color}[${bar}] ${Math.floor(percent * 100)}%${C.reset}`;
 }
 
 /**
- * Calculate energy loss with inverse proportional physics
- * Energy loss is inversely proportional to both time and force
- * Formula: Base energy loss / (time * force scaling factor)
- * 
- * Longer times = less punishment per second
- * Higher forces = more punishment overall
+ * Stress meter: how hard the last twist loaded the bottle, as precise as the game allows
  */
-function calculateEnergyLoss(time, force) {
-    // Base calculation: force has primary impact
-    // Inverse time scaling: more time = less penalty
-    const timeScalingFactor = Math.max(0.5, time / 10); // Diminishing returns on time
-    const baseEnergyLoss = Math.ceil(force / 2); // Original formula as base
-    const scaledEnergyLoss = Math.ceil(baseEnergyLoss / timeScalingFactor);
-    
-    // Additional penalty for high forces with short times (dangerous moves)
-    const dangerPenalty = force > 50 && time < 5 ? Math.ceil(force / 10) : 0;
-    
-    return scaledEnergyLoss + dangerPenalty;
+function getStressMeter(bottle) {
+    const reading = readStress(bottle, game.config.stressMeterSteps);
+    if (reading === null) return `${C.white}[${"?".repeat(20)}] ${t('hud.cantTell')}${C.reset}`;
+    // Same bands as the creak / hairline-crack sensations in physics.js
+    const color = reading >= 0.9 ? C.red : (reading >= 0.7 ? C.yellow : C.green);
+    return getProgressBar(reading, 1, 20, color);
 }
 
 /**
- * Update energy recovery - 1% per second
- * Called during UI ticker updates
+ * Format time in MM:SS format
  */
-function updateEnergyRecovery(currentTime) {
-    if (state.lastRecoveryTick === 0) {
-        state.lastRecoveryTick = currentTime;
-        return;
-    }
+function formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
 
-    const secondsElapsed = currentTime - state.lastRecoveryTick;
-    if (secondsElapsed >= 1) {
-        const recoveryAmount = 1; // 1% per second
-        state.energy = Math.min(100, state.energy + recoveryAmount);
-        state.lastRecoveryTick = currentTime;
-    }
+/**
+ * One frame of the cap turning: a ridge sweeps across its face. Seen from above,
+ * the front of a cap turning clockwise moves left.
+ */
+function turnCap(line, { direction, frame }) {
+    const left = line.indexOf('[');
+    const width = line.indexOf(']') - left - 1;
+    if (left < 0 || width < 1) return line;
+    const step = frame % width;
+    const at = left + 1 + (direction === 'CW' ? width - 1 - step : step);
+    return line.slice(0, at) + G.block + line.slice(at + 1);
 }
 
-function renderInterface() {
-    clearScreen();
-    const timeUsed = getTimeElapsed();
+/**
+ * Draw the HUD from an engine state snapshot, with any extra lines under it
+ */
+function renderInterface(state = game.getState(), extra = []) {
+    if (NARRATE) return narrateInterface(state, extra);
+    const lines = [];
+    const timeUsed = game.getTimeElapsed();
+    const bottle = state.bottle;
     
     // Header
-    console.log(`${C.cyan}=================================================${C.reset}`);
-    console.log(`${C.bright}           THE TORQUE PARADOX - LEVEL ${state.level}/${TOTAL_LEVELS}${C.reset}`);
-    console.log(`${C.cyan}=================================================${C.reset}`);
-    
-    // Stats with new time system
-    const timeColor = state.remainingTime < 60 ? C.red : (state.remainingTime < 120 ? C.yellow : C.green);
-    console.log(`Time Used:     ${C.bright}${formatTime(timeUsed)}${C.reset}`);
-    console.log(`Time Remaining: ${timeColor}${formatTime(state.remainingTime)}${C.reset}`);
-    console.log(`Energy:        ${getProgressBar(state.energy, 100, 20, state.energy < 30 ? C.red : C.green)}`);
-    console.log("");
+    lines.push(`${C.cyan}=================================================${C.reset}`);
+    lines.push(`${C.bright}           ${ENDLESS ? t('hud.titleEndless', { level: state.level }) : t('hud.title', { level: state.level, total: TOTAL_LEVELS })}${C.reset}`);
+    lines.push(`${C.cyan}=================================================${C.reset}`);
+    lines.push(`${t('hud.player', { name: `${C.bright}${ui.playerName}${C.reset}` })}   ${describeRun()}`);
     
-    console.log(`       ${C.yellow}_____${C.reset}`);
-    console.log(`      ${C.yellow}[:::::]${C.reset}  <-- THE CAP`);
-    console.log(`      ${C.white}|     |${C.reset}`);
-    console.log(`      ${C.white}|     |${C.reset}  Status: ${bottle.isOpen ? C.green + "OPEN" + C.reset : C.red + "LOCKED" + C.reset}`);
-    console.log(`      ${C.white}|_____|${C.reset}`);
-    console.log("");
+    // Stats with new time system, splits column alongside
+    const condition = describeCondition(bottle);
+    const integrityColor = { sound: C.green, strained: C.yellow, weakened: C.yellow, fragile: C.red, unknown: C.white }[condition.integrity];
+    const bottleType = BOTTLE_TYPES[bottle.type];
+    const art = bottleType.art;
+    const capColor = C[bottleType.color];
+    const timeColor = state.remainingTime < POOL_SECONDS * 0.2 ? C.red : (state.remainingTime < POOL_SECONDS * 0.4 ? C.yellow : C.green);
+    const busy = game.getBusySeconds();
+    const [usedLabel, remainingLabel, energyLabel, stressLabel] = padLabels(['hud.timeUsed', 'hud.timeRemaining', 'hud.energy', 'hud.stress']);
+    const [bottleLabel, threadLabel, statusLabel, materialLabel] = padLabels(['hud.bottle', 'hud.thread', 'hud.status', 'hud.material']);
+    const panel = [
+        `${usedLabel}${C.bright}${formatTime(timeUsed)}${C.reset} ${C.white}(${t(`${TIME_MODEL}.used`)})${C.reset}`,
+        ZEN ? `${remainingLabel}${C.green}${t('hud.noClock')}${C.reset}` : `${remainingLabel}${timeColor}${formatTime(state.remainingTime)}${C.reset} ` +
+            (busy > 0 ? `${C.yellow}${t('hud.busy', { seconds: busy })}${C.reset}` : `${C.white}(${t(`${TIME_MODEL}.remaining`)})${C.reset}`),
+        `${energyLabel}${getProgressBar(state.energy, 100, 20, state.energy < 30 ? C.red : C.green)}`,
+        `${stressLabel}${getStressMeter(bottle)}`,
+        "",
+        `${capColor}${art[0]}${C.reset}`,
+        `${capColor}${ui.capTurn ? turnCap(art[1], ui.capTurn) : art[1]}${C.reset}  ${bottleLabel}${C.bright}${t(`bottles.${bottle.type}.name`)}${C.reset}`,
+        `${C.white}${art[2]}${C.reset}  ${threadLabel}${C.cyan}${t(`grip.${condition.grip}`)}${C.reset}`,
+        `${C.white}${art[3]}${C.reset}  ${statusLabel}${bottle.isOpen ? C.green + t('hud.open') + C.reset : C.red + t('hud.locked') + C.reset}`,
+        `${C.white}${art[4]}${C.reset}  ${materialLabel}${integrityColor}${t(`integrity.${condition.integrity}`)}${C.reset}`
+    ];
+    const splitsColumn = getSplitsColumn(state);
+    // Room for every split plus the total and projection, so the HUD keeps one height all run
+    for (let i = 0; i < Math.max(panel.length, TOTAL_LEVELS + 3); i++) {
+        const left = panel[i] || "";
+        lines.push(left + " ".repeat(Math.max(2, 46 - visibleLength(left))) + (splitsColumn[i] || ""));
+    }
+    lines.push("");
 
     // Message Log
-    console.log(`${C.bright}LOG:${C.reset}`);
-    state.history.slice(-3).forEach(log => console.log(` > ${log}`));
-    console.log(` > ${C.yellow}${state.message}${C.reset}`);
-    console.log(`${C.cyan}-------------------------------------------------${C.reset}`);
-    console.log("Commands: e.g., 'cw 20s 10n' or '10n acw 20s' (any order, case-insensitive)");
+    lines.push(`${C.bright}${t('hud.log')}${C.reset}`);
+    const recent = ui.history.slice(ui.historyStart).slice(-3);
+    for (let i = 0; i < 3; i++) lines.push(recent[i] === undefined ? "" : ` > ${recent[i]}`);
+    lines.push(` > ${C.yellow}${ui.message}${C.reset}`);
+    lines.push(`${C.cyan}-------------------------------------------------${C.reset}`);
+    lines.push(t('hud.twistHint'));
+    lines.push(t('hud.commandsHint'));
+    screen.render(lines.concat(extra));
+}
+
+/**
+ * Time as words for narration: '4 minutes 5 seconds'
+ */
+function formatSpokenTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    const parts = [];
+    if (mins > 0) parts.push(t('common.minutes', { count: mins }));
+    if (secs > 0 || mins === 0) parts.push(t('common.seconds', { count: secs }));
+    return parts.join(" ");
+}
+
+/**
+ * Which stretch of the time pool a reading falls in - narration mentions the time
+ * on its own each time it enters a new one: every minute, then 30 and 10 seconds
+ */
+function timeBand(seconds) {
+    if (seconds <= 10) return 0;
+    if (seconds <= 30) return 1;
+    if (seconds <= 60) return 2;
+    return 2 + Math.ceil(seconds / 60);
+}
+
+/**
+ * The HUD for --narrate: say what changed since the last call as plain sentences,
+ * never redraw. Energy and time are read out along with anything that happened,
+ * and on their own only when energy moves by 10 or the time enters a new stretch.
+ */
+function narrateInterface(state, extra) {
+    const last = ui.spoken || { historyLength: ui.historyStart, extra: [] };
+    const lines = [];
+    if (!ui.spoken) lines.push(t('narration.intro'));
+
+    // What happened: new log lines and the latest message
+    lines.push(...ui.history.slice(last.historyLength));
+    if (ui.message && ui.message !== last.message) lines.push(ui.message);
+    const happened = lines.length > 0;
+
+    const energy = Math.floor(state.energy);
+    const remaining = state.remainingTime;
+    const condition = describeCondition(state.bottle);
+    const stress = readStress(state.bottle, game.config.stressMeterSteps);
+    const spoken = { ...last, historyLength: ui.history.length, message: ui.message, extra };
+
+    const readings = [];
+    if (energy !== last.energy && (happened || last.energy === undefined || Math.abs(energy - last.energy) >= 10)) {
+        readings.push(t('narration.energy', { energy }));
+        spoken.energy = energy;
+    }
+    if (stress !== null && stress !== last.stress) readings.push(t('narration.stress', { percent: Math.round(stress * 100) }));
+    spoken.stress = stress;
+    if (state.level === last.level && condition.grip !== last.grip) readings.push(t('narration.thread', { grip: t(`grip.${condition.grip}`).toLowerCase() }));
+    if (state.level === last.level && condition.integrity !== last.integrity) readings.push(t('narration.material', { integrity: t(`integrity.${condition.integrity}`).toLowerCase() }));
+    spoken.level = state.level;
+    spoken.grip = condition.grip;
+    spoken.integrity = condition.integrity;
+    if (!ZEN && remaining !== last.remainingTime && (happened || timeBand(remaining) !== timeBand(last.remainingTime ?? Infinity))) {
+        readings.push(t('narration.timeLeft', { time: formatSpokenTime(remaining) }));
+        spoken.remainingTime = remaining;
+    }
+    if (readings.length) lines.push(readings.join(" "));
+    lines.push(...extra.filter(line => !last.extra.includes(line)));
+    ui.spoken = spoken;
+
+    if (lines.length === 0) return;
+    // Speak on a line of its own, then give back the prompt and what was typed
+    if (ui.prompting) process.stdout.write("\n");
+    lines.forEach(line => console.log(line));
+    if (ui.prompting) rl.prompt(true);
 }
 
 // --- INTRO & RULES ---
@@ -346,38 +767,45 @@ async function showIntroAndRules() {
     // --- DRAMATIC TITLE ANIMATION ---
     console.log("");
     
-    console.log(`${C.bright}${C.yellow}`);
-    await printSlowly("    ████████╗ ██████╗ ██████╗  ██████╗ ██╗   ██╗███████╗", 20);
-    console.log(`${C.reset}`);
-    await sleep(100);
-    
-    console.log(`${C.bright}${C.yellow}`);
-    await printSlowly("    ╚══██╔══╝██╔═══██╗██╔═══██╗██╔═══██╗██║   ██║██╔════╝", 20);
-    console.log(`${C.reset}`);
-    await sleep(100);
-    
-    console.log(`${C.bright}${C.yellow}`);
-    await printSlowly("       ██║   ██║   ██║██████╔╝██║   ██║██║   ██║█████╗  ", 20);
-    console.log(`${C.reset}`);
-    await sleep(100);
-    
-    console.log(`${C.bright}${C.yellow}`);
-    await printSlowly("       ██║   ██║   ██║██╔══██╗██║▄▄ ██║██║   ██║██╔══╝  ", 20);
-    console.log(`${C.reset}`);
-    await sleep(100);
-    
-    console.log(`${C.bright}${C.yellow}`);
-    await printSlowly("       ██║   ╚██████╔╝██║  ██║╚██████╔╝╚██████╔╝███████╗", 20);
-    console.log(`${C.reset}`);
-    await sleep(100);
-    
-    console.log(`${C.bright}${C.yellow}`);
-    await printSlowly("       ╚═╝    ╚═════╝ ╚═╝  ╚═╝ ╚══▀▀═╝  ╚═════╝ ╚══════╝", 20);
-    console.log(`${C.reset}`);
-    await sleep(300);
+    if (ASCII_ONLY) {
+        // The block-letter title is drawn with box-drawing characters
+        console.log(`${C.bright}${C.yellow}                     T O R Q U E${C.reset}`);
+        console.log("");
+    } else {
+        console.log(`${C.bright}${C.yellow}`);
+        await printSlowly("    ████████╗ ██████╗ ██████╗  ██████╗ ██╗   ██╗███████╗", 20);
+        console.log(`${C.reset}`);
+        await sleep(100);
+
+        console.log(`${C.bright}${C.yellow}`);
+        await printSlowly("    ╚══██╔══╝██╔═══██╗██╔═══██╗██╔═══██╗██║   ██║██╔════╝", 20);
+        console.log(`${C.reset}`);
+        await sleep(100);
+
+        console.log(`${C.bright}${C.yellow}`);
+        await printSlowly("       ██║   ██║   ██║██████╔╝██║   ██║██║   ██║█████╗  ", 20);
+        console.log(`${C.reset}`);
+        await sleep(100);
+
+        console.log(`${C.bright}${C.yellow}`);
+        await printSlowly("       ██║   ██║   ██║██╔══██╗██║▄▄ ██║██║   ██║██╔══╝  ", 20);
+        console.log(`${C.reset}`);
+        await sleep(100);
+
+        console.log(`${C.bright}${C.yellow}`);
+        await printSlowly("       ██║   ╚██████╔╝██║  ██║╚██████╔╝╚██████╔╝███████╗", 20);
+        console.log(`${C.reset}`);
+        await sleep(100);
+
+        console.log(`${C.bright}${C.yellow}`);
+        await printSlowly("       ╚═╝    ╚═════╝ ╚═╝  ╚═╝ ╚══▀▀═╝  ╚═════╝ ╚══════╝", 20);
+        console.log(`${C.reset}`);
+        await sleep(300);
+
+    }
     
     console.log(`${C.bright}${C.red}`);
-    await printSlowly("                     🔓 P A R A D O X 🔓", 25);
+    await printSlowly(`                     ${G.unlock} P A R A D O X ${G.unlock}`, 25);
     console.log(`${C.reset}`);
     await sleep(400);
     
@@ -385,19 +813,16 @@ async function showIntroAndRules() {
     
     // --- STORY SECTION ---
     await sleep(500);
-    console.log(`${C.bright}${C.magenta}▶ STORY${C.reset}`);
-    console.log(`${C.cyan}${'─'.repeat(70)}${C.reset}`);
+    console.log(`${C.bright}${C.magenta}${G.pointer} ${t('intro.story')}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(70)}${C.reset}`);
     await sleep(200);
     
     const storyLines = [
-        `${C.white}You regain consciousness in a cold, sterile room. Your last memory is...${C.reset}`,
-        `${C.white}fractured. Before you sit 10 sealed bottles on a metal table, humming${C.reset}`,
-        `${C.white}with an ominous energy. A voice echoes through speakers:${C.reset}`,
+        ...t('intro.storyBefore').split("\n").map(line => `${C.white}${line}${C.reset}`),
         ``,
-        `${C.bright}${C.yellow}"Open them all, or stay here forever."${C.reset}`,
+        `${C.bright}${C.yellow}${t('intro.storyQuote')}${C.reset}`,
         ``,
-        `${C.white}Time is running out. Energy is running low. One wrong move...${C.reset}`,
-        `${C.white}and everything shatters.${C.reset}`
+        ...t('intro.storyAfter').split("\n").map(line => `${C.white}${line}${C.reset}`)
     ];
     
     for (const line of storyLines) {
@@ -411,355 +836,1536 @@ async function showIntroAndRules() {
     }
     await sleep(400);
     
+    await printRules();
+
+    await ask(`${C.bright}${C.yellow}${t('intro.begin')}${C.reset}`);
+}
+
+/**
+ * Objective, scoring, mechanics and tips - the intro plays them animated,
+ * the 'rules' command prints them straight away
+ */
+async function printRules({ animate = true } = {}) {
+    const pause = (ms) => animate ? sleep(ms) : Promise.resolve();
+
     // --- OBJECTIVE SECTION ---
     console.log("");
-    console.log(`${C.bright}${C.cyan}▶ OBJECTIVE${C.reset}`);
-    console.log(`${C.cyan}${'─'.repeat(70)}${C.reset}`);
-    await sleep(200);
+    console.log(`${C.bright}${C.cyan}${G.pointer} ${t('rules.objective')}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(70)}${C.reset}`);
+    await pause(200);
     
-    const objText = `Open all ${TOTAL_LEVELS} bottles within ${MAX_TIME_SECONDS} seconds.`;
-    await printSlowly(`${C.bright}${C.green}${objText}${C.reset}`, 15);
-    console.log("");
-    await sleep(300);
-    console.log(`${C.yellow}⭐ BEAT YOUR PERSONAL BEST ⭐${C.reset}`);
-    await sleep(400);
+    const objText = MODE === 'classic'
+        ? t('rules.objectiveText', { levels: TOTAL_LEVELS, seconds: MAX_TIME_SECONDS })
+        : t(`modes.${MODE}.objective`, { levels: TOTAL_LEVELS, seconds: POOL_SECONDS });
+    if (animate) {
+        await printSlowly(`${C.bright}${C.green}${objText}${C.reset}`, 15);
+        console.log("");
+    } else {
+        console.log(`${C.bright}${C.green}${objText}${C.reset}`);
+    }
+    await pause(300);
+    console.log(`${C.yellow}${G.star} ${t('rules.beatBest')} ${G.star}${C.reset}`);
+    await pause(400);
     
     // --- SCORING SECTION ---
     console.log("");
-    console.log(`${C.bright}${C.green}▶ SCORING SYSTEM${C.reset}`);
-    console.log(`${C.cyan}${'─'.repeat(70)}${C.reset}`);
-    console.log(`${C.white}Speed is everything. Your score rewards fast completions:${C.reset}`);
-    console.log("");
-    console.log(`  ${C.bright}${C.yellow}Formula:${C.reset} (${MAX_TIME_SECONDS}s - Time Used) × 100 + Energy Bonus`);
-    console.log(`  ${C.bright}${C.yellow}Example:${C.reset} 120s used, 50 energy left = (300-120)×100 + 500 = ${C.green}18,500 points${C.reset}`);
-    await sleep(500);
+    console.log(`${C.bright}${C.green}${G.pointer} ${t('rules.scoring')}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(70)}${C.reset}`);
+    if (MODE === 'classic') {
+        console.log(`${C.white}${t('rules.scoringIntro')}${C.reset}`);
+        console.log("");
+        console.log(`  ${C.bright}${C.yellow}${t('rules.formulaLabel')}${C.reset} ${t('rules.formula', { max: MAX_TIME_SECONDS, times: G.times })}`);
+        console.log(`  ${C.bright}${C.yellow}${t('rules.exampleLabel')}${C.reset} ${t('rules.example', { times: G.times, total: `${C.green}${t('rules.exampleTotal')}${C.reset}` })}`);
+    } else {
+        console.log(`${C.bright}${C.yellow}${t(`modes.${MODE}.name`)}${C.reset}`);
+        console.log(`${C.white}${t(`modes.${MODE}.scoring`, { times: G.times })}${C.reset}`);
+    }
+    await pause(500);
     
     // --- MECHANICS SECTION ---
     console.log("");
-    console.log(`${C.bright}${C.blue}▶ GAME MECHANICS${C.reset}`);
-    console.log(`${C.cyan}${'─'.repeat(70)}${C.reset}`);
+    console.log(`${C.bright}${C.blue}${G.pointer} ${t('rules.mechanics')}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(70)}${C.reset}`);
     
+    // Examples in quotes show in green - the twist words are the same in every language
+    const highlightExamples = (text) => text.replace(/(?<!\w)'[^']*[a-z][^']*'(?!\w)/gi, (example) => `${C.green}${example}${C.reset}`);
     const mechanics = [
-        [
-            `${C.bright}${C.yellow}🔧 BOTTLES${C.reset}`,
-            `  Each cap is locked CW or ACW. Twist the OPPOSITE direction to open.`,
-            `  Wrong direction? The cap tightens. Right direction? Progress!`
-        ],
-        [
-            `${C.bright}${C.yellow}⚡ COMMANDS${C.reset}`,
-            `  Format: ${C.green}'cw 20s 10n'${C.reset} (Clockwise, 20 seconds, 10 newtons)`,
-            `  Order doesn't matter: ${C.green}'10n acw 20s'${C.reset} works the same`,
-            `  Case-insensitive: ${C.green}'CW'${C.reset}, ${C.green}'cw'${C.reset}, ${C.green}'Cw'${C.reset} all work`
-        ],
-        [
-            `${C.bright}${C.yellow}💪 FORCE & TIME${C.reset}`,
-            `  Apply force over DURATION (seconds). Long durations = less energy cost.`,
-            `  This rewards patience and strategy over pure brute force.`
-        ],
-        [
-            `${C.bright}${C.yellow}🩸 ENERGY${C.reset}`,
-            `  Start at 100%. Recover +1% per second passively.`,
-            `  Too much energy cost = You collapse (Game Over).`,
-            `  Each level clears, you gain +20 energy (capped at 100%).`
-        ],
-        [
-            `${C.bright}${C.yellow}💥 BREAKAGE${C.reset}`,
-            `  Apply TOO MUCH force and the bottle SHATTERS → Game Over.`,
-            `  Early levels forgiving. Late levels DANGEROUS. Balance power & precision.`
-        ]
+        [`${G.wrench} ${t('rules.bottles')}`, t('rules.bottlesText')],
+        [`${G.bolt} ${t('rules.commands')}`, highlightExamples(t('rules.commandsText'))],
+        [`${G.muscle} ${t('rules.force')}`, t('rules.forceText')],
+        [`${G.clock} ${t('rules.clock', { model: t(`${TIME_MODEL}.name`).toUpperCase() })}`, t(`${TIME_MODEL}.rules`)],
+        [`${G.drop} ${t('rules.energy')}`, t('rules.energyText', { recovery: game.config.recoveryPerSecond, bonus: game.config.levelEnergyBonus })],
+        [`${G.boom} ${t('rules.breakage')}`, t('rules.breakageText', { arrow: G.arrow })]
     ];
     
-    for (const section of mechanics) {
+    for (const [title, text] of mechanics) {
         console.log("");
-        console.log(section[0]);
-        for (let i = 1; i < section.length; i++) {
-            console.log(`  ${section[i]}`);
+        console.log(`${C.bright}${C.yellow}${title}${C.reset}`);
+        for (const line of text.split("\n")) {
+            console.log(`    ${line}`);
         }
-        await sleep(400);
+        await pause(400);
     }
     
     // --- DIFFICULTY PROGRESSION ---
     console.log("");
-    console.log(`${C.bright}${C.red}▶ DIFFICULTY PROGRESSION${C.reset}`);
-    console.log(`${C.cyan}${'─'.repeat(70)}${C.reset}`);
+    console.log(`${C.bright}${C.red}${G.pointer} ${t('rules.progression')}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(70)}${C.reset}`);
     
     const difficulties = [
-        [`${C.green}Levels 1-3${C.reset}`, `Easy. Safety margins are generous.`],
-        [`${C.yellow}Levels 4-7${C.reset}`, `Moderate. Danger increasing...`],
-        [`${C.red}Levels 8-10${C.reset}`, `${C.bright}BRUTAL.${C.reset} Capacity nearly equals force needed. Precision required.`]
+        [`${C.green}${t('rules.earlyLevels')}${C.reset}`, t('rules.earlyText')],
+        [`${C.yellow}${t('rules.middleLevels')}${C.reset}`, t('rules.middleText')],
+        [`${C.red}${t('rules.lateLevels')}${C.reset}`, t('rules.lateText', { brutal: `${C.bright}${t('rules.lateBrutal')}${C.reset}` })]
     ];
     
     for (const [level, desc] of difficulties) {
         console.log(`  ${level}: ${desc}`);
-        await sleep(300);
+        await pause(300);
     }
     
     // --- STRATEGY TIPS ---
     console.log("");
-    console.log(`${C.bright}${C.magenta}▶ STRATEGY TIPS${C.reset}`);
-    console.log(`${C.cyan}${'─'.repeat(70)}${C.reset}`);
-    const tips = [
-        "Watch the LOG—it tells you what's happening.",
-        "Jammed bottles need extra force to clear.",
-        "Long durations with moderate force = efficiency.",
-        "Energy recovers passively—be patient when needed.",
-        "One powerful move often beats multiple weak ones."
-    ];
+    console.log(`${C.bright}${C.magenta}${G.pointer} ${t('rules.tips')}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(70)}${C.reset}`);
     
-    for (const tip of tips) {
-        console.log(`  ✓ ${tip}`);
-        await sleep(250);
+    for (const tip of t('rules.tipsText').split("\n")) {
+        console.log(`  ${G.check} ${tip}`);
+        await pause(250);
     }
-    
-    await ask(`${C.bright}${C.yellow}Press ENTER to BEGIN...${C.reset}`);
 }
 
 /**
  * Display player's personal best stats
+ * In daily challenge mode this is the best for today's bottles
  */
-async function displayPersonalBest(playerId) {
+async function displayPersonalBest(playerId, daily = null, difficulty = DEFAULT_DIFFICULTY) {
     clearScreen();
-    const personalBest = getPersonalBest(playerId);
+    const personalBest = getPersonalBest(playerId, daily, difficulty);
 
     if (!personalBest) {} else {
-        console.log(`${C.bright}PREVIOUS BEST:${C.reset}`);
-        console.log(`${C.cyan}───────────────────────────────────────────────${C.reset}`);
-        console.log(`Score:           ${C.bright}${C.green}${personalBest.score}${C.reset} points`);
-        console.log(`Time:            ${C.yellow}${formatTime(personalBest.timeUsed)}${C.reset} seconds`);
-        console.log(`Time Score:      ${personalBest.timeScore} points`);
-        console.log(`Energy Remaining: ${personalBest.energyRemaining}%`);
-        console.log(`Energy Bonus:    ${personalBest.energyBonus} points`);
-        console.log(`Date Achieved:   ${C.cyan}${personalBest.date}${C.reset}`);
-        console.log(`${C.cyan}───────────────────────────────────────────────${C.reset}`);
-        console.log(`${C.bright}${C.yellow}Can you beat this? 💪${C.reset}\n`);
+        // The table is this mode's, so its records are made of this mode's parts
+        const parts = SCORE_PARTS[MODE];
+        const [score, time, energyRemaining, date, seed, ...partLabels] = padLabels(
+            ['best.score', 'best.time', 'best.energyRemaining', 'best.date', 'best.seed', ...parts.map(part => `best.${part.key}`)]);
+        const points = t('gameOver.pointsUnit');
+        console.log(`${C.bright}${daily ? t('best.daily', { date: daily }) : t('best.previous', { difficulty })}${C.reset}`);
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+        console.log(`${score}${C.bright}${C.green}${personalBest.score}${C.reset}${parts.some(part => part.points) ? ` ${points}` : ""}`);
+        console.log(`${time}${C.yellow}${formatTime(personalBest.timeUsed)}${C.reset} ${t('best.secondsUnit')}`);
+        // Records from before level points have no levelPoints to show
+        parts.forEach((part, i) => {
+            if (personalBest[part.key] !== undefined) console.log(`${partLabels[i]}${personalBest[part.key]}${part.points ? ` ${points}` : ""}`);
+        });
+        console.log(`${energyRemaining}${personalBest.energyRemaining}%`);
+        console.log(`${date}${C.cyan}${personalBest.date}${C.reset}`);
+        if (personalBest.seed) {
+            console.log(`${seed}${C.magenta}${personalBest.seed}${C.reset}`);
+        }
+        if (personalBest.oldScoring) {
+            console.log(`${C.yellow}${t('best.oldScoring')}${C.reset}`);
+        }
+        if (loadPersonalBests().unverified) {
+            console.log(`${C.yellow}${t('best.unverified')}${C.reset}`);
+        }
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+        console.log(`${C.bright}${C.yellow}${t('best.challenge')} ${G.muscle}${C.reset}\n`);
 
-        await ask("Press ENTER to continue...");
+        await ask(t('common.pressEnter'));
     }
 }
 
-// --- CORE GAME LOGIC ---
-
-async function processMove(input) {
-    // Use smart parser instead of simple split
-    const parsed = parseSmartInput(input);
+// --- PLAYER PROFILES ---
 
-    if (!parsed.valid) {
-        state.message = `${C.red}${parsed.error}${C.reset}`;
-        return;
+/**
+ * Load profiles, giving pre-profile records a home
+ * Before profiles existed every run was saved as the default player; adopt those
+ * records as a "Player" profile so they are not orphaned
+ */
+function loadProfilesWithLegacy() {
+    const data = loadProfiles(PROFILE_FILE);
+    if (Object.keys(data.profiles).length === 0 && getPersonalBest(LEGACY_PLAYER_ID)) {
+        createProfile(data, "Player", LEGACY_PLAYER_ID);
+        saveProfiles(PROFILE_FILE, data);
     }
+    return data;
+}
 
-    const direction = parsed.direction;
-    const timeApplied = parsed.time;
-    const force = parsed.force;
+/**
+ * What went wrong with a profile change, in the player's language (see profiles.js error codes)
+ */
+function profileErrorMessage(e) {
+    return e.code ? t(`profiles.errors.${e.code}`, e.params) : e.message;
+}
 
-    // 1. Check if we have enough remaining time
-    if (timeApplied > state.remainingTime) {
-        state.message = `${C.red}Not enough time remaining (${state.remainingTime}s left).${C.reset}`;
-        return;
-    }
+function useProfile(data, profile) {
+    data.lastUsed = profile.id;
+    saveProfiles(PROFILE_FILE, data);
+    ui.playerId = profile.id;
+    ui.playerName = profile.name;
+}
 
-    // 2. Calculate energy cost using inverse proportional formula
-    const energyCost = calculateEnergyLoss(timeApplied, force);
-    
-    if (state.energy < energyCost) {
-        state.isGameOver = true;
-        state.message = `${C.bgRed} EXHAUSTED! You passed out before opening the bottle. ${C.reset}`;
-        return;
+/**
+ * --player <name>: select that profile, creating it on first use
+ */
+function selectProfileByName(name) {
+    const data = loadProfilesWithLegacy();
+    let profile = findProfile(data, name);
+    if (!profile) {
+        try {
+            profile = createProfile(data, name);
+        } catch (e) {
+            console.error(profileErrorMessage(e));
+            process.exit(1);
+        }
     }
-    
-    // Deduct energy
-    state.energy -= energyCost;
-    
-    // 3. Deduct time from remaining pool
-    state.remainingTime -= timeApplied;
+    useProfile(data, profile);
+}
 
-    // 4. Check Breakage (Too much force)
-    if (force > bottle.maxCapacity) {
-        state.isGameOver = true;
-        state.message = `${C.bgRed} CRACK! You applied ${force}N force over ${timeApplied}s. The bottle shattered! ${C.reset}`;
-        return;
-    }
+/**
+ * Startup menu: create, select, rename and delete profiles
+ * ENTER picks the last-used profile
+ */
+async function chooseProfile() {
+    const data = loadProfilesWithLegacy();
+    let notice = "";
 
-    // 5. Physics Logic
-    const attemptDir = direction.toUpperCase();
-    
-    // LOGIC: If we rotate in the LOCKED direction (Bad)
-    if (attemptDir === bottle.lockedDir) {
-        bottle.currentTightness += force;
-        state.history.push(`${C.red}Applied ${force}N ${attemptDir} for ${timeApplied}s (wrong direction). Bottle tightened!${C.reset}`);
-    } 
-    // LOGIC: If we rotate in the OPEN direction (Good)
-    else {
-        // First, we must overcome the JAM (currentTightness)
-        if (bottle.currentTightness > 0) {
-            if (force >= bottle.currentTightness) {
-                // Jam cleared, remaining force applies to opening
-                const remainingForce = force - bottle.currentTightness;
-                bottle.currentTightness = 0;
-                
-                if (remainingForce >= bottle.requiredForce) {
-                    bottle.isOpen = true;
-                    state.message = `${C.green}SUCCESS! Applied ${force}N for ${timeApplied}s. The jamming cleared and the cap flew off!${C.reset}`;
-                } else {
-                    state.history.push(`${C.yellow}Applied ${force}N ${attemptDir} for ${timeApplied}s. Jam cleared but more force needed.${C.reset}`);
+    while (true) {
+        clearScreen();
+        console.log(`${C.cyan}${'='.repeat(60)}${C.reset}`);
+        console.log(`${C.bright}${C.yellow}        ${t('common.title')}${C.reset}`);
+        console.log(`${C.cyan}${'='.repeat(60)}${C.reset}\n`);
+        console.log(`${C.bright}${t('profiles.title')}${C.reset}`);
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+
+        const profiles = listProfiles(data);
+        if (profiles.length === 0) {
+            console.log(`  ${C.yellow}${t('profiles.none')}${C.reset}`);
+        }
+        profiles.forEach((profile, i) => {
+            const lastUsed = profile.id === data.lastUsed ? ` ${C.cyan}${t('profiles.lastUsed')}${C.reset}` : "";
+            console.log(`  ${C.bright}${i + 1})${C.reset} ${profile.name}${lastUsed}`);
+        });
+        console.log("");
+        console.log(`  ${t('profiles.menu', { n: `${C.green}N)${C.reset}`, r: `${C.yellow}R)${C.reset}`, d: `${C.red}D)${C.reset}`, s: `${C.cyan}S)${C.reset}`, a: `${C.magenta}A)${C.reset}` })}`);
+        console.log("");
+        if (notice) console.log(notice);
+        notice = "";
+
+        const fallback = data.profiles[data.lastUsed];
+        const answer = (await ask(t('profiles.select', { fallback: fallback ? t('profiles.enterDefault', { name: fallback.name }) : "" }))).trim();
+        const pick = (text) => profiles[parseInt(text, 10) - 1] || findProfile(data, text);
+        const notFound = `${C.red}${t('profiles.errors.notFound')}${C.reset}`;
+
+        try {
+            if (!answer) {
+                if (fallback) {
+                    useProfile(data, fallback);
+                    return;
                 }
-            } else {
-                // Force reduced the jam, but didn't clear it
-                bottle.currentTightness -= force;
-                state.history.push(`${C.yellow}Applied ${force}N ${attemptDir} for ${timeApplied}s. Jam reduced but not cleared.${C.reset}`);
-                return;
+                continue;
             }
-        } else {
-            // No jam, pure opening attempt
-            if (force >= bottle.requiredForce) {
-                bottle.isOpen = true;
-                state.message = `${C.green}POP! Applied ${force}N for ${timeApplied}s. The bottle opens smoothly.${C.reset}`;
-            } else {
-                state.history.push(`${C.yellow}Applied ${force}N ${attemptDir} for ${timeApplied}s. Progress made!${C.reset}`);
+
+            switch (answer.toUpperCase()) {
+                case 'N': {
+                    const profile = createProfile(data, await ask(t('profiles.newName')));
+                    saveProfiles(PROFILE_FILE, data);
+                    notice = `${C.green}${t('profiles.created', { name: profile.name })}${C.reset}`;
+                    break;
+                }
+                case 'R': {
+                    const target = pick((await ask(t('profiles.renameWhich'))).trim());
+                    if (!target) {
+                        notice = notFound;
+                        break;
+                    }
+                    const oldName = target.name;
+                    renameProfile(data, target.id, await ask(t('profiles.newNameFor', { name: oldName })));
+                    saveProfiles(PROFILE_FILE, data);
+                    notice = `${C.green}${t('profiles.renamed', { from: oldName, to: target.name })}${C.reset}`;
+                    break;
+                }
+                case 'D': {
+                    const target = pick((await ask(t('profiles.deleteWhich'))).trim());
+                    if (!target) {
+                        notice = notFound;
+                        break;
+                    }
+                    const word = t('profiles.confirmWord');
+                    const confirm = await ask(`${C.red}${t('profiles.deleteConfirm', { name: target.name, word })}${C.reset}`);
+                    if (confirm.trim() === word) {
+                        deleteProfile(data, target.id);
+                        deletePlayerScores(target.id);
+                        deletePlayerHistory(HISTORY_FILE, target.id);
+                        deleteSave(saveFileFor(SAVE_DIR, target.id));
+                        saveProfiles(PROFILE_FILE, data);
+                        notice = `${C.yellow}${t('profiles.deleted', { name: target.name })}${C.reset}`;
+                    } else {
+                        notice = t('profiles.deleteCancelled');
+                    }
+                    break;
+                }
+                case 'S': {
+                    const target = pick((await ask(t('profiles.statsWhich'))).trim());
+                    if (!target) {
+                        notice = notFound;
+                        break;
+                    }
+                    clearScreen();
+                    printStats(target.name, loadHistory(HISTORY_FILE, target.id, run.difficulty), 10);
+                    await ask(`\n${t('common.pressEnter')}`);
+                    break;
+                }
+                case 'A': {
+                    const target = pick((await ask(t('profiles.achievementsWhich'))).trim());
+                    if (!target) {
+                        notice = notFound;
+                        break;
+                    }
+                    clearScreen();
+                    printAchievements(target.name, getAchievements(target.id));
+                    await ask(`\n${t('common.pressEnter')}`);
+                    break;
+                }
+                default: {
+                    const chosen = pick(answer);
+                    if (chosen) {
+                        useProfile(data, chosen);
+                        return;
+                    }
+                    notice = `${C.red}${t('profiles.noMatch', { answer })}${C.reset}`;
+                }
             }
+        } catch (e) {
+            notice = `${C.red}${profileErrorMessage(e)}${C.reset}`;
         }
-        if (!bottle.isOpen) {
-            state.history.push(`${C.green}Applied ${force}N ${attemptDir} for ${timeApplied}s. Progress made!${C.reset}`);
+    }
+}
+
+// --- STATISTICS ---
+
+/**
+ * Compare a recent value with the all-time one: ▲ better, ▼ worse
+ */
+function formatTrend(recent, overall, format, higherIsBetter = true) {
+    if (recent === null || overall === null) return "-";
+    const diff = recent - overall;
+    if (Math.abs(diff) < 1e-9) return `${format(recent)} ${C.white}=${C.reset}`;
+    const better = higherIsBetter ? diff > 0 : diff < 0;
+    return `${format(recent)} ${better ? C.green + G.up : C.red + G.down}${C.reset}`;
+}
+
+/**
+ * Print the statistics screen for one player
+ */
+function printStats(playerName, runs, last) {
+    const stats = computeStats(runs, { last, scoredWins: MODE === 'zen' });
+    const { overall, recent } = stats;
+    const pct = (v) => v === null ? "-" : `${Math.round(v * 100)}%`;
+    const num = (v) => v === null ? "-" : `${Math.round(v)}`;
+    const dec = (v) => v === null ? "-" : v.toFixed(1);
+
+    console.log(`${C.bright}${t('stats.title', { name: `${C.yellow}${playerName}${C.reset}`, difficulty: `${C.magenta}${run.difficulty}${C.reset}` })}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+
+    if (runs.length === 0) {
+        console.log(`${C.yellow}${t('stats.noRuns')}${C.reset}`);
+        return;
+    }
+
+    const [runsLabel, winRate, averageScore, medianScore, averageLevel, wrongTwists] = padLabels(
+        ['stats.runs', 'stats.winRate', 'stats.averageScore', 'stats.medianScore', 'stats.averageLevel', 'stats.wrongTwists'], 2);
+    console.log(`${C.bright}${''.padEnd(runsLabel.length)}${t('stats.allTime').padEnd(12)}${t('stats.lastN', { count: recent.runs })}${C.reset}`);
+    console.log(`${runsLabel}${String(overall.runs).padEnd(12)}${recent.runs}`);
+    console.log(`${winRate}${pct(overall.winRate).padEnd(12)}${formatTrend(recent.winRate, overall.winRate, pct)}`);
+    console.log(`${averageScore}${num(overall.averageScore).padEnd(12)}${formatTrend(recent.averageScore, overall.averageScore, num)}`);
+    console.log(`${medianScore}${num(overall.medianScore).padEnd(12)}${formatTrend(recent.medianScore, overall.medianScore, num)}`);
+    console.log(`${averageLevel}${dec(overall.averageLevel).padEnd(12)}${formatTrend(recent.averageLevel, overall.averageLevel, dec)}`);
+    console.log(`${wrongTwists}${dec(overall.averageWrongDirection).padEnd(12)}${formatTrend(recent.averageWrongDirection, overall.averageWrongDirection, dec, false)}`);
+
+    console.log("");
+    console.log(`${C.bright}${t('stats.bestSplits')}${C.reset}`);
+    if (stats.bestSplits.length === 0) {
+        console.log(`  ${t('stats.noneCleared')}`);
+    }
+    stats.bestSplits.forEach((split, i) => {
+        console.log(`  ${t('stats.levelSplit', { level: String(i + 1).padStart(2), time: `${C.green}${split.toFixed(1)}s${C.reset}` })}`);
+    });
+
+    console.log("");
+    console.log(`${C.bright}${t('stats.failures')}${C.reset}`);
+    if (!stats.topFailure) {
+        console.log(`  ${C.green}${t('stats.neverFailed')}${C.reset}`);
+    } else {
+        for (const [cause, count] of Object.entries(stats.failures).sort((a, b) => b[1] - a[1])) {
+            console.log(`  ${outcomeLabel(cause).padEnd(20)} ${count}`);
         }
+        console.log(`  ${t('stats.mostCommon', { cause: `${C.red}${outcomeLabel(stats.topFailure.cause)}${C.reset}` })}`);
+    }
+
+    console.log("");
+    console.log(`${C.bright}${t('stats.lastRuns', { count: stats.recentRuns.length })}${C.reset}`);
+    for (const r of [...stats.recentRuns].reverse()) {
+        const color = r.won ? C.green : C.red;
+        const score = r.score === null || r.score === undefined ? "-" : r.score;
+        console.log(`  ${r.date}  ${color}${outcomeLabel(r.outcome).padEnd(20)}${C.reset} ${t('stats.levelShort', { level: String(r.levelReached).padStart(2) })}  ${formatTime(r.timeUsed)}  ${score}`);
     }
 }
 
-async function runGame() {
-    // Skip name entry - use default player ID
+/**
+ * `node game.js stats` - statistics for --player or the last-used profile
+ */
+function runStats() {
+    const last = parseInt(args.last, 10);
+    if (!(last > 0)) {
+        console.error(`Invalid --last "${args.last}". Use a whole number above 0.`);
+        process.exit(1);
+    }
+
+    const profile = commandProfile();
+    printStats(profile.name, loadHistory(HISTORY_FILE, profile.id, run.difficulty), last);
+    rl.close();
+    process.exit(0);
+}
+
+/**
+ * The profile a command reports on: --player, or the last one used
+ * Exits if there is none
+ */
+function commandProfile() {
+    const data = loadProfilesWithLegacy();
+    const profile = args.player !== undefined ? findProfile(data, args.player) : data.profiles[data.lastUsed];
+    if (!profile) {
+        console.error(args.player !== undefined
+            ? `No profile named "${args.player}".`
+            : "No profile selected yet. Use --player <name>.");
+        process.exit(1);
+    }
+    return profile;
+}
+
+// --- DEBRIEF ---
+
+/**
+ * Newtons and seconds as they would be typed: whole, or to one decimal
+ */
+function formatAmount(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Print a run's debrief (see debrief.js): each bottle's hidden values, the twists
+ * made against them, the energy wasted and the cheapest opening
+ */
+function printDebrief({ levels, totals }) {
+    const pct = (v) => v === null ? "-" : `${Math.round(v * 100)}%`;
+    const wasteLine = (energy, wasted) => t('debrief.spent', {
+        energy,
+        wrong: `${wasted.wrongDirection ? C.red : ''}${wasted.wrongDirection}${C.reset}`,
+        over: `${wasted.overForce ? C.red : ''}${wasted.overForce}${C.reset}`
+    });
+
+    console.log(`${C.bright}${C.cyan}${G.doubleRule.repeat(47)}${C.reset}`);
+    console.log(`${C.bright}${t('debrief.title')}${C.reset}`);
+    for (const level of levels) {
+        const { bottle } = level;
+        const ratingColor = { flawless: C.green, efficient: C.green, wasteful: C.yellow, brutish: C.red, unopened: C.white }[level.rating];
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+        console.log(`${C.bright}${t('debrief.level', { level: level.level, bottle: t(`bottles.${bottle.type}.name`) })}${C.reset}   ` +
+            `${ratingColor}${level.efficiency === null ? t('debrief.ratings.unopened') : t('debrief.efficiency', { percent: pct(level.efficiency), rating: t(`debrief.ratings.${level.rating}`) })}${C.reset}`);
+
+        const notes = [];
+        if (bottle.jam > 0) notes.push(t('debrief.jam', { jam: formatAmount(bottle.jam) }));
+        if (bottle.breakaway > 0) notes.push(t('debrief.rust', { breakaway: bottle.breakaway }));
+        if (bottle.doubleThread) notes.push(t('debrief.doubleThread'));
+        if (bottle.needsPress) notes.push(t('debrief.press'));
+        console.log(`  ${C.magenta}${t('debrief.hidden', {
+            direction: bottle.lockedDir === 'CW' ? 'ACW' : 'CW',
+            required: bottle.requiredForce,
+            capacity: bottle.maxCapacity
+        })}${C.reset}${notes.map(note => `; ${note}`).join("")}`);
+
+        if (level.moves.length === 0) console.log(`  ${t('debrief.noTwists')}`);
+        for (const move of level.moves) {
+            const wasted = move.wasted.wrongDirection + move.wasted.overForce;
+            console.log(`  ${G.pointer} ${wasted ? C.red : C.green}${move.input}${C.reset}: ${t(`debrief.results.${move.result}`)}, ` +
+                t('debrief.move', { energy: move.energyCost, needed: move.needed, capacity: move.capacity }));
+        }
+        console.log(`  ${wasteLine(level.energySpent, level.wasted)}`);
+        const cheapest = level.cheapest.map(twist => t('debrief.cheapestTwist', { direction: twist.direction, force: twist.force, time: formatAmount(twist.time) }));
+        console.log(`  ${t('debrief.cheapest', { twists: cheapest.join(" + "), energy: level.cheapestCost })}`);
+    }
+    console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+    console.log(`${C.bright}${t('debrief.total')}${C.reset}`);
+    console.log(`  ${wasteLine(totals.energySpent, totals.wasted)}`);
+    console.log(`  ${t('debrief.totalEfficiency', { percent: pct(totals.efficiency) })}`);
+    console.log(`${C.bright}${C.cyan}${G.doubleRule.repeat(47)}${C.reset}\n`);
+}
+
+/**
+ * The debrief of the run just finished, from its replay file
+ */
+function showRunDebrief() {
+    if (!ui.recorder) return;
+    try {
+        printDebrief(debriefReplay(loadReplay(ui.recorder.file)));
+    } catch (e) {
+        console.error("Error reading replay for the debrief:", e.message);
+    }
+}
+
+// --- ACHIEVEMENTS ---
+
+function achievementName(id) {
+    return t(`achievements.list.${id}.name`);
+}
+
+/**
+ * Print every achievement for one player, unlocked ones ticked with the date
+ */
+function printAchievements(playerName, unlocked) {
+    const count = ACHIEVEMENTS.filter(id => unlocked[id]).length;
+    console.log(`${C.bright}${t('achievements.title', { name: `${C.yellow}${playerName}${C.reset}${C.bright}`, count, total: ACHIEVEMENTS.length })}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+    for (const id of ACHIEVEMENTS) {
+        const record = unlocked[id];
+        const mark = record ? `${C.green}${G.check}${C.reset}` : `${C.white}-${C.reset}`;
+        const when = record ? `${C.cyan}${record.date}${C.reset}` : t('achievements.locked');
+        console.log(`  ${mark} ${C.bright}${achievementName(id)}${C.reset}  ${when}`);
+        console.log(`    ${t(`achievements.list.${id}.description`, ACHIEVEMENT_LIMITS)}`);
+    }
+}
+
+// --- CORE GAME LOGIC ---
+
+/**
+ * Why a twist or rest was turned down, for the reasons both share
+ */
+function rejectionMessage(event) {
+    if (event.reason === 'paused') return `${C.yellow}${t('events.rejectedPaused')}${C.reset}`;
+    if (event.reason === 'busy') return `${C.yellow}${t('events.rejectedBusy', { seconds: event.busyFor })}${C.reset}`;
+    if (event.reason === 'noEnergy') return `${C.yellow}${t('events.rejectedNoEnergy', { cost: event.energyCost, energy: Math.floor(event.energy) })}${C.reset}`;
+    return null;
+}
+
+/**
+ * Turn an engine event into log lines and status messages for the HUD
+ */
+function describeEvent(event) {
+    const { force, time, direction } = event;
+    const twist = { force, time, direction };
+
+    switch (event.type) {
+        case 'levelStarted': {
+            const bottle = t(`bottles.${event.bottleType}.name`);
+            ui.history.push(`${C.bright}${G.rule.repeat(2)} ${t('events.levelHeader', { level: event.level, bottle })} ${G.rule.repeat(2)}${C.reset}`);
+            ui.historyStart = ui.history.length;
+            // Pack levels can say something of their own about the bottle
+            ui.message = t('events.levelStarted', { level: event.level, bottle, description: event.text || t(`bottles.${event.bottleType}.description`) });
+            break;
+        }
+        case 'rested':
+            if (game.config.timeModel === 'realtime') {
+                ui.history.push(`${C.cyan}${t('events.restingRealtime', { seconds: event.seconds })}${C.reset}`);
+                break;
+            }
+            ui.history.push(event.energyGained > 0
+                ? `${C.cyan}${t('events.rested', { seconds: event.seconds, energy: Math.round(event.energyGained) })}${C.reset}`
+                : `${C.yellow}${t('events.restedFull', { seconds: event.seconds })}${C.reset}`);
+            break;
+        case 'restRejected':
+            ui.message = rejectionMessage(event) || `${C.red}${t('events.restRejected', { seconds: event.seconds, remaining: event.remainingTime })}${C.reset}`;
+            break;
+        case 'paused':
+            ui.history.push(`${C.cyan}${t('events.paused')}${C.reset}`);
+            break;
+        case 'resumed':
+            ui.history.push(`${C.cyan}${t('events.resumed', { time: formatTime(Math.floor(event.pausedFor / 1000)) })}${C.reset}`);
+            break;
+        case 'gaveUp':
+            ui.message = `${C.red}${t('events.gaveUp')}${C.reset}`;
+            break;
+        case 'moveRejected':
+            ui.message = rejectionMessage(event) || `${C.red}${t('events.moveRejected', { remaining: event.remainingTime })}${C.reset}`;
+            break;
+        case 'exhausted':
+            ui.message = `${C.bgRed} ${t('events.exhausted')} ${C.reset}`;
+            break;
+        case 'bottleShattered':
+            ui.message = `${C.bgRed} ${t('events.shattered', { force, time })} ${C.reset}`;
+            break;
+        case 'bottleReset':
+            ui.history.push(`${C.red}${t('events.shattered', { force, time })}${C.reset}`);
+            ui.message = `${C.yellow}${t('events.bottleReset', { resets: event.resets })}${C.reset}`;
+            break;
+        case 'timeUp':
+            ui.message = `${C.bgRed} ${t('events.timeUp')} ${C.reset}`;
+            break;
+        case 'moveApplied':
+            switch (event.result) {
+                case 'tightened':
+                    ui.history.push(event.loosenedBy < 0
+                        ? `${C.red}${t('events.woundBack', twist)}${C.reset}`
+                        : `${C.red}${t('events.tightened', twist)}${C.reset}`);
+                    break;
+                case 'jamReduced':
+                    ui.history.push(`${C.yellow}${t('events.jamReduced', twist)}${C.reset}`);
+                    break;
+                case 'slipped':
+                    ui.history.push(`${C.yellow}${t('events.slipped', twist)}${C.reset}`);
+                    break;
+                case 'stuck':
+                    ui.history.push(`${C.yellow}${t('events.stuck', twist)}${C.reset}`);
+                    break;
+                case 'threadFlipped':
+                    ui.history.push(`${C.cyan}${t('events.threadFlipped', twist)}${C.reset}`);
+                    break;
+                case 'jamCleared':
+                    ui.history.push(`${C.yellow}${t('events.jamCleared', twist)}${C.reset}`);
+                    break;
+                case 'progress':
+                    ui.history.push(event.loosenedBy > 0
+                        ? `${C.green}${t('events.progress', { ...twist, grip: t(`grip.${event.grip}`).toLowerCase() })}${C.reset}`
+                        : `${C.yellow}${t('events.nothingMoved', twist)}${C.reset}`);
+                    break;
+                case 'opened':
+                    ui.message = event.jamBefore > 0
+                        ? `${C.green}${t('events.openedJam', twist)}${C.reset}`
+                        : `${C.green}${t('events.opened', twist)}${C.reset}`;
+                    break;
+            }
+            for (const sensation of event.sensations) {
+                ui.history.push(describeSensation(sensation, event));
+            }
+            break;
+    }
+}
+
+/**
+ * Tactile feedback for a twist (see physics.js feelTwist)
+ */
+function describeSensation(sensation, event) {
+    switch (sensation) {
+        case 'bites':
+            return `${C.red}${t('events.bites', { direction: event.direction })}${C.reset}`;
+        case 'creak':
+            return `${C.magenta}${t('events.creak', { integrity: t(`integrity.${event.integrity}`).toLowerCase() })}${C.reset}`;
+        case 'hairline':
+            return `${C.bgRed} ${t('events.hairline')} ${C.reset}`;
+    }
+}
+
+/**
+ * Handle one line typed at the prompt: a twist, a command, or a ';'-chained sequence
+ * A sequence stops early if a step fails, the bottle opens or the run ends
+ */
+async function processInput(input) {
+    const steps = splitSequence(input);
+    for (let i = 0; i < steps.length; i++) {
+        // In real time a twist takes as long as it says - the next step waits for it
+        while (i > 0 && game.getBusySeconds() > 0 && game.getState().status === 'playing') {
+            ui.message = t('input.waitingStep', { step: i + 1, steps: steps.length, seconds: game.getBusySeconds() });
+            await sleep(250);
+        }
+        const level = game.getState().level;
+        const ok = await runStep(steps[i]);
+        const state = game.getState();
+        const remaining = steps.length - i - 1;
+        if (remaining === 0 || state.status !== 'playing') return;
+
+        if (!ok) {
+            ui.message += ` ${C.yellow}${t('input.sequenceStopped', { step: i + 1, steps: steps.length })}${C.reset}`;
+            return;
+        }
+        if (state.level !== level) {
+            ui.message = `${C.yellow}${t('input.stepsDropped', { count: remaining })}${C.reset}`;
+            return;
+        }
+    }
+}
+
+/**
+ * Run a single step; returns false if it was not understood or the engine rejected it
+ */
+async function runStep(step) {
+    const { word, argText } = splitCommandWord(step);
+    const entry = findPromptCommand(word);
+    if (entry) return entry.run(argText, step);
+
+    const parsed = parseSmartInput(step);
+    if (parsed.valid) {
+        const { direction, time, force, press } = parsed;
+        if (parsed.timeDefaulted) ui.message = t('input.noDuration', { seconds: DEFAULT_TIME_SECONDS });
+        return runCommand({ type: 'move', direction, time, force, press }, step);
+    }
+
+    // An unknown first word: treat it as a mistyped command
+    if (parsed.errorCode === 'unknownWord' && parsed.errorAt === 0) {
+        const suggestions = suggestCommands(word, Object.keys(PROMPT_COMMANDS));
+        ui.message = suggestions.length
+            ? `${C.red}${t('input.didYouMean', { word, suggestions: suggestions.map(name => `'${name}'`).join(t('common.or')) })}${C.reset}`
+            : `${C.red}${t('input.unknownCommand', { word })}${C.reset}`;
+        return false;
+    }
+
+    ui.message = `${C.red}${parseErrorMessage(parsed)}${C.reset}${highlightToken(step, parsed.errorAt)}`;
+    return false;
+}
+
+/**
+ * Why a twist couldn't be read, in the player's language (parser.js errors are English)
+ */
+function parseErrorMessage(parsed) {
+    const { errorCode, errorParams } = parsed;
+    if (errorCode === 'notPositive') {
+        return t(errorParams.quantity === 'time' ? 'parser.notPositiveTime' : 'parser.notPositiveForce', errorParams);
+    }
+    return t(`parser.${errorCode}`, errorParams);
+}
+
+/**
+ * Echo the input with the token starting at index marked, so the player sees what went wrong
+ */
+function highlightToken(input, index) {
+    if (index === null) return "";
+    const token = input.slice(index).match(/^\S+/)[0];
+    return `  ${input.slice(0, index)}${C.bgRed}${token}${C.reset}${input.slice(index + token.length)}`;
+}
+
+/**
+ * Send a command to the engine, record it, and show what happened
+ * Pass the result's events if the command was already dispatched (a tick)
+ * Returns false if the engine rejected it
+ */
+async function runCommand(command, input, dispatched = null) {
+    const before = game.getState();
+    const { state, events } = dispatched ? { state: before, events: dispatched } : game.dispatch(command);
+    if (ui.recorder) ui.recorder.record(input, command, events);
+    ui.tracker.observe(events);
+    const earned = ui.achievements ? ui.achievements.observe(events) : [];
+
+    const twist = events.find(e => e.type === 'moveApplied');
+    if (twist) await animateTwist(before, twist.direction);
+
+    for (const event of events) {
+        if (event.type === 'levelCleared') {
+            // Show the open bottle before the engine's next level takes over the HUD
+            ui.holdRender = true;
+            renderInterface({ ...state, level: event.level, bottle: event.bottle }, [`${C.green}${t('hud.levelComplete', { level: event.level })}${C.reset}`]);
+            await sleep(2000 / ui.speed);
+            ui.holdRender = false;
+            if (REVEAL) revealBottle(event.bottle);
+            continue;
+        }
+        describeEvent(event);
+    }
+    announceAchievements(earned);
+    return !events.some(e => e.type === 'moveRejected' || e.type === 'restRejected');
+}
+
+/**
+ * Zen --reveal: log the values the HUD keeps hidden, once the bottle is open
+ * A double thread has swapped its locked direction by then; the reveal gives the first one
+ */
+function revealBottle(bottle) {
+    const lockedDir = bottle.flipped ? (bottle.lockedDir === 'CW' ? 'ACW' : 'CW') : bottle.lockedDir;
+    ui.history.push(`${C.magenta}${t('events.revealed', {
+        direction: lockedDir === 'CW' ? 'ACW' : 'CW',
+        required: bottle.requiredForce,
+        capacity: bottle.maxCapacity
+    })}${C.reset}`);
+}
+
+/**
+ * Log achievements the moment a run earns them - only the ones the player doesn't hold yet
+ */
+function announceAchievements(ids) {
+    for (const id of ids) {
+        if (ui.ownedAchievements[id]) continue;
+        ui.history.push(`${C.bright}${C.yellow}${G.star} ${t('achievements.unlocked', { name: achievementName(id) })}${C.reset}`);
+    }
+}
+
+/**
+ * Turn the cap on the HUD the way it was twisted (terminals only)
+ */
+async function animateTwist(state, direction) {
+    if (!screen.interactive) return;
+    const held = ui.holdRender;
+    ui.holdRender = true;
+    for (let frame = 0; frame < TWIST_FRAMES; frame++) {
+        ui.capTurn = { direction, frame };
+        renderInterface(state);
+        await sleep(TWIST_FRAME_MS / ui.speed);
+    }
+    ui.capTurn = null;
+    ui.holdRender = held;
+}
+
+// --- PROMPT COMMANDS ---
+// Everything that can be typed besides a twist. Each run(argText, input) returns
+// false if it failed, so a sequence knows to stop.
+
+const PROMPT_COMMANDS = {
+    help: { aliases: ['?'], usage: "help", summary: t('commands.help'), run: showHelp },
+    rules: { aliases: [], usage: "rules", summary: t('commands.rules'), run: showRules },
+    status: { aliases: [], usage: "status", summary: t('commands.status'), run: showStatus },
+    rest: { aliases: [], usage: t('commands.restUsage'), summary: t('commands.rest'), run: restFor },
+    history: { aliases: ['log'], usage: "history", summary: t('commands.history'), run: showHistory },
+    pause: { aliases: [], usage: "pause", summary: t('commands.pause'), run: pauseRun },
+    save: { aliases: [], usage: "save", summary: t('commands.save'), run: saveRun },
+    quit: { aliases: ['exit'], usage: "quit", summary: t('commands.quit'), run: quitRun }
+};
+
+function findPromptCommand(word) {
+    const name = Object.keys(PROMPT_COMMANDS).find(key => key === word || PROMPT_COMMANDS[key].aliases.includes(word));
+    return name ? PROMPT_COMMANDS[name] : null;
+}
+
+/**
+ * Show a full screen over the HUD until ENTER - the run's clock keeps going (unless turn-based)
+ */
+async function showOverlay(print) {
+    ui.holdRender = true;
     clearScreen();
-    console.log(`${C.cyan}${'='.repeat(60)}${C.reset}`);
-    console.log(`${C.bright}${C.yellow}        THE TORQUE PARADOX${C.reset}`);
-    console.log(`${C.cyan}${'='.repeat(60)}${C.reset}\n`);
-    
-    state.playerId = DEFAULT_PLAYER_ID;
+    await print();
+    const clockNote = game.config.timeModel === 'turn' ? "" : t('commands.clockRunning');
+    await ask(`\n${C.bright}${t('commands.returnToGame', { note: clockNote })}${C.reset}`);
+    ui.holdRender = false;
+    return true;
+}
+
+function showHelp() {
+    return showOverlay(() => {
+        console.log(`${C.bright}${t('commands.title')}${C.reset}`);
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+        console.log(`  ${C.green}${"cw 20s 10n".padEnd(18)}${C.reset}${t('commands.twistUsage')}`);
+        console.log(`  ${C.green}${"acw 10s 20n; ...".padEnd(18)}${C.reset}${t('commands.chainUsage')}`);
+        for (const entry of Object.values(PROMPT_COMMANDS)) {
+            const aliases = entry.aliases.length ? t('commands.aliases', { aliases: entry.aliases.join(", ") }) : "";
+            console.log(`  ${C.green}${entry.usage.padEnd(18)}${C.reset}${entry.summary}${aliases}`);
+        }
+    });
+}
+
+function showRules() {
+    return showOverlay(() => printRules({ animate: false }));
+}
+
+function showHistory() {
+    return showOverlay(() => {
+        console.log(`${C.bright}${t('commands.runLog')}${C.reset}`);
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+        if (ui.history.length === 0) console.log(t('commands.nothingYet'));
+        ui.history.forEach(line => console.log(` > ${line}`));
+    });
+}
+
+function showStatus() {
+    const state = game.getState();
+    const condition = describeCondition(state.bottle);
+    const stress = readStress(state.bottle, game.config.stressMeterSteps);
+    // Endless has no last level to count to, zen no time pool
+    const report = ENDLESS ? 'commands.statusReportEndless' : (ZEN ? 'commands.statusReportZen' : 'commands.statusReport');
+    ui.message = t(report, {
+        level: state.level,
+        total: TOTAL_LEVELS,
+        bottle: t(`bottles.${state.bottle.type}.name`),
+        count: state.moves.length,
+        energy: Math.floor(state.energy),
+        remaining: formatTime(state.remainingTime),
+        grip: t(`grip.${condition.grip}`).toLowerCase(),
+        integrity: t(`integrity.${condition.integrity}`).toLowerCase(),
+        stress: stress === null ? t('commands.stressUnknown') : `${Math.round(stress * 100)}%`
+    });
+    return true;
+}
+
+function restFor(argText, input) {
+    const seconds = parseDuration(argText);
+    if (seconds === null) {
+        ui.message = `${C.red}${t('commands.restHelp')}${C.reset}`;
+        return false;
+    }
+    return runCommand({ type: 'rest', seconds }, input);
+}
+
+async function quitRun(argText, input) {
+    ui.holdRender = true;
+    const answer = await ask(`${C.yellow}${t('commands.quitConfirm')}${C.reset}`);
+    ui.holdRender = false;
+    if (!answerIs(answer, 'common.yesWord')) {
+        ui.message = t('commands.carryOn');
+        return false;
+    }
+    return runCommand({ type: 'quit' }, input);
+}
+
+async function runGame() {
+    // Who is playing? --player skips the menu
+    if (args.player !== undefined) {
+        selectProfileByName(args.player);
+    } else {
+        await chooseProfile();
+    }
     
-    // Show personal best
-    displayPersonalBest(state.playerId);
+    // Show personal best - it is also the ghost the splits column races against
+    ui.personalBest = getPersonalBest(ui.playerId, run.daily, run.difficulty);
+    ui.ownedAchievements = getAchievements(ui.playerId);
+    ui.achievements = TRACK_ACHIEVEMENTS ? createAchievementTracker({ totalLevels: TOTAL_LEVELS }) : null;
+    await displayPersonalBest(ui.playerId, run.daily, run.difficulty);
     
     // Show intro and rules
     await showIntroAndRules();
     
     clearScreen();
-    console.log(C.yellow + "Initializing The Torque Paradox..." + C.reset);
+    console.log(C.yellow + t('intro.initializing') + C.reset);
     await sleep(1500);
 
     // START THE TIMER
-    state.startTime = Date.now();
-    state.remainingTime = MAX_TIME_SECONDS;
-    state.lastRecoveryTick = getTimeElapsed();
+    const { events: startEvents } = game.start();
+    startEvents.forEach(describeEvent);
+    ui.tracker.observe(startEvents);
+    ui.recorder = createRecorder({ dir: REPLAY_DIR, seed: run.seed, daily: run.daily, config: game.config, playerId: ui.playerId, playerName: ui.playerName, startTime: game.getState().startTime });
+
+    await playRun();
+}
+
+/**
+ * Pick a saved run back up where 'save' left it - the save is used up
+ */
+async function resumeGame() {
+    deleteSave(saveFile);
+    ui.personalBest = getPersonalBest(ui.playerId, run.daily, run.difficulty);
+    ui.ownedAchievements = getAchievements(ui.playerId);
+    ui.achievements = TRACK_ACHIEVEMENTS && !run.unverified ? createAchievementTracker({ totalLevels: TOTAL_LEVELS, initial: saved.achievements }) : null;
+
+    // Keep writing the same replay file so the whole run verifies as one
+    try {
+        ui.recorder = resumeRecorder(saved.replayFile);
+    } catch (e) {
+        console.error(`${C.yellow}${t('pause.recorderLost', { error: e.message })}${C.reset}`);
+        await sleep(2000);
+    }
+
+    if (run.unverified) {
+        console.error(`${C.yellow}${t('pause.saveChanged')}${C.reset}`);
+        await sleep(2000);
+    }
 
+    await runCommand({ type: 'resume' }, 'resume');
+    await playRun();
+}
+
+/**
+ * The prompt loop of a live run, then the game over screen
+ */
+async function playRun() {
     // Setup the prompt so readline knows what to redraw
-    rl.setPrompt(`${C.bright}Action > ${C.reset}`);
+    rl.setPrompt(`${C.bright}${t('hud.prompt')}${C.reset}`);
+    screen.enter();
 
     // START THE BACKGROUND UI TICKER
-    const UI_TICKER = setInterval(() => {
-        if (!state.isGameOver && bottle.requiredForce !== 0) {
-            const currentTime = getTimeElapsed();
-            updateEnergyRecovery(currentTime);
-            renderInterface();
-            // Redraw the prompt and whatever the user is currently typing
-            rl.prompt(true); 
+    ui.ticker = setInterval(() => {
+        if (ui.holdRender) return;
+        const { state, events } = game.tick();
+        if (events.length) {
+            // The real-time clock ran out while the player was thinking
+            runCommand({ type: 'tick' }, '', events);
+            if (ui.wake) ui.wake(null);
+            return;
         }
+        // Only the changed cells are rewritten - the input line is left alone
+        if (state.status === 'playing') renderInterface(state);
     }, 1000);
 
-    while (!state.isGameOver && state.level <= TOTAL_LEVELS) {
-        // Level Setup
-        if (!bottle.isOpen && bottle.requiredForce === 0) {
-            generateBottle(state.level);
-            state.energy = Math.min(100, state.energy + 20);
-            state.message = `Level ${state.level} Started. Good luck.`;
-        }
-
+    while (game.getState().status === 'playing') {
         // Force an immediate render before asking for input
         renderInterface(); 
-        
-        // Time Check (using remaining time now)
-        if (state.remainingTime <= 0) {
-            state.isGameOver = true;
-            state.message = `${C.bgRed} TIME'S UP! The bomb... err, bottle remained closed. ${C.reset}`;
-            break;
-        }
 
         // Wait for input using the prompt we set earlier
         const answer = await new Promise((resolve) => {
+            ui.wake = resolve; // Lets the ticker end the wait when the clock runs out
+            ui.prompting = true;
+            screen.focusInput();
             rl.prompt();
             rl.once('line', resolve);
         });
+        ui.prompting = false;
+        if (NARRATE) ui.message = ""; // Whatever the input brings is read out, even the same message again
 
-        await processMove(answer);
-
-        // Level Completion Check
-        if (bottle.isOpen) {
-            renderInterface();
-            console.log(`${C.green}>>> LEVEL ${state.level} COMPLETE! <<<${C.reset}`);
-            await sleep(2000);
-            state.level++;
-            state.history = []; 
-            bottle.requiredForce = 0; 
-            bottle.isOpen = false;
-        }
+        if (answer === null || ui.interrupted) continue; // The clock or the Ctrl+C prompt took this line
+        await processInput(answer);
     }
 
+    if (ui.interrupted) return; // Giving up from the Ctrl+C prompt ends the run there
+    await endRun();
+}
+
+async function endRun() {
     // STOP THE TICKER WHEN GAME ENDS
-    clearInterval(UI_TICKER);
+    clearInterval(ui.ticker);
+    ui.ticker = null;
+    screen.leave(); // The results stay on the normal screen after exit
+
+    await showGameOver();
+    showRunDebrief();
+
+    // Display personal best again
+    await displayPersonalBest(ui.playerId, run.daily, run.difficulty);
+    
+    console.log(t('common.pressAnyKey'));
+    await new Promise(resolve => rl.once('line', resolve));
+    rl.close();
+    process.exit(0);
+}
+
+// --- PAUSE, SAVE & CTRL+C ---
 
-    // --- GAME OVER SEQUENCE ---
+/**
+ * Pause the run (if it isn't already) and write it to the player's save slot, then exit
+ */
+async function saveAndExit() {
+    if (game.getState().pausedAt === null) await runCommand({ type: 'pause' }, 'save');
+    clearInterval(ui.ticker);
+
+    const file = writeSave(SAVE_DIR, {
+        playerId: ui.playerId,
+        playerName: ui.playerName,
+        seed: run.seed,
+        daily: run.daily,
+        unverified: run.unverified,
+        config: game.config,
+        rngPosition: rng.getPosition(),
+        state: game.getState(),
+        tracker: ui.tracker.summary(),
+        achievements: ui.achievements ? ui.achievements.summary() : null,
+        log: { history: ui.history, historyStart: ui.historyStart },
+        replayFile: ui.recorder ? ui.recorder.file : null
+    });
+    if (!file) {
+        // Nothing was lost yet - the run is still paused in memory
+        ui.message = `${C.red}${t('pause.saveFailed')}${C.reset}`;
+        return false;
+    }
+
+    screen.leave();
+    clearScreen();
+    const lang = args.lang !== undefined ? ` --lang ${LANGUAGE}` : "";
+    const dataDir = args['data-dir'] !== undefined ? ` --data-dir ${JSON.stringify(DATA_DIR)}` : "";
+    console.log(`${C.green}${t('pause.saved', { level: game.getState().level, total: TOTAL_LEVELS })}${C.reset}`);
+    console.log(t('pause.continueWith', { command: `${C.bright}node game.js --resume --player ${JSON.stringify(ui.playerName)}${lang}${dataDir}${C.reset}` }));
+    rl.close();
+    process.exit(0);
+}
+
+/**
+ * 'pause': stop the clock until ENTER, or save and exit from the pause screen
+ */
+async function pauseRun(argText, input) {
+    if (!(await runCommand({ type: 'pause' }, input))) return false;
+    ui.holdRender = true;
+    clearScreen();
+    console.log(`${C.bright}${C.cyan}${t('pause.title')}${C.reset} - ${t('pause.explain')}`);
+    const answer = await ask(`\n${t('pause.prompt')}`);
+    ui.holdRender = false;
+    if (answer.trim().toLowerCase() === 'save') return saveAndExit();
+    return runCommand({ type: 'resume' }, 'resume');
+}
+
+function saveRun() {
+    return saveAndExit();
+}
+
+/**
+ * Ctrl+C: during a run, pause and offer to save; anywhere else, put the terminal back and leave
+ */
+async function handleInterrupt() {
+    const state = game.getState();
+    if (replay || state.status !== 'playing' || !ui.ticker) {
+        process.stdout.write(C.reset + "\n");
+        rl.close();
+        process.exit(130);
+    }
+    if (ui.interrupted) return;
+
+    ui.interrupted = true;
+    ui.holdRender = true;
+    await runCommand({ type: 'pause' }, 'pause');
+    const [yes, no] = [t('common.yes'), t('pause.no')];
+    console.log(`\n${C.yellow}${t('pause.interrupted')}${C.reset} ${t('pause.interruptPrompt', { yes, no })}`);
+    rl.prompt();
+    const answer = await new Promise(resolve => rl.once('line', resolve));
+
+    if (answerIs(answer, 'common.yesWord')) return saveAndExit();
+    if (answerIs(answer, 'common.noWord')) {
+        await runCommand({ type: 'quit' }, 'quit');
+        return endRun();
+    }
+    await runCommand({ type: 'resume' }, 'resume');
+    ui.holdRender = false;
+    ui.interrupted = false;
+    renderInterface();
+    screen.focusInput();
+    rl.prompt();
+}
+
+if (rl) {
+    rl.on('SIGINT', handleInterrupt); // Ctrl+C at the prompt
+    process.on('SIGINT', handleInterrupt); // A signal from elsewhere
+}
+
+/**
+ * Final statistics screen
+ * Live runs save the score and finish the replay file; playback only shows the result
+ */
+async function showGameOver({ save = true } = {}) {
     clearScreen();
     
-    const timeUsed = getTimeElapsed();
+    const state = game.getState();
+    const timeUsed = game.getTimeElapsed();
     const energyRemaining = state.energy;
-    
-    if (state.level > TOTAL_LEVELS) {
-        // SUCCESS!
-        const timeScore = (MAX_TIME_SECONDS - timeUsed) * 100;
-        const energyBonus = Math.floor(energyRemaining * 10);
-        const totalScore = timeScore + energyBonus;
-        
-        console.log(`${C.bgGreen}${C.black}  🎉 CONGRATULATIONS! YOU OPENED ALL BOTTLES! 🎉  ${C.reset}\n`);
-        console.log(`${C.bright}${C.cyan}═══════════════════════════════════════════════${C.reset}`);
-        console.log(`${C.bright}FINAL STATISTICS:${C.reset}`);
-        console.log(`${C.cyan}───────────────────────────────────────────────${C.reset}`);
-        console.log(`Time Used:       ${C.yellow}${formatTime(timeUsed)}${C.reset} / ${formatTime(MAX_TIME_SECONDS)}`);
-        console.log(`Time Saved:      ${C.green}${formatTime(MAX_TIME_SECONDS - timeUsed)}${C.reset}`);
-        console.log(`Energy Remaining: ${C.green}${Math.floor(energyRemaining)}%${C.reset}`);
-        console.log(`Time Score:      ${C.bright}${timeScore}${C.reset} points`);
-        console.log(`Energy Bonus:    ${C.bright}${energyBonus}${C.reset} points`);
-        console.log(`${C.bright}TOTAL SCORE:     ${C.green}${totalScore}${C.reset} points${C.reset}`);
-        console.log(`${C.cyan}───────────────────────────────────────────────${C.reset}\n`);
+    let savedScore = null; // What savePersonalBest stored - the replay keeps it for --verify
+    // Failed runs keep the points of the bottles they opened; only zen scores nothing without a win
+    const scored = scoreRun(state, timeUsed, game.config);
+
+    if (state.status !== 'won') {
+        // FAILURE
+        console.log(`${C.bgRed}${C.white}  ${t('gameOver.failed')}  ${C.reset}\n`);
+        console.log(`${C.red}${t('gameOver.reason', { reason: ui.message })}${C.reset}`);
+        console.log(t('gameOver.reached', { level: state.level, time: formatTime(timeUsed) }));
+        console.log(describeRun());
+    }
+
+    if (scored) {
+        const parts = SCORE_PARTS[MODE];
+        const [usedLabel, savedLabel, energyLabel, totalLabel, ...partLabels] = padLabels(
+            ['gameOver.timeUsed', 'gameOver.timeSaved', 'gameOver.energyRemaining', 'gameOver.totalScore', ...parts.map(part => `gameOver.${part.key}`)]);
+        const points = t('gameOver.pointsUnit');
+        const unit = parts.some(part => part.points) ? ` ${points}` : "";
+        if (state.status === 'won') {
+            // SUCCESS!
+            console.log(`${C.bgGreen}${C.black}  ${G.party} ${t('gameOver.congratulations')} ${G.party}  ${C.reset}\n`);
+        } else {
+            console.log("");
+        }
+        console.log(`${C.bright}${C.cyan}${G.doubleRule.repeat(47)}${C.reset}`);
+        console.log(`${C.bright}${t('gameOver.finalStats')}${C.reset}`);
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}`);
+        if (MODE === 'classic') {
+            console.log(`${usedLabel}${C.yellow}${formatTime(timeUsed)}${C.reset} / ${formatTime(MAX_TIME_SECONDS)}`);
+            if (state.status === 'won') console.log(`${savedLabel}${C.green}${formatTime(MAX_TIME_SECONDS - timeUsed)}${C.reset}`);
+        } else {
+            console.log(`${usedLabel}${C.yellow}${formatTime(timeUsed)}${C.reset}`);
+        }
+        console.log(`${energyLabel}${C.green}${Math.floor(energyRemaining)}%${C.reset}`);
+        parts.forEach((part, i) => console.log(`${partLabels[i]}${C.bright}${scored[part.key]}${C.reset}${part.points ? ` ${points}` : ""}`));
+        console.log(`${C.bright}${totalLabel}${C.green}${scored.score}${C.reset}${unit}${C.reset}`);
+        if (state.status === 'won') console.log(describeRun());
+        if (scored.levels && scored.levels.length) printLevelBreakdown(scored.levels);
+        console.log(`${C.cyan}${G.rule.repeat(47)}${C.reset}\n`);
         
         // Save score and check if it's new personal best
-        const result = savePersonalBest(state.playerId, timeUsed, energyRemaining);
+        const splits = state.splits.map(toSplitSeconds);
+        const result = save && !run.unverified ? savePersonalBest(ui.playerId, scored, timeUsed, energyRemaining, { ...run, splits }) : { isNewPB: false };
+        if (result.newScore) savedScore = result.newScore.score;
+        if (save && run.unverified) console.log(`${C.yellow}${t('gameOver.notRecorded')}${C.reset}\n`);
         
         if (result.isNewPB) {
-            console.log(`${C.bright}${C.yellow}🌟 NEW PERSONAL BEST! 🌟${C.reset}`);
-            if (result.previousBest) {
+            console.log(`${C.bright}${C.yellow}${G.newBest} ${t('gameOver.newBest')} ${G.newBest}${C.reset}`);
+            if (result.previousBest && result.previousBest.score > 0) {
                 const improvementPercent = ((result.improvement / result.previousBest.score) * 100).toFixed(1);
-                console.log(`${C.green}You improved by ${result.improvement} points (${improvementPercent}% better)!${C.reset}\n`);
+                console.log(`${C.green}${t('gameOver.improved', { points: result.improvement, percent: improvementPercent })}${C.reset}\n`);
+            } else if (result.previousBest) {
+                console.log(`${C.green}${t('gameOver.improvedFromZero', { points: result.improvement })}${C.reset}\n`);
+            } else if (result.replacesOldScoring) {
+                console.log(`${C.green}${t('gameOver.replacesOldScoring')}${C.reset}\n`);
             } else {
-                console.log(`${C.green}This is your first completion. Awesome start!${C.reset}\n`);
+                console.log(`${C.green}${t(state.status === 'won' ? 'gameOver.firstCompletion' : 'gameOver.firstScore')}${C.reset}\n`);
             }
         }
     } else {
-        // FAILURE
-        console.log(`${C.bgRed}${C.white}  GAME OVER - MISSION FAILED  ${C.reset}\n`);
-        console.log(`${C.red}Reason: ${state.message}${C.reset}`);
-        console.log(`You reached Level ${state.level} in ${formatTime(timeUsed)}`);
-        
         // Show personal best for comparison
-        const personalBest = getPersonalBest(state.playerId);
+        const personalBest = getPersonalBest(ui.playerId, run.daily, run.difficulty);
         if (personalBest) {
-            console.log(`\n${C.yellow}Your personal best: ${personalBest.score} points (${formatTime(personalBest.timeUsed)})${C.reset}`);
+            console.log(`\n${C.yellow}${t('gameOver.yourBest', { score: personalBest.score, time: formatTime(personalBest.timeUsed) })}${C.reset}`);
         }
     }
 
-    // Display personal best again
-    displayPersonalBest(state.playerId);
-    
-    console.log("Press any key to exit...");
-    await new Promise(resolve => rl.once('line', resolve));
+    if (save && ui.achievements) {
+        const fresh = saveAchievements(ui.playerId, ui.achievements.summary().earned, run);
+        if (fresh.length) {
+            console.log(`\n${C.bright}${C.yellow}${t('achievements.unlockedThisRun')}${C.reset}`);
+            for (const id of fresh) {
+                console.log(`  ${C.yellow}${G.star}${C.reset} ${C.bright}${achievementName(id)}${C.reset} - ${t(`achievements.list.${id}.description`, ACHIEVEMENT_LIMITS)}`);
+            }
+            console.log("");
+        }
+    }
+
+    if (save && ui.recorder) {
+        ui.recorder.finish({ ...summarizeRun(state, timeUsed, game.config), score: savedScore });
+        console.log(`${C.cyan}${t('gameOver.replaySaved', { file: displayPath(ui.recorder.file) })}${C.reset}`);
+    }
+
+    if (save) {
+        appendRun(HISTORY_FILE, buildRunRecord({
+            playerId: ui.playerId,
+            seed: run.seed,
+            daily: run.daily,
+            difficulty: run.difficulty,
+            state,
+            timeUsed,
+            score: savedScore,
+            breakdown: scored ? { ...scored, score: undefined } : null,
+            tracker: ui.tracker,
+            replayFile: ui.recorder ? ui.recorder.file : null
+        }));
+    }
+}
+
+/**
+ * The itemised level points under the final statistics: one row per opened bottle
+ * Columns are as wide as their heading in the current language
+ */
+function printLevelBreakdown(levels) {
+    const keys = ['level', ...LEVEL_PARTS, 'multiplier', 'points'];
+    const headings = keys.map(key => t(`gameOver.columns.${key}`));
+    const widths = headings.map(heading => Math.max(5, heading.length));
+    const signed = (value) => value > 0 ? `+${value}` : String(value);
+    const cell = (level, key) => {
+        if (key === 'level' || key === 'base' || key === 'points') return String(level[key]);
+        if (key === 'multiplier') return `${G.times}${level.multiplier.toFixed(1)}`;
+        return level[key] === 0 ? "-" : signed(level[key]);
+    };
+
+    console.log(`${C.bright}${t('gameOver.levelBreakdown')}${C.reset}`);
+    console.log(`${C.bright}${headings.map((heading, i) => heading.padStart(widths[i])).join(" ")}${C.reset}`);
+    for (const level of levels) {
+        console.log(keys.map((key, i) => {
+            const text = cell(level, key).padStart(widths[i]);
+            if (key === 'points') return `${C.green}${text}${C.reset}`;
+            return level[key] < 0 ? `${C.red}${text}${C.reset}` : text;
+        }).join(" "));
+    }
+}
+
+/**
+ * Play a recorded run back through the normal HUD
+ * The manual clock walks forward a second at a time between moves, divided by --speed
+ */
+async function runReplay() {
+    screen.enter();
+    game.start().events.forEach(describeEvent);
+    const frameDelay = 1000 / ui.speed;
+    const banner = `${C.magenta}${t('hud.replay', { speed: ui.speed })}${C.reset}`;
+
+    for (const move of replay.moves) {
+        // Nothing happens while paused, however long it lasted
+        if (game.getState().pausedAt !== null) replayClock.set(move.at);
+        while (replayClock.now() + 1000 <= move.at) {
+            replayClock.advance(1000);
+            const { state, events } = game.tick();
+            events.forEach(describeEvent);
+            renderInterface(state, [banner]);
+            await sleep(frameDelay);
+        }
+        replayClock.set(move.at);
+
+        renderInterface(game.tick().state, [move.type === 'tick' ? banner : `${C.bright}${t('hud.prompt')}${C.reset}${move.input}`]);
+        await sleep(frameDelay);
+        await runCommand(replayCommand(move), move.input);
+    }
+
+    renderInterface(game.getState(), [banner]);
+    await sleep(frameDelay);
+    screen.leave();
+    await showGameOver({ save: false });
+
+    if (game.getState().status === 'playing') {
+        console.log(`${C.yellow}${t('gameOver.replayUnfinished')}${C.reset}`);
+    }
+    rl.close();
+    process.exit(0);
+}
+
+/**
+ * Re-simulate a replay without any output but the verdict
+ */
+function runVerify() {
+    const { ok, expected, actual, mismatches } = verifyReplay(replay);
+
+    if (ok) {
+        console.log(`${C.green}Replay verified: ${actual.outcome} at level ${actual.level}, score ${actual.score ?? 'none'}.${C.reset}`);
+    } else {
+        console.log(`${C.red}Replay does NOT match the recorded result:${C.reset}`);
+        mismatches.forEach(line => console.log(` - ${line}`));
+        if (expected) console.log(`Recorded:  ${JSON.stringify(expected)}`);
+        console.log(`Simulated: ${JSON.stringify(actual)}`);
+    }
+    rl.close();
+    process.exit(ok ? 0 : 1);
+}
+
+/**
+ * --script: play from a file, or stdin with '-', printing JSON lines instead of the HUD
+ * Nothing is saved - no scores, history or replay
+ */
+async function runScriptMode() {
+    if (args.script !== '-' && !fs.existsSync(args.script)) {
+        console.error(`Script "${args.script}" not found.`);
+        process.exit(1);
+    }
+    const input = args.script === '-' ? process.stdin : fs.createReadStream(args.script);
+    input.on('error', (e) => {
+        console.error(`Cannot read script "${args.script}": ${e.message}`);
+        process.exit(1);
+    });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    await runScript({
+        lines,
+        config: game.config,
+        seed: run.seed,
+        daily: run.daily,
+        write: (entry) => console.log(JSON.stringify(entry))
+    });
+    lines.close();
+    process.exit(0);
+}
+
+/**
+ * Print a simulation report (see simulate.js)
+ */
+function printSimulation(name, report, seedPrefix) {
+    const english = createTranslator(DEFAULT_LANGUAGE); // A balancing tool: the report reads the same for everyone
+    const pct = (v) => v === null ? "-" : `${(v * 100).toFixed(1)}%`;
+    const num = (v) => v === null ? "-" : `${Math.round(v)}`;
+
+    console.log(`${C.bright}SIMULATION: ${C.yellow}${name}${C.reset} x ${report.games}   Difficulty: ${C.magenta}${run.difficulty}${C.reset}   Seeds: ${seedPrefix}-1..${report.games}`);
+    console.log(`${C.white}${STRATEGIES[name].description}${C.reset}`);
+    console.log(`${C.cyan}${G.rule.repeat(67)}${C.reset}`);
+    console.log(`Win rate: ${C.bright}${pct(report.winRate)}${C.reset} (${report.wins} of ${report.games})`);
+
+    console.log("");
+    const failureHeads = FAILURE_OUTCOMES.map(outcome => outcomeLabel(outcome, english).split(' ')[0].padStart(10)).join('');
+    console.log(`${C.bright}Level  Reached  Cleared  Energy${failureHeads}${C.reset}`);
+    for (const row of report.levels) {
+        const clearColor = row.clearRate === null ? '' : (row.clearRate < 0.5 ? C.red : (row.clearRate < 0.8 ? C.yellow : C.green));
+        const failures = FAILURE_OUTCOMES.map(outcome => String(row.failures[outcome]).padStart(10)).join('');
+        console.log(`${String(row.level).padStart(5)}  ${String(row.reached).padStart(7)}  ${clearColor}${pct(row.clearRate).padStart(7)}${C.reset}  ${num(row.averageEnergy).padStart(6)}${failures}`);
+    }
+
+    console.log("");
+    console.log(`${C.bright}FAILURES${C.reset}`);
+    const lost = report.games - report.wins;
+    for (const outcome of FAILURE_OUTCOMES) {
+        const count = report.failures[outcome];
+        console.log(`  ${outcomeLabel(outcome, english).padEnd(20)} ${String(count).padStart(6)}  ${pct(lost ? count / lost : null)}`);
+    }
+
+    console.log("");
+    console.log(`${C.bright}SCORES${C.reset} (${game.config.mode === 'zen' ? "won runs" : "every run"})`);
+    const { scores } = report;
+    if (scores.count === 0) {
+        console.log(`  ${C.yellow}No wins - nothing to score.${C.reset}`);
+        return;
+    }
+    console.log(`  Min ${scores.min}   25% ${scores.p25}   Median ${num(scores.median)}   75% ${scores.p75}   Max ${scores.max}   Average ${num(scores.average)}`);
+    const most = Math.max(...scores.histogram.map(row => row.count));
+    for (const row of scores.histogram) {
+        const bar = G.block.repeat(Math.round(30 * row.count / most));
+        console.log(`  ${String(row.from).padStart(6)}-${String(row.to).padEnd(6)} ${C.green}${bar}${C.reset} ${row.count}`);
+    }
+}
+
+/**
+ * `node game.js simulate` - play many seeded games with a bot and report on the balance
+ */
+function runSimulate() {
+    const games = parseInt(args.games, 10);
+    if (!(games > 0)) {
+        console.error(`Invalid --games "${args.games}". Use a whole number above 0.`);
+        process.exit(1);
+    }
+    const names = args.strategy === 'all' ? Object.keys(STRATEGIES) : [args.strategy];
+    const unknown = names.find(name => !Object.hasOwn(STRATEGIES, name));
+    if (unknown) {
+        console.error(`Unknown strategy "${unknown}". Choose from: ${Object.keys(STRATEGIES).join(', ')}, all`);
+        process.exit(1);
+    }
+
+    const seedPrefix = args.seed ?? 'sim';
+    names.forEach((name, i) => {
+        if (i > 0) console.log("");
+        printSimulation(name, simulate({ strategy: STRATEGIES[name], config: game.config, games, seedPrefix }), seedPrefix);
+    });
+    rl.close();
+    process.exit(0);
+}
+
+/**
+ * `node game.js check-lang` - every catalog against English; exits 1 if any has gaps
+ */
+function runCheckLang() {
+    const results = checkCatalogs();
+    for (const { lang, problems } of results) {
+        console.log(problems.length
+            ? `${C.red}${lang}: ${problems.length} problem${problems.length === 1 ? "" : "s"}${C.reset}`
+            : `${C.green}${lang}: complete${C.reset}`);
+        problems.forEach(problem => console.log(`  - ${problem}`));
+    }
+    rl.close();
+    process.exit(results.some(result => result.problems.length > 0) ? 1 : 0);
+}
+
+/**
+ * `node game.js validate-pack <file>` - check a level pack's ranges and flag unwinnable levels; exits 1 if any
+ * The time budget of levels without one comes from --difficulty, --config and --time-model
+ */
+function runValidatePack() {
+    const file = commandArg ?? args.pack;
+    if (file === undefined) {
+        console.error("Which pack? node game.js validate-pack <file>");
+        process.exit(1);
+    }
+    let pack;
+    try {
+        pack = loadPack(file);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    const problems = validatePack(pack, gameConfig);
+    const name = typeof pack.name === 'string' ? pack.name : file;
+    const levels = Array.isArray(pack.levels) ? pack.levels.length : 0;
+    if (problems.length === 0) {
+        console.log(`${C.green}${name}: ${levels} level${levels === 1 ? "" : "s"}, all playable${C.reset}`);
+    } else {
+        console.log(`${C.red}${name}: ${problems.length} problem${problems.length === 1 ? "" : "s"}${C.reset}`);
+        problems.forEach(problem => console.log(`  - ${problem}`));
+    }
+    rl.close();
+    process.exit(problems.length > 0 ? 1 : 0);
+}
+
+/**
+ * `node game.js debrief [replay file]` - the debrief of a stored run
+ * Without a file, the latest recorded run of --player (or the last profile used)
+ */
+function runDebrief() {
+    let file = commandArg;
+    if (file === undefined) {
+        const profile = commandProfile();
+        const latest = loadHistory(HISTORY_FILE, profile.id).filter(r => r.replayFile).pop();
+        if (!latest) {
+            console.error(`${profile.name} has no recorded runs to debrief.`);
+            process.exit(1);
+        }
+        file = latest.replayFile;
+    }
+    try {
+        printDebrief(debriefReplay(loadReplay(file)));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    rl.close();
+    process.exit(0);
+}
+
+/**
+ * `node game.js export [file]` - the records of --player (every profile without it) and
+ * their profiles, to carry to another machine; to stdout without a file
+ */
+function runExport() {
+    const data = loadProfilesWithLegacy();
+    let playerIds = null;
+    if (args.player !== undefined) {
+        const profile = findProfile(data, args.player);
+        if (!profile) {
+            console.error(`No profile named "${args.player}".`);
+            process.exit(1);
+        }
+        playerIds = [profile.id];
+    }
+    const exported = exportScores(loadPersonalBests(), data.profiles, playerIds);
+    const text = JSON.stringify(exported, null, 2);
+
+    if (commandArg === undefined) {
+        process.stdout.write(text + "\n");
+    } else {
+        try {
+            writeFileAtomic(path.resolve(commandArg), text);
+        } catch (e) {
+            console.error(`Could not write ${commandArg}: ${e.message}`);
+            process.exit(1);
+        }
+        console.log(t('storage.exported', { count: Object.keys(exported.profiles).length, file: commandArg }));
+    }
+    rl.close();
+    process.exit(0);
+}
+
+/**
+ * `node game.js import <file>` - merge an export into this machine's records
+ * The better record wins each table; profiles it brings are added
+ */
+function runImport() {
+    if (commandArg === undefined) {
+        console.error("Which file? node game.js import <file>");
+        process.exit(1);
+    }
+    let imported;
+    try {
+        imported = readExport(commandArg);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    const data = loadProfilesWithLegacy();
+    const before = new Set(Object.keys(data.profiles));
+    const ids = {}; // Imported id -> the profile its records go to here, which may have a new id
+    for (const profile of Object.values(imported.profiles)) ids[profile.id] = importProfile(data, profile).id;
+    const added = Object.values(data.profiles).filter(profile => !before.has(profile.id)).map(profile => profile.name);
+    saveProfiles(PROFILE_FILE, data);
+
+    const personalBests = loadPersonalBests();
+    const counts = mergeScores(personalBests, remapPlayers(imported.scores, ids));
+    if (!saveScores(SCORE_FILE, personalBests)) process.exit(1);
+
+    console.log(t('storage.imported', { file: commandArg }));
+    console.log(t('storage.importedRecords', { count: counts.added + counts.improved }));
+    if (counts.kept) console.log(t('storage.importedKept', { count: counts.kept }));
+    if (added.length) console.log(t('storage.importedProfiles', { count: added.length, names: added.join(", ") }));
+    if (imported.scores.unverified) console.log(`${C.yellow}${t('best.unverified')}${C.reset}`);
     rl.close();
     process.exit(0);
 }
 
 // Start
-runGame();
+if (args.script !== undefined) {
+    runScriptMode();
+} else if (command === 'stats') {
+    runStats();
+} else if (command === 'simulate') {
+    runSimulate();
+} else if (command === 'check-lang') {
+    runCheckLang();
+} else if (command === 'validate-pack') {
+    runValidatePack();
+} else if (command === 'debrief') {
+    runDebrief();
+} else if (command === 'export') {
+    runExport();
+} else if (command === 'import') {
+    runImport();
+} else if (args.verify) {
+    runVerify();
+} else if (replay) {
+    runReplay();
+} else if (saved) {
+    resumeGame();
+} else {
+    runGame();
+}
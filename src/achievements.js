@@ -0,0 +1,65 @@
+/**
+ * THE TORQUE PARADOX - Achievements
+ *
+ * Feats a run can earn, worked out from the engine's events as they come in.
+ * Names and descriptions live in the message catalogs (achievements.list.<id>);
+ * which ones a player holds is kept in the score file (see game.js).
+ */
+
+// In the order the achievements screen lists them
+export const ACHIEVEMENTS = Object.freeze(['cleanHands', 'oneAndDone', 'ironLungs', 'brinkmanship', 'sprinter']);
+
+// The catalog descriptions take these as {energy}, {newtons} and {seconds}
+export const ACHIEVEMENT_LIMITS = Object.freeze({
+    energy: 80, // Iron Lungs: win with more energy than this (%)
+    newtons: 2, // Brinkmanship: open the last bottle with no more than this to spare before it breaks
+    seconds: 60 // Sprinter: win in less time than this
+});
+
+/**
+ * Follow a run's engine events and report achievements as they are earned
+ * observe(events) returns the ids earned by that batch; each is earned once per run
+ * Pass an earlier summary() to carry on tracking a saved run
+ */
+export function createAchievementTracker({ totalLevels, initial = null }) {
+    let wrongDirection = initial ? initial.wrongDirection : 0;
+    let everyLevelInOne = initial ? initial.everyLevelInOne : true;
+    const earned = new Set(initial ? initial.earned : []);
+
+    function earn(id, into) {
+        if (earned.has(id)) return;
+        earned.add(id);
+        into.push(id);
+    }
+
+    return {
+        observe(events) {
+            const now = [];
+            for (const event of events) {
+                switch (event.type) {
+                    case 'moveApplied':
+                        if (event.result === 'tightened') wrongDirection++;
+                        // load is the force as a share of what the bottle could take at that moment
+                        if (event.result === 'opened' && event.level === totalLevels &&
+                            event.force / event.load - event.force <= ACHIEVEMENT_LIMITS.newtons) {
+                            earn('brinkmanship', now);
+                        }
+                        break;
+                    case 'levelCleared':
+                        if (event.moves !== 1) everyLevelInOne = false;
+                        break;
+                    case 'gameWon':
+                        if (wrongDirection === 0) earn('cleanHands', now);
+                        if (everyLevelInOne) earn('oneAndDone', now);
+                        if (event.energy > ACHIEVEMENT_LIMITS.energy) earn('ironLungs', now);
+                        if (event.timeUsed < ACHIEVEMENT_LIMITS.seconds) earn('sprinter', now);
+                        break;
+                }
+            }
+            return now;
+        },
+        summary() {
+            return { wrongDirection, everyLevelInOne, earned: [...earned] };
+        }
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * THE TORQUE PARADOX - Bottle Catalog
+ *
+ * Each archetype changes how a bottle is built and how it reacts to a twist.
+ * The traits are copied onto every bottle so the physics never needs to look
+ * the catalog up again (hand-made bottles can carry the same traits).
+ *
+ * Traits:
+ *   marginFactor    - scales the safety margin between required force and capacity
+ *   flex            - share of every twist the material absorbs before it reaches the thread
+ *   staticFriction  - extra force (as a share of required force) to break the cap loose once
+ *   needsPress      - the cap only grips while pushed down ('press' in the move)
+ *   doubleThread    - the lock direction flips halfway through opening
+ *   fatigueWarning  - whether the material lets you feel it weakening
+ *   weight(level)   - how often this type is drawn on a level
+ */
+
+export const BOTTLE_TYPES = Object.freeze({
+    standard: {
+        name: "Standard",
+        description: "A plain screw cap. No surprises.",
+        marginFactor: 1,
+        flex: 0,
+        staticFriction: 0,
+        needsPress: false,
+        doubleThread: false,
+        fatigueWarning: true,
+        weight: (level) => Math.max(1, 6 - level),
+        color: 'yellow',
+        art: [
+            "       _____ ",
+            "      [:::::]",
+            "      |     |",
+            "      |     |",
+            "      |_____|"
+        ]
+    },
+    glass: {
+        name: "Glass",
+        description: "Thin glass. Breaks early and never creaks first.",
+        marginFactor: 0.6,
+        flex: 0,
+        staticFriction: 0,
+        needsPress: false,
+        doubleThread: false,
+        fatigueWarning: false,
+        weight: (level) => level >= 2 ? 2 : 0,
+        color: 'cyan',
+        art: [
+            "       _____ ",
+            "      [=====]",
+            "       )   ( ",
+            "      /  ~  \\",
+            "      \\_____/"
+        ]
+    },
+    plastic: {
+        name: "Plastic",
+        description: "Soft plastic. Flexes and soaks up part of every twist.",
+        marginFactor: 1.5,
+        flex: 0.2,
+        staticFriction: 0,
+        needsPress: false,
+        doubleThread: false,
+        fatigueWarning: true,
+        weight: (level) => level <= 5 ? 3 : 1,
+        color: 'magenta',
+        art: [
+            "       _____ ",
+            "      [#####]",
+            "      (     )",
+            "      (     )",
+            "      (_____)"
+        ]
+    },
+    rusted: {
+        name: "Rusted metal",
+        description: "Rust-welded. Hard to get moving, easier once it turns.",
+        marginFactor: 1,
+        flex: 0,
+        staticFriction: 0.3,
+        needsPress: false,
+        doubleThread: false,
+        fatigueWarning: true,
+        weight: (level) => level >= 3 ? 2 : 0,
+        color: 'red',
+        art: [
+            "       _____ ",
+            "      [%%%%%]",
+            "      |.:. :|",
+            "      |: .:.|",
+            "      |_____|"
+        ]
+    },
+    childproof: {
+        name: "Child-proof",
+        description: "Only grips while pushed down - add 'press' to your twist.",
+        marginFactor: 1,
+        flex: 0,
+        staticFriction: 0,
+        needsPress: true,
+        doubleThread: false,
+        fatigueWarning: true,
+        weight: (level) => level >= 4 ? 2 : 0,
+        color: 'green',
+        art: [
+            "       _v_v_ ",
+            "      [|||||]",
+            "      |     |",
+            "      | +++ |",
+            "      |_____|"
+        ]
+    },
+    doubleThread: {
+        name: "Double-threaded",
+        description: "Two threads. Halfway open, the direction flips.",
+        marginFactor: 1,
+        flex: 0,
+        staticFriction: 0,
+        needsPress: false,
+        doubleThread: true,
+        fatigueWarning: true,
+        weight: (level) => level >= 6 ? 1 + (level - 6) * 0.5 : 0,
+        color: 'blue',
+        art: [
+            "       _____ ",
+            "      [/\\/\\/]",
+            "      |     |",
+            "      |  =  |",
+            "      |_____|"
+        ]
+    }
+});
+
+/**
+ * Draw a bottle type for a level, weighted by each type's weight(level)
+ */
+export function pickBottleType(level, random = Math.random) {
+    const entries = Object.entries(BOTTLE_TYPES)
+        .map(([key, type]) => [key, type.weight(level)])
+        .filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = random() * total;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
+/**
+ * The physics traits of a type, ready to copy onto a bottle
+ */
+export function bottleTraits(typeKey) {
+    const type = BOTTLE_TYPES[typeKey];
+    if (!type) throw new Error(`Unknown bottle type: ${typeKey}`);
+    const { flex, staticFriction, needsPress, doubleThread, fatigueWarning } = type;
+    return { type: typeKey, flex, staticFriction, needsPress, doubleThread, fatigueWarning };
+}
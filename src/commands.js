@@ -0,0 +1,53 @@
+/**
+ * THE TORQUE PARADOX - Prompt Command Language
+ *
+ * Pure helpers for what can be typed at the in-game prompt: chained sequences,
+ * command words and "did you mean" suggestions for typos. The commands
+ * themselves live in the CLI, which owns the screen.
+ */
+
+export const SEQUENCE_SEPARATOR = ';';
+
+/**
+ * Split 'acw 10s 20n; acw 5s 30n' into its steps, dropping empty ones
+ */
+export function splitSequence(input) {
+    return input.split(SEQUENCE_SEPARATOR).map(step => step.trim()).filter(Boolean);
+}
+
+/**
+ * Split a step into its first word (lower case) and the text after it
+ */
+export function splitCommandWord(step) {
+    const [word = '', ...rest] = step.trim().split(/\s+/);
+    return { word: word.toLowerCase(), argText: rest.join(' ') };
+}
+
+/**
+ * Levenshtein distance: single-character inserts, deletes and substitutions
+ */
+export function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Command names a mistyped word was probably meant to be, closest first
+ * Matches are a short edit away, or start with what was typed ('hist' -> 'history')
+ */
+export function suggestCommands(word, names, maxDistance = 2) {
+    if (!word) return [];
+    return names
+        .map(name => ({ name, distance: name.startsWith(word) ? 0 : editDistance(word, name) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ name }) => name);
+}
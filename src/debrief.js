@@ -0,0 +1,167 @@
+/**
+ * THE TORQUE PARADOX - Run Debrief
+ *
+ * What was really going on in a run: every bottle's hidden values, each twist
+ * made against them, the energy the twists wasted and the cheapest way the
+ * bottle could have been opened. It is worked out by playing the run's replay
+ * back through the engine, so any recorded run can be debriefed afterwards.
+ */
+
+import { createGame, calculateEnergyLoss } from './engine.js';
+import { cheapestOpening, effectiveCapacity, forceToFinish } from './physics.js';
+import { createRng } from './rng.js';
+import { createManualClock, replayCommand } from './replay.js';
+
+// Efficiency ratings, best first, with the least efficiency (0..1) that earns each
+export const EFFICIENCY_RATINGS = Object.freeze([
+    { rating: 'flawless', min: 0.95 },
+    { rating: 'efficient', min: 0.75 },
+    { rating: 'wasteful', min: 0.4 },
+    { rating: 'brutish', min: 0 }
+]);
+
+/**
+ * The rating for an efficiency, or 'unopened' for a bottle that never came off
+ */
+export function rateEfficiency(efficiency) {
+    if (efficiency === null) return 'unopened';
+    return EFFICIENCY_RATINGS.find(({ min }) => efficiency >= min).rating;
+}
+
+/**
+ * What a level's bottle was, as it appeared
+ */
+function hiddenValues(bottle) {
+    return {
+        type: bottle.type,
+        lockedDir: bottle.lockedDir,
+        requiredForce: bottle.requiredForce,
+        maxCapacity: bottle.maxCapacity,
+        jam: bottle.currentTightness,
+        breakaway: bottle.breakaway,
+        doubleThread: bottle.doubleThread,
+        needsPress: bottle.needsPress
+    };
+}
+
+function newLevel(level, bottle) {
+    return {
+        level,
+        bottle: hiddenValues(bottle),
+        fresh: bottle, // Dropped once the level is finished
+        moves: [],
+        energySpent: 0,
+        wasted: { wrongDirection: 0, overForce: 0 },
+        opened: false
+    };
+}
+
+/**
+ * One twist against the bottle as it was just before it
+ * wasted: energy the twist threw away - all of it for a twist the wrong way or one
+ * that broke the bottle, and for a twist that finished a thread, whatever it cost
+ * above the same hold at just the force it needed
+ */
+function debriefTwist(move, before, events) {
+    const applied = events.find(e => e.type === 'moveApplied');
+    const failed = events.find(e => e.type === 'bottleShattered' || e.type === 'bottleReset' || e.type === 'exhausted');
+    const event = applied || failed;
+    if (!event) return null; // Rejected: it never reached the bottle
+
+    const needed = forceToFinish(before);
+    const capacity = Math.floor(effectiveCapacity(before));
+    const spent = event.type === 'exhausted' ? 0 : event.energyCost; // Passing out costs nothing more
+    let wrongDirection = 0;
+    let overForce = 0;
+    if (applied && applied.result === 'tightened') {
+        wrongDirection = spent;
+    } else if (failed && failed.type !== 'exhausted') {
+        overForce = spent;
+    } else if (applied && (applied.result === 'opened' || applied.result === 'threadFlipped')) {
+        overForce = Math.max(0, spent - calculateEnergyLoss(move.time, needed));
+    }
+
+    return {
+        input: move.input,
+        direction: move.direction,
+        time: move.time,
+        force: move.force,
+        press: Boolean(move.press),
+        result: applied ? applied.result : failed.type,
+        needed,
+        capacity,
+        energyCost: spent,
+        wasted: { wrongDirection, overForce }
+    };
+}
+
+/**
+ * Close a level: the cheapest opening for the seconds the player twisted it for,
+ * and how close the energy they spent came to it
+ */
+function finishLevel(level) {
+    const seconds = Math.max(1, level.moves.reduce((sum, move) => sum + move.time, 0));
+    level.twistSeconds = seconds;
+    level.cheapest = cheapestOpening(level.fresh, seconds);
+    level.cheapestCost = level.cheapest.reduce((sum, twist) => sum + calculateEnergyLoss(twist.time, twist.force), 0);
+    level.efficiency = level.opened && level.energySpent > 0 ? Math.min(1, level.cheapestCost / level.energySpent) : null;
+    level.rating = rateEfficiency(level.efficiency);
+    delete level.fresh;
+    return level;
+}
+
+/**
+ * Debrief a recorded run
+ * Returns { levels, totals }:
+ *   levels - one per bottle that came up: { level, bottle, moves, energySpent, wasted,
+ *            opened, twistSeconds, cheapest, cheapestCost, efficiency, rating }
+ *   totals - { energySpent, wasted, cheapestCost, efficiency } over the whole run;
+ *            efficiency counts opened bottles only, null if none was
+ */
+export function debriefReplay(replay) {
+    const clock = createManualClock();
+    const game = createGame({ config: replay.config, clock: clock.now, random: createRng(replay.seed) });
+    const levels = [];
+
+    const { state: started } = game.start();
+    let current = newLevel(started.level, started.bottle);
+
+    for (const entry of replay.moves) {
+        clock.set(entry.at);
+        const move = replayCommand(entry);
+        const before = game.getState().bottle;
+        const { state, events } = game.dispatch(move);
+
+        if (move.type === 'move') {
+            const twist = debriefTwist(move, before, events);
+            if (twist) {
+                current.moves.push(twist);
+                current.energySpent += twist.energyCost;
+                current.wasted.wrongDirection += twist.wasted.wrongDirection;
+                current.wasted.overForce += twist.wasted.overForce;
+            }
+        }
+        if (events.some(e => e.type === 'levelCleared')) current.opened = true;
+        if (events.some(e => e.type === 'levelStarted')) {
+            levels.push(finishLevel(current));
+            current = newLevel(state.level, state.bottle);
+        }
+    }
+    levels.push(finishLevel(current));
+
+    const sum = (list, pick) => list.reduce((total, item) => total + pick(item), 0);
+    const opened = levels.filter(level => level.efficiency !== null);
+    const openedSpent = sum(opened, level => level.energySpent);
+    return {
+        levels,
+        totals: {
+            energySpent: sum(levels, level => level.energySpent),
+            wasted: {
+                wrongDirection: sum(levels, level => level.wasted.wrongDirection),
+                overForce: sum(levels, level => level.wasted.overForce)
+            },
+            cheapestCost: sum(levels, level => level.cheapestCost),
+            efficiency: openedSpent > 0 ? Math.min(1, sum(opened, level => level.cheapestCost) / openedSpent) : null
+        }
+    };
+}
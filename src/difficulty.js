@@ -0,0 +1,166 @@
+/**
+ * THE TORQUE PARADOX - Difficulty Presets & Config File
+ *
+ * A difficulty is a full engine config. Named presets cover the usual cases;
+ * a JSON config file can override any value on top of one. Overridden configs
+ * are 'custom', and every custom config gets its own key so scores from
+ * different settings never end up in the same table.
+ *
+ * The time model and the mode are picked separately from the difficulty, but
+ * they change what a score means, so they are part of the key too.
+ */
+
+import fs from 'fs';
+import { DEFAULT_CONFIG, TIME_MODELS, MODES } from './engine.js';
+import { hashSeed } from './rng.js';
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Overrides on top of DEFAULT_CONFIG; 'custom' is normal plus a config file
+export const DIFFICULTIES = Object.freeze({
+    easy: {
+        maxTimeSeconds: 420,
+        levelEnergyBonus: 30,
+        recoveryPerSecond: 1.5,
+        safetyMargin: 2.2,
+        marginPerLevel: 0.06,
+        stressMeterSteps: 20
+    },
+    normal: {},
+    brutal: {
+        maxTimeSeconds: 240,
+        levelEnergyBonus: 10,
+        recoveryPerSecond: 0.5,
+        baseForce: 25,
+        forcePerLevel: 6,
+        safetyMargin: 1.8,
+        marginPerLevel: 0.07,
+        stressMeterSteps: 4
+    },
+    custom: {}
+});
+
+// What each config value may be set to
+const CONFIG_RULES = {
+    totalLevels: { integer: true, min: 1, max: 50 },
+    maxTimeSeconds: { integer: true, min: 10, max: 3600 },
+    levelEnergyBonus: { min: 0, max: 100 },
+    recoveryPerSecond: { min: 0, max: 10 },
+    baseForce: { integer: true, min: 1, max: 500 },
+    forcePerLevel: { integer: true, min: 0, max: 100 },
+    safetyMargin: { min: 1.01, max: 5 },
+    marginPerLevel: { min: 0, max: 1 },
+    stressMeterSteps: { integer: true, min: 1, max: 20 }
+};
+
+export const CONFIG_KEYS = Object.keys(CONFIG_RULES);
+
+/**
+ * Read a config file: { "difficulty"?: preset, ...values to override }
+ * Throws an Error if the file can't be read or isn't a JSON object
+ */
+export function loadConfigFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read config file ${file}: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Config file ${file} must contain a JSON object, e.g. { "maxTimeSeconds": 240 }`);
+    }
+    return data;
+}
+
+/**
+ * Check config overrides, collecting every problem
+ * Returns a list of messages, empty when the overrides are fine
+ */
+export function validateOverrides(overrides) {
+    const problems = [];
+    for (const [key, value] of Object.entries(overrides)) {
+        const rule = CONFIG_RULES[key];
+        if (!rule) {
+            problems.push(`Unknown setting "${key}". Settings: ${CONFIG_KEYS.join(', ')}`);
+            continue;
+        }
+        const kind = rule.integer ? "a whole number" : "a number";
+        if (typeof value !== 'number' || !Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+            problems.push(`${key} must be ${kind} (got ${JSON.stringify(value)})`);
+        } else if (value < rule.min || value > rule.max) {
+            problems.push(`${key} must be ${kind} from ${rule.min} to ${rule.max} (got ${value})`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Build the engine config for a difficulty and optional overrides
+ *
+ * Input:
+ *   difficulty - preset name; falls back to the file's "difficulty", then 'normal'
+ *   timeModel  - one of TIME_MODELS; falls back to the file's "timeModel", then 'hybrid'
+ *   mode       - one of MODES; falls back to the file's "mode", then 'classic'
+ *   overrides  - values from a config file (may include "difficulty", "timeModel" and "mode")
+ *
+ * Returns a full config with a 'difficulty' field. Any changed value makes it 'custom'.
+ * Throws an Error listing every bad value.
+ */
+export function resolveConfig({ difficulty = null, timeModel = null, mode = null, overrides = {} } = {}) {
+    const { difficulty: fileDifficulty, timeModel: fileTimeModel, mode: fileMode, ...values } = overrides;
+    const base = difficulty ?? fileDifficulty ?? DEFAULT_DIFFICULTY;
+    const model = timeModel ?? fileTimeModel ?? DEFAULT_CONFIG.timeModel;
+    const runMode = mode ?? fileMode ?? DEFAULT_CONFIG.mode;
+
+    if (!Object.hasOwn(DIFFICULTIES, base)) {
+        throw new Error(`Unknown difficulty "${base}". Choose from: ${Object.keys(DIFFICULTIES).join(', ')}`);
+    }
+    if (!TIME_MODELS.includes(model)) {
+        throw new Error(`Unknown time model "${model}". Choose from: ${TIME_MODELS.join(', ')}`);
+    }
+    if (!MODES.includes(runMode)) {
+        throw new Error(`Unknown mode "${runMode}". Choose from: ${MODES.join(', ')}`);
+    }
+    const problems = validateOverrides(values);
+    if (problems.length) {
+        throw new Error(`Invalid config:\n  - ${problems.join("\n  - ")}`);
+    }
+    if (base === 'custom' && Object.keys(values).length === 0) {
+        throw new Error("The custom difficulty needs a config file with the values to change: --config <file>");
+    }
+
+    const preset = { ...DEFAULT_CONFIG, ...DIFFICULTIES[base] };
+    const config = { ...preset, ...values };
+    // Restating a preset's own values doesn't make a run custom
+    const overridden = base === 'custom' || CONFIG_KEYS.some(key => config[key] !== preset[key]);
+
+    // Every level's bottle must be able to take more than the force that opens it
+    const lastMargin = config.safetyMargin - config.totalLevels * config.marginPerLevel;
+    if (lastMargin <= 1) {
+        throw new Error(
+            `Invalid config: safetyMargin ${config.safetyMargin} minus ${config.totalLevels} levels of marginPerLevel ${config.marginPerLevel}` +
+            ` leaves ${lastMargin.toFixed(2)} on the last level; it must stay above 1`
+        );
+    }
+
+    return { ...config, timeModel: model, mode: runMode, difficulty: overridden ? 'custom' : base };
+}
+
+/**
+ * The key scores and history are grouped by
+ * Presets use their name; custom configs and level packs get a hash of their values.
+ * Time models other than hybrid and modes other than classic add suffixes:
+ * 'normal+turn', 'brutal+realtime', 'easy+endless', 'normal+turn+zen'
+ */
+export function difficultyKey(config) {
+    const difficulty = config.difficulty ?? DEFAULT_DIFFICULTY;
+    const timeModel = config.timeModel ?? DEFAULT_CONFIG.timeModel;
+    const mode = config.mode ?? DEFAULT_CONFIG.mode;
+    const suffix = (timeModel === DEFAULT_CONFIG.timeModel ? '' : `+${timeModel}`) + (mode === DEFAULT_CONFIG.mode ? '' : `+${mode}`);
+    const values = CONFIG_KEYS.map(key => config[key]);
+    if (config.levels) {
+        return `pack-${hashSeed(JSON.stringify([difficulty, values, config.levels])).toString(16).padStart(8, '0')}${suffix}`;
+    }
+    if (difficulty !== 'custom') return difficulty + suffix;
+    return `custom-${hashSeed(JSON.stringify(values)).toString(16).padStart(8, '0')}${suffix}`;
+}
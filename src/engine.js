@@ -0,0 +1,459 @@
+/**
+ * THE TORQUE PARADOX - Headless Game Engine
+ *
+ * Pure game rules with no terminal I/O. Clients feed commands in through
+ * `dispatch` and get back a state snapshot plus a list of structured events.
+ * The clock and the random source are injectable so runs can be scripted,
+ * replayed and tested.
+ */
+
+import {
+    buildBottle, generateBottle, calculateEnergyLoss, effectiveCapacity, applyTwist, describeCondition, readStress, BOTTLE_SCALING
+} from './physics.js';
+
+// Re-exported so engine clients have one import for the rules
+export { generateBottle, calculateEnergyLoss, describeCondition, readStress };
+
+// --- CONFIGURATION & CONSTANTS ---
+
+// Which clock the time pool, energy recovery and score run on:
+//   hybrid   - the pool only pays for declared durations, but recovery and score use real time
+//   turn     - only declared durations count; time spent thinking is free
+//   realtime - the real clock is the pool, and a twist really takes as long as it says
+export const TIME_MODELS = Object.freeze(['hybrid', 'turn', 'realtime']);
+
+// What a run is:
+//   classic    - open totalLevels bottles on one shared time pool
+//   endless    - bottles keep coming, harder every level, until the run fails
+//   timeAttack - every bottle gets its own countdown: its share of the time pool
+//   zen        - practice: no clock, and a shattered bottle resets instead of ending the run
+export const MODES = Object.freeze(['classic', 'endless', 'timeAttack', 'zen']);
+
+export const DEFAULT_CONFIG = Object.freeze({
+    totalLevels: 10,
+    maxTimeSeconds: 300, // 5 Minutes total
+    levelEnergyBonus: 20, // Energy restored when a new bottle appears
+    recoveryPerSecond: 1, // Passive energy recovery, % per second
+    ...BOTTLE_SCALING, // baseForce, forcePerLevel, safetyMargin, marginPerLevel
+    stressMeterSteps: 10, // Precision of the stress meter; harder games read coarser
+    timeModel: 'hybrid', // One of TIME_MODELS
+    mode: 'classic', // One of MODES
+    levels: null // Hand-made bottles from a level pack, one per level (see packs.js); null draws them at random
+});
+
+// --- STATE ---
+
+function createInitialState(config) {
+    return {
+        status: 'ready', // 'ready' | 'playing' | 'won' | 'lost'
+        outcome: null, // Set when the run ends: 'won' | 'shattered' | 'exhausted' | 'timeUp' | 'quit'
+        level: 1,
+        totalLevels: config.totalLevels,
+        energy: 100, // Percentage
+        startTime: 0, // Set by the 'start' command, not during the intro
+        endTime: 0,
+        remainingTime: config.maxTimeSeconds, // Declared durations come off it; in real time, the clock does
+        lastRecoveryTick: 0, // Seconds elapsed at the last energy recovery
+        declaredMs: 0, // Declared durations so far - the clock of the turn-based model
+        busyUntil: 0, // Real time: milliseconds of play until the current twist or rest is over
+        bottle: null,
+        freshBottle: null, // Zen: the current bottle as it appeared, to reset it to
+        moves: [], // Moves applied to the current bottle
+        movesUsed: 0, // Twists applied over the whole run
+        resets: 0, // Zen: bottles shattered and reset
+        levelStartedAt: 0, // Milliseconds of play when the current bottle appeared
+        splits: [], // Milliseconds spent on each cleared level, in level order
+        levelResults: [], // How each cleared level was opened, in level order - what its score is worked out from
+        pausedAt: null, // Clock reading when the game was paused, null while running
+        pausedMs: 0 // Total time spent paused - it doesn't count as play
+    };
+}
+
+function cloneState(state) {
+    return {
+        ...state,
+        bottle: state.bottle ? { ...state.bottle } : null,
+        freshBottle: state.freshBottle ? { ...state.freshBottle } : null,
+        moves: state.moves.map(move => ({ ...move })),
+        splits: [...state.splits],
+        levelResults: state.levelResults.map(result => ({ ...result }))
+    };
+}
+
+// --- GAME FACTORY ---
+
+/**
+ * Create a game instance
+ *
+ * Options:
+ *   config  - overrides for DEFAULT_CONFIG
+ *   clock   - () => milliseconds, defaults to Date.now
+ *   random  - () => number in [0, 1), defaults to Math.random
+ *   state   - a snapshot from getState() to continue from (a saved run)
+ *
+ * Every command returns { state, events } where state is a fresh snapshot.
+ * Event types: levelStarted, moveApplied, moveRejected, jamIncreased,
+ * capLoosened, materialFatigued, levelCleared, bottleShattered, bottleReset (zen),
+ * exhausted, rested, restRejected, gaveUp, paused, resumed, timeUp, gameWon
+ *
+ * Event 'at' values are clock milliseconds since the start, pauses included, so
+ * a manual clock set to them replays the run. Scored time leaves pauses out and
+ * follows config.timeModel (see TIME_MODELS). In real time, a 'tick' can end
+ * the run with timeUp.
+ */
+export function createGame(options = {}) {
+    const config = { ...DEFAULT_CONFIG, ...options.config };
+    const clock = options.clock || Date.now;
+    const random = options.random || Math.random;
+
+    // Saves from older versions lack newer fields: they start from their initial values
+    let state = options.state ? cloneState({ ...createInitialState(config), ...options.state }) : createInitialState(config);
+
+    const turnBased = config.timeModel === 'turn';
+    const realTime = config.timeModel === 'realtime';
+    const endless = config.mode === 'endless';
+    const timeAttack = config.mode === 'timeAttack';
+    const timed = config.mode !== 'zen'; // Zen has no time pool to run out
+    const bottleSeconds = Math.floor(config.maxTimeSeconds / config.totalLevels); // Time attack: each bottle's countdown
+
+    /**
+     * Milliseconds of actual play: time since the start minus time spent paused
+     */
+    function playedMs(s, now = clock()) {
+        if (s.status === 'ready') return 0; // Timer hasn't started yet
+        const end = s.status === 'playing' ? now : s.endTime;
+        const pausedNow = s.pausedAt !== null ? end - s.pausedAt : 0;
+        return end - s.startTime - s.pausedMs - pausedNow;
+    }
+
+    /**
+     * Milliseconds on the time model's clock - what recovery, splits and the score run on
+     */
+    function gameMs(s, now = clock()) {
+        return turnBased ? s.declaredMs : playedMs(s, now);
+    }
+
+    function elapsedSeconds(s, now = clock()) {
+        return Math.floor(gameMs(s, now) / 1000);
+    }
+
+    function endGame(s, outcome, now) {
+        s.status = outcome === 'won' ? 'won' : 'lost';
+        s.outcome = outcome;
+        s.endTime = now;
+    }
+
+    function startLevel(s, events, now) {
+        // A pack level can bring its own time and energy budgets instead of carrying them over
+        const spec = config.levels ? config.levels[s.level - 1] : null;
+        s.bottle = spec ? buildBottle(spec) : generateBottle(s.level, random, config);
+        s.freshBottle = timed ? null : { ...s.bottle };
+        s.moves = [];
+        s.levelStartedAt = gameMs(s, now);
+        s.energy = spec && spec.energy !== undefined ? spec.energy : Math.min(100, s.energy + config.levelEnergyBonus);
+        if (spec && spec.time !== undefined) s.remainingTime = spec.time;
+        else if (timeAttack) s.remainingTime = bottleSeconds;
+        events.push({ type: 'levelStarted', level: s.level, bottleType: s.bottle.type, energy: s.energy, text: spec ? spec.text ?? null : null, at: now - s.startTime });
+    }
+
+    /**
+     * Energy recovery - recoveryPerSecond % per whole second on the game clock (not while paused)
+     */
+    function applyRecovery(s, now) {
+        const elapsed = elapsedSeconds(s, now);
+        const secondsElapsed = elapsed - s.lastRecoveryTick;
+        if (secondsElapsed >= 1) {
+            s.energy = Math.min(100, s.energy + secondsElapsed * config.recoveryPerSecond);
+            s.lastRecoveryTick = elapsed;
+        }
+    }
+
+    /**
+     * Real time: the clock is the pool. Returns true if it has run out (and ends the game)
+     */
+    function checkRealTime(s, events, now) {
+        if (!realTime || !timed || s.status !== 'playing') return false;
+        // Time attack counts down from when the bottle appeared, the other modes from the start
+        const poolStart = timeAttack ? s.levelStartedAt : 0;
+        const poolMs = (timeAttack ? bottleSeconds : config.maxTimeSeconds) * 1000;
+        s.remainingTime = Math.max(0, Math.floor((poolStart + poolMs) / 1000) - elapsedSeconds(s, now));
+        if (s.remainingTime > 0) return false;
+        events.push({ type: 'timeUp', level: s.level, at: now - s.startTime });
+        // The run ended when the pool did, not when the next tick noticed
+        endGame(s, 'timeUp', now - (playedMs(s, now) - (poolStart + poolMs)));
+        return true;
+    }
+
+    /**
+     * Real time: seconds until the hands are free of the last twist or rest, 0 if they are
+     */
+    function busySeconds(s, now) {
+        return realTime ? Math.max(0, Math.ceil((s.busyUntil - playedMs(s, now)) / 1000)) : 0;
+    }
+
+    function start(s, events, now) {
+        if (s.status !== 'ready') return;
+        s.status = 'playing';
+        s.startTime = now;
+        s.remainingTime = config.maxTimeSeconds;
+        s.lastRecoveryTick = 0;
+        startLevel(s, events, now);
+    }
+
+    function applyMove(s, events, move, now) {
+        if (s.status !== 'playing') return;
+        applyRecovery(s, now);
+        if (checkRealTime(s, events, now)) return;
+
+        const { time, force } = move;
+        const direction = move.direction.toUpperCase();
+        const bottle = s.bottle;
+        // 'at' is milliseconds since the run started, so a client can record and replay the move
+        const base = { level: s.level, direction, time, force, at: now - s.startTime };
+
+        if (s.pausedAt !== null) {
+            events.push({ type: 'moveRejected', ...base, reason: 'paused', remainingTime: s.remainingTime });
+            return;
+        }
+
+        if (busySeconds(s, now) > 0) {
+            events.push({ type: 'moveRejected', ...base, reason: 'busy', busyFor: busySeconds(s, now), remainingTime: s.remainingTime });
+            return;
+        }
+
+        // 1. Check if we have enough remaining time
+        if (timed && time > s.remainingTime) {
+            events.push({ type: 'moveRejected', ...base, reason: 'notEnoughTime', remainingTime: s.remainingTime });
+            return;
+        }
+
+        // In real time the twist lasts as long as it says, and its outcome lands when it ends
+        const done = realTime ? now + time * 1000 : now;
+        if (realTime) s.busyUntil = playedMs(s, now) + time * 1000;
+
+        // 2. Calculate energy cost using inverse proportional formula
+        const energyCost = calculateEnergyLoss(time, force);
+
+        if (s.energy < energyCost) {
+            if (!timed) {
+                // Zen: nobody collapses - the twist just can't be made until they rest
+                events.push({ type: 'moveRejected', ...base, reason: 'noEnergy', energyCost, energy: s.energy, remainingTime: s.remainingTime });
+                return;
+            }
+            events.push({ type: 'exhausted', ...base, energyCost, energy: s.energy });
+            endGame(s, 'exhausted', done);
+            return;
+        }
+
+        // Deduct energy
+        s.energy -= energyCost;
+
+        // 3. Deduct time from remaining pool (in real time the clock does that)
+        if (!realTime && timed) s.remainingTime -= time;
+        if (turnBased) {
+            // The twist's seconds are the only ones that pass - and the only ones that recover
+            s.declaredMs += time * 1000;
+            applyRecovery(s, now);
+        }
+
+        // 4. Check Breakage (Too much force for the bottle as it is now, fatigue included)
+        const capacity = effectiveCapacity(bottle);
+        if (force > capacity) {
+            s.movesUsed++;
+            if (!timed) {
+                // Zen: sweep up the glass and try the same bottle again
+                s.resets++;
+                s.bottle = { ...s.freshBottle };
+                s.moves = [];
+                events.push({ type: 'bottleReset', ...base, energyCost, maxCapacity: capacity, resets: s.resets, energy: s.energy });
+                return;
+            }
+            events.push({ type: 'bottleShattered', ...base, energyCost, maxCapacity: capacity });
+            endGame(s, 'shattered', done);
+            return;
+        }
+
+        // 5. Physics Logic
+        const press = Boolean(move.press);
+        const { result, jamBefore, loosenedBy, fatigueAdded, load, sensations } = applyTwist(bottle, { direction, force, time, press });
+        const condition = describeCondition(bottle);
+
+        const jamAdded = Math.max(0, bottle.currentTightness - jamBefore);
+        s.moves.push({ direction, time, force, press, energyCost, result, load, jamAdded });
+        s.movesUsed++;
+        events.push({ type: 'moveApplied', ...base, energyCost, result, jamBefore, loosenedBy, fatigueAdded, load, sensations, ...condition, energy: s.energy, remainingTime: s.remainingTime });
+
+        if (loosenedBy > 0) {
+            events.push({ type: 'capLoosened', level: s.level, amount: loosenedBy, grip: condition.grip });
+        }
+        if (fatigueAdded > 0 && bottle.fatigueWarning) {
+            events.push({ type: 'materialFatigued', level: s.level, amount: fatigueAdded, integrity: condition.integrity });
+        }
+        if (jamAdded > 0) {
+            events.push({ type: 'jamIncreased', level: s.level, amount: jamAdded, tightness: bottle.currentTightness });
+        }
+
+        if (bottle.isOpen) {
+            const splitMs = gameMs(s, done) - s.levelStartedAt;
+            s.splits.push(splitMs);
+            s.levelResults.push({
+                level: s.level,
+                moves: s.moves.length,
+                wrongDirection: s.moves.filter(m => m.result === 'tightened').length,
+                jamAdded: s.moves.reduce((sum, m) => sum + (m.jamAdded || 0), 0),
+                maxLoad: Math.max(...s.moves.map(m => m.load || 0)) // Strongest twist as a share of what the bottle could take
+            });
+            events.push({ type: 'levelCleared', level: s.level, moves: s.moves.length, clearedJam: jamBefore > 0, bottle: { ...bottle }, at: base.at, splitMs, timeElapsed: elapsedSeconds(s, done) });
+
+            if (!endless && s.level >= config.totalLevels) {
+                endGame(s, 'won', done);
+                events.push({ type: 'gameWon', timeUsed: elapsedSeconds(s, done), energy: s.energy });
+                return;
+            }
+            s.level++;
+            startLevel(s, events, done);
+        }
+
+        // Time Check - outside real time the pool is only drained by declared durations
+        if (timed && s.remainingTime <= 0) {
+            events.push({ type: 'timeUp', level: s.level });
+            endGame(s, 'timeUp', now);
+        }
+    }
+
+    /**
+     * Rest on purpose: spend seconds from the time pool to recover energy at the passive rate
+     * Hybrid and turn-based rests take effect at once; in real time they are
+     * seconds of waiting, and the energy comes back as the clock runs
+     */
+    function rest(s, events, seconds, now) {
+        if (s.status !== 'playing') return;
+        applyRecovery(s, now);
+        if (checkRealTime(s, events, now)) return;
+        const base = { level: s.level, seconds, at: now - s.startTime };
+
+        if (s.pausedAt !== null) {
+            events.push({ type: 'restRejected', ...base, reason: 'paused', remainingTime: s.remainingTime });
+            return;
+        }
+        if (busySeconds(s, now) > 0) {
+            events.push({ type: 'restRejected', ...base, reason: 'busy', busyFor: busySeconds(s, now), remainingTime: s.remainingTime });
+            return;
+        }
+        if (timed && seconds > s.remainingTime) {
+            events.push({ type: 'restRejected', ...base, reason: 'notEnoughTime', remainingTime: s.remainingTime });
+            return;
+        }
+
+        const energyBefore = s.energy;
+        if (realTime) {
+            s.busyUntil = playedMs(s, now) + seconds * 1000;
+        } else if (turnBased) {
+            if (timed) s.remainingTime -= seconds;
+            s.declaredMs += seconds * 1000;
+            applyRecovery(s, now);
+        } else {
+            if (timed) s.remainingTime -= seconds;
+            s.energy = Math.min(100, s.energy + seconds * config.recoveryPerSecond);
+        }
+        events.push({ type: 'rested', ...base, energyGained: s.energy - energyBefore, energy: s.energy, remainingTime: s.remainingTime });
+
+        if (timed && s.remainingTime <= 0) {
+            events.push({ type: 'timeUp', level: s.level });
+            endGame(s, 'timeUp', now);
+        }
+    }
+
+    /**
+     * Freeze the run: no play time passes and no energy recovers until resume
+     */
+    function pause(s, events, now) {
+        if (s.status !== 'playing' || s.pausedAt !== null) return;
+        applyRecovery(s, now); // Settle recovery up to this instant
+        s.pausedAt = now;
+        events.push({ type: 'paused', level: s.level, at: now - s.startTime });
+    }
+
+    function resume(s, events, now) {
+        if (s.status !== 'playing' || s.pausedAt === null) return;
+        const pausedFor = now - s.pausedAt;
+        s.pausedMs += pausedFor;
+        s.pausedAt = null;
+        events.push({ type: 'resumed', level: s.level, pausedFor, at: now - s.startTime });
+    }
+
+    function quit(s, events, now) {
+        if (s.status !== 'playing') return;
+        applyRecovery(s, now); // Settle energy at this instant so replays end on the same value
+        events.push({ type: 'gaveUp', level: s.level, at: now - s.startTime });
+        endGame(s, 'quit', now);
+    }
+
+    /**
+     * Apply a command and return the new state snapshot with emitted events
+     *
+     * Commands:
+     *   { type: 'start' }
+     *   { type: 'tick' }
+     *   { type: 'move', direction: 'CW'|'ACW', time: number, force: number, press?: boolean }
+     *   { type: 'rest', seconds: number }
+     *   { type: 'pause' }
+     *   { type: 'resume' }
+     *   { type: 'quit' }
+     */
+    function dispatch(command) {
+        const next = cloneState(state);
+        const events = [];
+        const now = clock(); // Read once so every rule in this command sees the same instant
+
+        switch (command.type) {
+            case 'start':
+                start(next, events, now);
+                break;
+            case 'tick':
+                if (next.status === 'playing') {
+                    applyRecovery(next, now);
+                    checkRealTime(next, events, now);
+                }
+                break;
+            case 'move':
+                applyMove(next, events, command, now);
+                break;
+            case 'rest':
+                rest(next, events, command.seconds, now);
+                break;
+            case 'pause':
+                pause(next, events, now);
+                break;
+            case 'resume':
+                resume(next, events, now);
+                break;
+            case 'quit':
+                quit(next, events, now);
+                break;
+            default:
+                throw new Error(`Unknown command type: ${command.type}`);
+        }
+
+        state = next;
+        return { state: cloneState(state), events };
+    }
+
+    return {
+        config,
+        dispatch,
+        start: () => dispatch({ type: 'start' }),
+        tick: () => dispatch({ type: 'tick' }),
+        move: (move) => dispatch({ type: 'move', ...move }),
+        rest: (seconds) => dispatch({ type: 'rest', seconds }),
+        pause: () => dispatch({ type: 'pause' }),
+        resume: () => dispatch({ type: 'resume' }),
+        quit: () => dispatch({ type: 'quit' }),
+        getState: () => cloneState(state),
+        getTimeElapsed: () => elapsedSeconds(state),
+        // Seconds (with fractions) spent on the current bottle so far
+        getLevelElapsed: () => state.status === 'playing' ? (gameMs(state) - state.levelStartedAt) / 1000 : 0,
+        // Real time: seconds until the last twist or rest is over
+        getBusySeconds: () => state.status === 'playing' ? busySeconds(state, clock()) : 0
+    };
+}
@@ -0,0 +1,130 @@
+/**
+ * THE TORQUE PARADOX - Run History
+ *
+ * Every finished run, won or lost, is appended to a JSON Lines file so
+ * statistics can look at more than the single personal best.
+ */
+
+import fs from 'fs';
+import { toSplitSeconds } from './splits.js';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+/**
+ * Follow a run's engine events and collect what the history record needs
+ * Call observe() with every batch of events, then summary() when the run ends
+ * Pass an earlier summary() to carry on tracking a saved run
+ */
+export function createRunTracker(initial = null) {
+    const energyCurve = initial ? initial.energyCurve.map(point => [...point]) : []; // [secondsSinceStart, energy] after each level start and move
+    let movesUsed = initial ? initial.movesUsed : 0;
+    let wrongDirection = initial ? initial.wrongDirection : 0;
+
+    return {
+        observe(events) {
+            for (const event of events) {
+                switch (event.type) {
+                    case 'levelStarted':
+                        energyCurve.push([Math.floor(event.at / 1000), event.energy]);
+                        break;
+                    case 'moveApplied':
+                        movesUsed++;
+                        if (event.result === 'tightened') wrongDirection++;
+                        energyCurve.push([Math.floor(event.at / 1000), event.energy]);
+                        break;
+                    case 'rested':
+                        energyCurve.push([Math.floor(event.at / 1000), event.energy]);
+                        break;
+                    case 'exhausted':
+                    case 'bottleShattered':
+                    case 'bottleReset':
+                        movesUsed++; // The fatal (or, in zen, the resetting) move still counts
+                        break;
+                }
+            }
+        },
+        summary() {
+            return { movesUsed, wrongDirection, energyCurve: energyCurve.map(point => [...point]) };
+        }
+    };
+}
+
+/**
+ * Build the stored record for a finished run
+ * breakdown is what the score is made of (scoreRun without its total), null if it earned none
+ */
+export function buildRunRecord({ playerId, seed, daily, difficulty = DEFAULT_DIFFICULTY, state, timeUsed, score, breakdown = null, tracker, replayFile = null }) {
+    const now = new Date();
+    const won = state.status === 'won';
+    return {
+        playerId,
+        date: now.toISOString().split('T')[0],
+        timestamp: now.toISOString(),
+        seed,
+        daily,
+        difficulty,
+        outcome: state.outcome || 'quit', // 'won' | 'shattered' | 'exhausted' | 'timeUp' | 'quit'
+        won,
+        levelReached: state.level,
+        levelsCleared: state.splits.length,
+        timeUsed,
+        energyRemaining: Math.floor(state.energy),
+        score,
+        breakdown,
+        splits: state.splits.map(toSplitSeconds), // Seconds, one decimal
+        ...tracker.summary(),
+        replayFile
+    };
+}
+
+/**
+ * Append one run to the history file
+ */
+export function appendRun(file, record) {
+    try {
+        fs.appendFileSync(file, JSON.stringify(record) + "\n");
+    } catch (e) {
+        console.error("Error saving run history:", e.message);
+    }
+}
+
+/**
+ * Load all runs, oldest first
+ * Pass a playerId and/or difficulty to narrow them down; unreadable lines are skipped
+ * Runs recorded before difficulties existed count as normal
+ */
+export function loadHistory(file, playerId = null, difficulty = null) {
+    if (!fs.existsSync(file)) return [];
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        console.error("Error reading run history:", e.message);
+        return [];
+    }
+
+    const runs = [];
+    for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            runs.push(JSON.parse(line));
+        } catch (e) {
+            // A half-written line from a crash - skip it rather than lose the whole history
+        }
+    }
+    return runs
+        .filter(r => !playerId || r.playerId === playerId)
+        .filter(r => !difficulty || (r.difficulty ?? DEFAULT_DIFFICULTY) === difficulty);
+}
+
+/**
+ * Drop every run belonging to a player (used when a profile is deleted)
+ */
+export function deletePlayerHistory(file, playerId) {
+    if (!fs.existsSync(file)) return;
+    const kept = loadHistory(file).filter(r => r.playerId !== playerId);
+    try {
+        fs.writeFileSync(file, kept.map(r => JSON.stringify(r) + "\n").join(""));
+    } catch (e) {
+        console.error("Error saving run history:", e.message);
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * THE TORQUE PARADOX - Localization
+ *
+ * Player-facing text lives in one message catalog per language (src/locales),
+ * looked up by dotted key: t('events.opened', { force, time }). Messages take
+ * {placeholders} and plural forms; anything a catalog lacks falls back to English.
+ *
+ * Twist words, units and prompt commands stay English in every language, so
+ * replays and scripts read the same everywhere.
+ */
+
+import { MESSAGES as en } from './locales/en.js';
+import { MESSAGES as es } from './locales/es.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const CATALOGS = Object.freeze({ en, es });
+
+/**
+ * A plural message is an object of Intl.PluralRules forms - it always has 'other'
+ */
+function isPlural(value) {
+    return typeof value === 'object' && value !== null && typeof value.other === 'string';
+}
+
+function lookup(catalog, key) {
+    let value = catalog;
+    for (const part of key.split('.')) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, part)) return undefined;
+        value = value[part];
+    }
+    return typeof value === 'string' || isPlural(value) ? value : undefined;
+}
+
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (whole, name) => params[name] !== undefined ? String(params[name]) : whole);
+}
+
+/**
+ * The language to play in: --lang if given, else the locale environment
+ * (LC_ALL, LC_MESSAGES, LANG - 'es_ES.UTF-8' means 'es'), else English
+ * Returns null for a --lang we have no catalog for
+ */
+export function resolveLanguage(requested, env = process.env) {
+    if (requested !== undefined) {
+        const lang = requested.toLowerCase();
+        return Object.hasOwn(CATALOGS, lang) ? lang : null;
+    }
+    const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+    const lang = locale.split(/[_.@-]/)[0].toLowerCase();
+    return Object.hasOwn(CATALOGS, lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Make t(key, params) for a language
+ * Unknown keys come back as the key itself, so a gap shows on screen instead of crashing
+ */
+export function createTranslator(lang = DEFAULT_LANGUAGE) {
+    const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+    const plurals = new Intl.PluralRules(lang);
+
+    return function t(key, params = {}) {
+        const message = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+        if (message === undefined) return key;
+        const text = isPlural(message) ? (message[plurals.select(params.count ?? 0)] ?? message.other) : message;
+        return interpolate(text, params);
+    };
+}
+
+/**
+ * Every message in a catalog by dotted key: { key: string | { one, other, ... } }
+ */
+function flatten(catalog, prefix = '', into = {}) {
+    for (const [name, value] of Object.entries(catalog)) {
+        const key = prefix + name;
+        if (typeof value === 'string' || isPlural(value)) into[key] = value;
+        else flatten(value, `${key}.`, into);
+    }
+    return into;
+}
+
+function placeholders(message) {
+    const texts = typeof message === 'string' ? [message] : Object.values(message);
+    return [...new Set(texts.flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1])))].sort();
+}
+
+/**
+ * Check every language against English
+ * Returns [{ lang, problems: [string] }]: missing keys, keys English doesn't have,
+ * and messages whose {placeholders} differ from the English ones
+ */
+export function checkCatalogs(catalogs = CATALOGS) {
+    const reference = flatten(catalogs[DEFAULT_LANGUAGE]);
+    return Object.entries(catalogs)
+        .filter(([lang]) => lang !== DEFAULT_LANGUAGE)
+        .map(([lang, catalog]) => {
+            const messages = flatten(catalog);
+            const problems = [];
+            for (const [key, message] of Object.entries(reference)) {
+                if (!(key in messages)) {
+                    problems.push(`missing: ${key}`);
+                    continue;
+                }
+                const expected = placeholders(message).join(', ');
+                const actual = placeholders(messages[key]).join(', ');
+                if (expected !== actual) problems.push(`placeholders differ: ${key} has {${actual}}, English has {${expected}}`);
+                if (isPlural(message) !== isPlural(messages[key])) problems.push(`plural forms differ: ${key}`);
+            }
+            for (const key of Object.keys(messages)) {
+                if (!(key in reference)) problems.push(`not in English: ${key}`);
+            }
+            return { lang, problems };
+        });
+}
@@ -0,0 +1,487 @@
+/**
+ * English - the reference catalog. Every other language is checked against it
+ * (see i18n.js checkCatalogs), and anything a language lacks is shown from here.
+ *
+ * {name} is filled in from the call's parameters. A message given as an object
+ * of plural forms ({ one, other, ... }, see Intl.PluralRules) picks its form
+ * by the `count` parameter.
+ */
+
+export const MESSAGES = {
+    // What the player can feel of the hidden bottle state (see physics.js describeCondition)
+    grip: {
+        sealed: "Sealed tight",
+        budged: "Barely budged",
+        giving: "Starting to give",
+        loose: "Noticeably looser",
+        almostFree: "Almost free"
+    },
+    integrity: {
+        sound: "Sound",
+        strained: "Slightly strained",
+        weakened: "Weakened",
+        fragile: "Fragile!",
+        unknown: "Can't tell"
+    },
+
+    bottles: {
+        standard: { name: "Standard", description: "A plain screw cap. No surprises." },
+        glass: { name: "Glass", description: "Thin glass. Breaks early and never creaks first." },
+        plastic: { name: "Plastic", description: "Soft plastic. Flexes and soaks up part of every twist." },
+        rusted: { name: "Rusted metal", description: "Rust-welded. Hard to get moving, easier once it turns." },
+        childproof: { name: "Child-proof", description: "Only grips while pushed down - add 'press' to your twist." },
+        doubleThread: { name: "Double-threaded", description: "Two threads. Halfway open, the direction flips." }
+    },
+
+    // Which clock each HUD time counts, and how the rules screen explains it
+    timeModels: {
+        hybrid: {
+            name: "Hybrid",
+            used: "real time",
+            remaining: "twists & rests",
+            rules: "Only twist and rest durations come out of the time pool -\nbut your score and energy recovery run on the real clock.\nThinking is free for the pool, not for the score."
+        },
+        turn: {
+            name: "Turn-based",
+            used: "twists & rests",
+            remaining: "twists & rests",
+            rules: "Only twist and rest durations count: for the pool, the score\nand energy recovery. Take as long as you like to think."
+        },
+        realtime: {
+            name: "Real time",
+            used: "real time",
+            remaining: "real time",
+            rules: "The real clock is the pool. A twist takes as long as you say,\nand you can't act again until it's over. Energy recovers as\nthe clock runs; 'rest' just waits."
+        }
+    },
+
+    modes: {
+        endless: {
+            name: "ENDLESS",
+            objective: "Bottles keep coming, each harder than the last, on one {seconds}-second time pool.\nOpen as many as you can before one beats you.",
+            scoring: "Your score is the number of bottles you open. There is no last bottle:\nthe run ends when a bottle shatters, you pass out or the time runs out."
+        },
+        timeAttack: {
+            name: "TIME ATTACK",
+            objective: "Open all {levels} bottles. Each one gets its own {seconds}-second countdown.",
+            scoring: "Every second left on a bottle's countdown when it opens is worth 100 points,\nplus 10 points for every % of energy left at the end."
+        },
+        zen: {
+            name: "ZEN",
+            objective: "Practise on {levels} bottles with no clock. A shattered bottle is swept up and\nset out again, and you can't pass out - rest when you're tired.",
+            scoring: "You start on 1000 points and lose 20 for every twist beyond one a bottle\nand 100 for every reset."
+        }
+    },
+
+    outcomes: {
+        won: "Opened all bottles",
+        shattered: "Bottle shattered",
+        exhausted: "Exhausted",
+        timeUp: "Time ran out",
+        quit: "Quit",
+        stalled: "Stalled"
+    },
+
+    common: {
+        pressEnter: "Press ENTER to continue...",
+        pressAnyKey: "Press any key to exit...",
+        points: { one: "{count} point", other: "{count} points" },
+        seconds: { one: "{count} second", other: "{count} seconds" },
+        minutes: { one: "{count} minute", other: "{count} minutes" },
+        title: "THE TORQUE PARADOX",
+        or: " or ",
+        yes: "y",
+        yesWord: "yes",
+        noWord: "no"
+    },
+
+    hud: {
+        title: "THE TORQUE PARADOX - LEVEL {level}/{total}",
+        titleEndless: "THE TORQUE PARADOX - ENDLESS - LEVEL {level}",
+        player: "Player: {name}",
+        daily: "DAILY CHALLENGE {date} (seed: {seed})",
+        seed: "Seed: {seed}   Difficulty: {difficulty}",
+        pack: "Level pack: {name}   Difficulty: {difficulty}",
+        timeUsed: "Time Used:",
+        timeRemaining: "Time Remaining:",
+        noClock: "no clock (zen)",
+        busy: "(busy {seconds}s)",
+        energy: "Energy:",
+        stress: "Stress:",
+        cantTell: "Can't tell",
+        bottle: "Bottle:",
+        thread: "Thread:",
+        status: "Status:",
+        open: "OPEN",
+        locked: "LOCKED",
+        material: "Material:",
+        log: "LOG:",
+        twistHint: "Twist: e.g., 'cw 20s 10n' or '10n acw 20s' (any order), chain with ';'",
+        commandsHint: "Commands: help, rules, status, rest <seconds>, history, pause, save, quit",
+        prompt: "Action > ",
+        splits: "SPLITS",
+        vsPb: "vs PB",
+        total: "Total: {delta}",
+        projected: "Projected: {score} pts",
+        overTime: "Projected: {warning}",
+        overTimeWarning: "over time!",
+        levelComplete: ">>> LEVEL {level} COMPLETE! <<<",
+        replay: "REPLAY x{speed}",
+        welcome: "Welcome to the paradox. Choose wisely.",
+        welcomeBack: "Welcome back. The clock is running again."
+    },
+
+    // --narrate reads these out instead of drawing the HUD
+    narration: {
+        intro: "Type a twist, e.g. 'acw 20s 30n', or 'help' for commands. 'status' reads out where you stand.",
+        energy: "Energy {energy}%.",
+        stress: "Stress {percent}%.",
+        thread: "Thread: {grip}.",
+        material: "Material: {integrity}.",
+        timeLeft: "{time} left."
+    },
+
+    intro: {
+        story: "STORY",
+        storyBefore: "You regain consciousness in a cold, sterile room. Your last memory is...\nfractured. Before you sit 10 sealed bottles on a metal table, humming\nwith an ominous energy. A voice echoes through speakers:",
+        storyQuote: "\"Open them all, or stay here forever.\"",
+        storyAfter: "Time is running out. Energy is running low. One wrong move...\nand everything shatters.",
+        begin: "Press ENTER to BEGIN...",
+        initializing: "Initializing The Torque Paradox..."
+    },
+
+    rules: {
+        objective: "OBJECTIVE",
+        objectiveText: "Open all {levels} bottles within {seconds} seconds.",
+        beatBest: "BEAT YOUR PERSONAL BEST",
+        scoring: "SCORING SYSTEM",
+        scoringIntro: "Speed is everything. Your score rewards fast completions:",
+        formulaLabel: "Formula:",
+        formula: "({max}s - Time Used) {times} 100 + Energy Bonus",
+        exampleLabel: "Example:",
+        example: "120s used, 50 energy left = (300-120){times}100 + 500 = {total}",
+        exampleTotal: "18,500 points",
+        mechanics: "GAME MECHANICS",
+        bottles: "BOTTLES",
+        bottlesText: "Each cap is locked CW or ACW. Twist the OPPOSITE direction to open.\nWrong direction? The cap tightens. Right direction? Progress!\nA twist too weak to open it still loosens the thread for good -\nand the longer you hold it, the more it gives.\nNot every bottle is the same: glass, plastic, rusted, child-proof\nand double-threaded caps each have a catch. Read the level intro.",
+        commands: "COMMANDS",
+        commandsText: "Format: 'cw 20s 10n' (Clockwise, 20 seconds, 10 newtons)\nOrder doesn't matter: '10n acw 20s' works the same\nCase-insensitive: 'CW', 'cw', 'Cw' all work\nPlain words too: 'twist left with 1.5kN for 500ms'\nChild-proof cap? Push down too: 'acw 20s 40n press'\nChain twists with ';': 'acw 10s 20n; acw 5s 30n'\nType 'help' in game for rest, status, history, rules and quit",
+        force: "FORCE & TIME",
+        forceText: "Apply force over DURATION (seconds). Long durations = less energy cost.\nThis rewards patience and strategy over pure brute force.",
+        clock: "THE CLOCK: {model}",
+        energy: "ENERGY",
+        energyText: "Start at 100%. Recover +{recovery}% per second passively.\nToo much energy cost = You collapse (Game Over).\nEach level clears, you gain +{bonus} energy (capped at 100%).",
+        breakage: "BREAKAGE",
+        breakageText: "Apply TOO MUCH force and the bottle SHATTERS {arrow} Game Over.\nEarly levels forgiving. Late levels DANGEROUS. Balance power & precision.\nEvery near-breaking twist FATIGUES the material: it takes less next time.\nQuick jerks wear it out faster than slow, steady turns.",
+        progression: "DIFFICULTY PROGRESSION",
+        earlyLevels: "Levels 1-3",
+        earlyText: "Easy. Safety margins are generous.",
+        middleLevels: "Levels 4-7",
+        middleText: "Moderate. Danger increasing...",
+        lateLevels: "Levels 8-10",
+        lateBrutal: "BRUTAL.",
+        lateText: "{brutal} Capacity nearly equals force needed. Precision required.",
+        tips: "STRATEGY TIPS",
+        tipsText: "Watch the LOG - it tells you what's happening.\nJammed bottles need extra force to clear.\nLong durations with moderate force = efficiency.\nEnergy recovers passively - be patient when needed.\nOne powerful move often beats multiple weak ones."
+    },
+
+    best: {
+        daily: "DAILY BEST ({date}):",
+        previous: "PREVIOUS BEST ({difficulty}):",
+        score: "Score:",
+        time: "Time:",
+        timeScore: "Time Score:",
+        energyRemaining: "Energy Remaining:",
+        levelPoints: "Level Points:",
+        energyBonus: "Energy Bonus:",
+        spareTimeScore: "Spare Time Score:",
+        bottlesOpened: "Bottles Opened:",
+        twists: "Twists:",
+        resets: "Resets:",
+        date: "Date Achieved:",
+        seed: "Seed:",
+        unverified: "These records were changed outside the game, so they are marked unverified.",
+        oldScoring: "Set before level points counted, so it can't be compared - your next scored run replaces it.",
+        secondsUnit: "seconds",
+        challenge: "Can you beat this?"
+    },
+
+    storage: {
+        exported: {
+            one: "Exported {count} profile's records to {file}.",
+            other: "Exported the records of {count} profiles to {file}."
+        },
+        imported: "Imported {file}.",
+        importedRecords: {
+            one: "{count} record was new or better than yours.",
+            other: "{count} records were new or better than yours."
+        },
+        importedKept: {
+            one: "{count} record was no better than yours and was left out.",
+            other: "{count} records were no better than yours and were left out."
+        },
+        importedProfiles: {
+            one: "{count} new profile: {names}.",
+            other: "{count} new profiles: {names}."
+        }
+    },
+
+    profiles: {
+        title: "PLAYER PROFILES",
+        none: "No profiles yet. Create one to start playing.",
+        lastUsed: "(last used)",
+        menu: "{n} New profile   {r} Rename   {d} Delete   {s} Stats   {a} Achievements",
+        select: "Select a profile (number or name){fallback}: ",
+        enterDefault: " [ENTER = {name}]",
+        newName: "New profile name: ",
+        created: "Created profile \"{name}\".",
+        renameWhich: "Rename which profile? ",
+        newNameFor: "New name for \"{name}\": ",
+        renamed: "Renamed \"{from}\" to \"{to}\". Records kept.",
+        deleteWhich: "Delete which profile? ",
+        deleteConfirm: "Delete \"{name}\" and all their scores? Type {word} to confirm: ",
+        confirmWord: "YES",
+        deleted: "Deleted profile \"{name}\".",
+        deleteCancelled: "Delete cancelled.",
+        statsWhich: "Stats for which profile? ",
+        achievementsWhich: "Achievements for which profile? ",
+        noMatch: "No profile matches \"{answer}\".",
+        // Problems reported by profiles.js, by error code
+        errors: {
+            notFound: "No such profile.",
+            nameEmpty: "Profile name cannot be empty.",
+            nameTooLong: "Profile name must be at most {max} characters.",
+            nameTaken: "A profile named \"{name}\" already exists."
+        }
+    },
+
+    stats: {
+        title: "STATISTICS: {name}   Difficulty: {difficulty}",
+        noRuns: "No runs recorded yet. Go open some bottles!",
+        allTime: "All time",
+        lastN: "Last {count}",
+        runs: "Runs",
+        winRate: "Win rate",
+        averageScore: "Average score",
+        medianScore: "Median score",
+        averageLevel: "Average level",
+        wrongTwists: "Wrong twists/run",
+        bestSplits: "BEST SPLITS",
+        noneCleared: "No level cleared yet.",
+        levelSplit: "Level {level}: {time}",
+        failures: "FAILURES",
+        neverFailed: "Never failed. Impressive.",
+        mostCommon: "Most common: {cause}",
+        lastRuns: "LAST {count} RUNS",
+        levelShort: "Lv {level}"
+    },
+
+    // The end-of-run debrief (see debrief.js)
+    debrief: {
+        title: "DEBRIEF: WHAT WAS REALLY GOING ON",
+        level: "Level {level}: {bottle}",
+        efficiency: "Efficiency: {percent} ({rating})",
+        hidden: "Opens {direction}, needs {required}N, breaks above {capacity}N",
+        jam: "jammed by {jam}N",
+        rust: "{breakaway}N more to break it loose",
+        doubleThread: "double thread: the second half turns the other way",
+        press: "has to be pushed down",
+        noTwists: "No twists on this bottle.",
+        move: "{energy}% energy (it needed {needed}N and could take {capacity}N)",
+        spent: "Energy spent: {energy}%. Wasted: {wrong}% twisting the wrong way, {over}% on too much force.",
+        cheapest: "Cheapest opening: {twists} for {energy}% energy",
+        cheapestTwist: "{direction} {force}N {time}s",
+        total: "WHOLE RUN",
+        totalEfficiency: "Efficiency over the bottles opened: {percent}",
+        ratings: {
+            flawless: "flawless",
+            efficient: "efficient",
+            wasteful: "wasteful",
+            brutish: "brute force",
+            unopened: "not opened"
+        },
+        results: {
+            tightened: "tightened it",
+            jamReduced: "eased the jam",
+            jamCleared: "cleared the jam",
+            progress: "loosened it",
+            opened: "opened it",
+            slipped: "slipped without a push",
+            stuck: "didn't break it loose",
+            threadFlipped: "finished the first thread",
+            bottleShattered: "shattered it",
+            bottleReset: "shattered it (reset)",
+            exhausted: "you passed out"
+        }
+    },
+
+    achievements: {
+        title: "ACHIEVEMENTS: {name}   {count} of {total} unlocked",
+        unlocked: "Achievement unlocked: {name}!",
+        unlockedThisRun: "ACHIEVEMENTS UNLOCKED:",
+        locked: "locked",
+        list: {
+            cleanHands: { name: "Clean Hands", description: "Win without a single wrong-direction twist" },
+            oneAndDone: { name: "One and Done", description: "Win opening every bottle with one twist" },
+            ironLungs: { name: "Iron Lungs", description: "Win with more than {energy}% energy left" },
+            brinkmanship: { name: "Brinkmanship", description: "Open the last bottle within {newtons}N of breaking it" },
+            sprinter: { name: "Sprinter", description: "Win in under {seconds} seconds" }
+        }
+    },
+
+    events: {
+        levelHeader: "Level {level}: {bottle}",
+        levelStarted: "Level {level} Started: {bottle} bottle. {description}",
+        restingRealtime: "Resting for {seconds}s - energy comes back as the clock runs.",
+        rested: "Rested {seconds}s: +{energy}% energy.",
+        restedFull: "Rested {seconds}s, but your energy was already full.",
+        restRejected: "Not enough time to rest {seconds}s. You have {remaining}s left.",
+        paused: "Paused.",
+        resumed: "Resumed after {time} away.",
+        gaveUp: "You put the bottle down and walked away.",
+        moveRejected: "Not enough time remaining. You have {remaining}s left.",
+        rejectedPaused: "The game is paused - resume it first.",
+        rejectedBusy: "Your hands are still busy - {seconds}s to go.",
+        rejectedNoEnergy: "Not enough energy: that twist costs {cost}% and you have {energy}%. Rest first.",
+        exhausted: "EXHAUSTED! You passed out before opening the bottle.",
+        shattered: "CRACK! You applied {force}N force over {time}s. The bottle shattered!",
+        timeUp: "TIME'S UP! The bomb... err, bottle remained closed.",
+        bottleReset: "The glass is swept up and the same bottle set out again (reset {resets}).",
+        revealed: "Revealed: it opened {direction}, needed {required}N and could take {capacity}N.",
+        tightened: "Applied {force}N {direction} for {time}s. Bottle tightened!",
+        woundBack: "Applied {force}N {direction} for {time}s. The cap wound back - progress lost!",
+        jamReduced: "Applied {force}N {direction} for {time}s. Jam reduced but not cleared.",
+        slipped: "Applied {force}N {direction} for {time}s. The cap just clicked round - push it down ('press') while twisting.",
+        stuck: "Applied {force}N {direction} for {time}s. Rusted solid - it didn't budge. Break it loose with more force.",
+        threadFlipped: "Applied {force}N {direction} for {time}s. Halfway! The second thread runs the OTHER way.",
+        jamCleared: "Applied {force}N {direction} for {time}s. Jam cleared but more force needed.",
+        progress: "Applied {force}N {direction} for {time}s. The cap turned a little - {grip}.",
+        nothingMoved: "Applied {force}N {direction} for {time}s. Nothing moved - it needs a stronger twist.",
+        openedJam: "SUCCESS! Applied {force}N for {time}s. The jamming cleared and the cap flew off!",
+        opened: "POP! Applied {force}N for {time}s. The bottle opens smoothly.",
+        // Tactile feedback for a twist (see physics.js feelTwist)
+        bites: "The cap bites - the thread catches hard turning {direction}. It's locked that way.",
+        creak: "Creak... the bottle groans under the load. Material: {integrity}",
+        hairline: "TICK - a hairline crack! That was very close to breaking point."
+    },
+
+    input: {
+        waitingStep: "Twisting... step {step} of {steps} starts in {seconds}s.",
+        sequenceStopped: "(Sequence stopped at step {step} of {steps}.)",
+        stepsDropped: {
+            one: "Bottle open! The last step of the sequence was meant for it and was dropped.",
+            other: "Bottle open! The last {count} steps of the sequence were meant for it and were dropped."
+        },
+        noDuration: "No duration given - held it for {seconds}s.",
+        didYouMean: "Unknown command \"{word}\". Did you mean {suggestions}?",
+        unknownCommand: "Unknown command \"{word}\". Type 'help' for commands, or twist like 'acw 20s 30n'."
+    },
+
+    // Why a twist couldn't be read, by parser.js error code
+    parser: {
+        unexpectedCharacter: "Unexpected \"{text}\" at position {position}.",
+        missingUnit: "\"{number}\" needs a unit, e.g. {number}s for seconds or {number}n for newtons.",
+        unknownUnit: "Unknown unit \"{unit}\" after {number}. Use s, ms, min for time or n, kN for force.",
+        duplicateTime: "Two durations: \"{first}\" and \"{second}\". Give one.",
+        duplicateForce: "Two forces: \"{first}\" and \"{second}\". Give one.",
+        conflictingDirection: "Two directions: \"{first}\" and \"{second}\". Pick one.",
+        missingNumber: "\"{unit}\" needs a number in front of it, e.g. 20 {unit}.",
+        unknownWord: "Unknown word \"{text}\" at position {position}.",
+        missingDirection: "Direction not found. Use cw / clockwise / right or acw / anticlockwise / left.",
+        missingForce: "Force not found. Add it with a unit, e.g. 10n or 1.5kN.",
+        notPositiveTime: "Time must be greater than 0 (got \"{text}\").",
+        notPositiveForce: "Force must be greater than 0 (got \"{text}\")."
+    },
+
+    commands: {
+        title: "COMMANDS",
+        twistUsage: "Twist: direction, seconds, newtons in any order (add 'press' to push down)",
+        chainUsage: "Chain steps with ';' - stops if one fails or the bottle opens",
+        aliases: " (also: {aliases})",
+        help: "List these commands",
+        rules: "Show the game mechanics again",
+        status: "Where you stand right now",
+        restUsage: "rest <duration>",
+        rest: "Spend time from the pool to recover energy",
+        history: "Every line of this run's log",
+        pause: "Stop the clock until you're back",
+        save: "Save the run and exit - continue later with --resume",
+        quit: "Give up this run (it still counts in your stats)",
+        returnToGame: "Press ENTER to return to the game{note}...",
+        clockRunning: " (the clock keeps running)",
+        runLog: "RUN LOG",
+        nothingYet: "Nothing has happened yet.",
+        statusReport: {
+            one: "Level {level}/{total}, {bottle} bottle, {count} twist on it. Energy {energy}%, {remaining} left in the pool. Thread: {grip}, material: {integrity}, stress: {stress}.",
+            other: "Level {level}/{total}, {bottle} bottle, {count} twists on it. Energy {energy}%, {remaining} left in the pool. Thread: {grip}, material: {integrity}, stress: {stress}."
+        },
+        statusReportEndless: {
+            one: "Level {level}, {bottle} bottle, {count} twist on it. Energy {energy}%, {remaining} left in the pool. Thread: {grip}, material: {integrity}, stress: {stress}.",
+            other: "Level {level}, {bottle} bottle, {count} twists on it. Energy {energy}%, {remaining} left in the pool. Thread: {grip}, material: {integrity}, stress: {stress}."
+        },
+        statusReportZen: {
+            one: "Level {level}/{total}, {bottle} bottle, {count} twist on it. Energy {energy}%. Thread: {grip}, material: {integrity}, stress: {stress}.",
+            other: "Level {level}/{total}, {bottle} bottle, {count} twists on it. Energy {energy}%. Thread: {grip}, material: {integrity}, stress: {stress}."
+        },
+        stressUnknown: "can't tell",
+        restHelp: "Usage: rest <duration>, e.g. 'rest 20', 'rest 2.5s' or 'rest 1 min'",
+        quitConfirm: "Give up this run? It counts as a loss in your stats. (y/N) ",
+        carryOn: "Carry on, then."
+    },
+
+    pause: {
+        title: "PAUSED",
+        explain: "the clock is stopped and energy doesn't recover.",
+        prompt: "Press ENTER to carry on, or type 'save' to save the run and exit: ",
+        interrupted: "Paused.",
+        interruptPrompt: "Save this run and exit? ({yes} = save, {no} = exit without saving, ENTER = keep playing)",
+        no: "n",
+        saveFailed: "Could not save the run. It is paused; type 'save' to try again.",
+        saved: "Run saved at level {level}/{total}. The clock is stopped.",
+        continueWith: "Continue with: {command}",
+        recorderLost: "{error} - the rest of this run won't be recorded.",
+        saveChanged: "This saved run was changed outside the game. You can finish it, but it won't count for scores or achievements."
+    },
+
+    gameOver: {
+        congratulations: "CONGRATULATIONS! YOU OPENED ALL BOTTLES!",
+        finalStats: "FINAL STATISTICS:",
+        timeUsed: "Time Used:",
+        timeSaved: "Time Saved:",
+        energyRemaining: "Energy Remaining:",
+        levelPoints: "Level Points:",
+        timeScore: "Time Score:",
+        energyBonus: "Energy Bonus:",
+        spareTimeScore: "Spare Time Score:",
+        bottlesOpened: "Bottles Opened:",
+        twists: "Twists:",
+        resets: "Resets:",
+        totalScore: "TOTAL SCORE:",
+        levelBreakdown: "LEVEL POINTS:",
+        columns: {
+            level: "Level",
+            base: "Base",
+            extraMoves: "Extra",
+            wrongDirection: "Wrong",
+            jam: "Jam",
+            margin: "Margin",
+            multiplier: "Mult",
+            points: "Points"
+        },
+        pointsUnit: "points",
+        notBeaten: "Personal best not beaten. Your record: {score} points",
+        newBest: "NEW PERSONAL BEST!",
+        improved: "You improved by {points} points ({percent}% better)!",
+        improvedFromZero: "You improved by {points} points!",
+        replacesOldScoring: "Your first record with level points - it replaces the one from the old scoring.",
+        firstCompletion: "This is your first completion. Awesome start!",
+        firstScore: "Your first score on this table. Now beat it!",
+        failed: "GAME OVER - MISSION FAILED",
+        reason: "Reason: {reason}",
+        reached: "You reached Level {level} in {time}",
+        yourBest: "Your personal best: {score} points ({time})",
+        replaySaved: "Replay saved: {file}",
+        notRecorded: "Not recorded - this run was resumed from a save changed outside the game.",
+        replayUnfinished: "The recorded run ends here - it was never finished."
+    }
+};
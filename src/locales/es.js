@@ -0,0 +1,476 @@
+/**
+ * Spanish (español). Keys and {placeholders} follow en.js.
+ */
+
+export const MESSAGES = {
+    grip: {
+        sealed: "Cerrado a tope",
+        budged: "Apenas se ha movido",
+        giving: "Empieza a ceder",
+        loose: "Bastante más suelto",
+        almostFree: "Casi suelto"
+    },
+    integrity: {
+        sound: "Intacto",
+        strained: "Algo forzado",
+        weakened: "Debilitado",
+        fragile: "¡Frágil!",
+        unknown: "No se sabe"
+    },
+
+    bottles: {
+        standard: { name: "Normal", description: "Un tapón de rosca corriente. Sin sorpresas." },
+        glass: { name: "Cristal", description: "Cristal fino. Se rompe antes y nunca cruje primero." },
+        plastic: { name: "Plástico", description: "Plástico blando. Se dobla y absorbe parte de cada giro." },
+        rusted: { name: "Metal oxidado", description: "Soldado por el óxido. Cuesta arrancarlo, pero luego gira mejor." },
+        childproof: { name: "A prueba de niños", description: "Solo agarra si lo empujas hacia abajo: añade 'press' a tu giro." },
+        doubleThread: { name: "Doble rosca", description: "Dos roscas. A mitad de camino, el sentido se invierte." }
+    },
+
+    timeModels: {
+        hybrid: {
+            name: "Híbrido",
+            used: "tiempo real",
+            remaining: "giros y descansos",
+            rules: "Del tiempo disponible solo se descuenta lo que duran giros y descansos,\npero la puntuación y la recuperación de energía van con el reloj real.\nPensar no gasta tiempo disponible, pero sí puntuación."
+        },
+        turn: {
+            name: "Por turnos",
+            used: "giros y descansos",
+            remaining: "giros y descansos",
+            rules: "Solo cuenta lo que duran giros y descansos: para el tiempo, la\npuntuación y la energía. Piensa todo lo que quieras."
+        },
+        realtime: {
+            name: "Tiempo real",
+            used: "tiempo real",
+            remaining: "tiempo real",
+            rules: "El reloj real es tu tiempo disponible. Un giro dura lo que digas\ny no puedes hacer nada más hasta que termine. La energía se\nrecupera con el reloj; 'rest' solo espera."
+        }
+    },
+
+    modes: {
+        endless: {
+            name: "SIN FIN",
+            objective: "Las botellas no dejan de llegar, cada una más difícil, con {seconds} segundos de tiempo\ndisponible en total. Abre todas las que puedas antes de que una te gane.",
+            scoring: "Tu puntuación es el número de botellas que abres. No hay última botella:\nla partida acaba cuando una se rompe, te desmayas o se acaba el tiempo."
+        },
+        timeAttack: {
+            name: "CONTRARRELOJ",
+            objective: "Abre las {levels} botellas. Cada una tiene su propia cuenta atrás de {seconds} segundos.",
+            scoring: "Cada segundo que le quede a la cuenta atrás de una botella al abrirla vale 100 puntos,\nmás 10 puntos por cada % de energía que te quede al final."
+        },
+        zen: {
+            name: "ZEN",
+            objective: "Practica con {levels} botellas sin reloj. Si una botella se rompe, se recogen los\ncristales y vuelve a la mesa, y no te puedes desmayar: descansa cuando estés cansado.",
+            scoring: "Empiezas con 1000 puntos y pierdes 20 por cada giro de más en una botella\ny 100 por cada reinicio."
+        }
+    },
+
+    outcomes: {
+        won: "Botellas abiertas",
+        shattered: "Botella rota",
+        exhausted: "Agotamiento",
+        timeUp: "Se acabó el tiempo",
+        quit: "Abandono",
+        stalled: "Atascado"
+    },
+
+    common: {
+        pressEnter: "Pulsa ENTER para continuar...",
+        pressAnyKey: "Pulsa una tecla para salir...",
+        points: { one: "{count} punto", other: "{count} puntos" },
+        seconds: { one: "{count} segundo", other: "{count} segundos" },
+        minutes: { one: "{count} minuto", other: "{count} minutos" },
+        title: "LA PARADOJA DEL TORQUE",
+        or: " o ",
+        yes: "s",
+        yesWord: "sí",
+        noWord: "no"
+    },
+
+    hud: {
+        title: "LA PARADOJA DEL TORQUE - NIVEL {level}/{total}",
+        titleEndless: "LA PARADOJA DEL TORQUE - SIN FIN - NIVEL {level}",
+        player: "Jugador: {name}",
+        daily: "RETO DIARIO {date} (semilla: {seed})",
+        seed: "Semilla: {seed}   Dificultad: {difficulty}",
+        pack: "Paquete de niveles: {name}   Dificultad: {difficulty}",
+        timeUsed: "Tiempo usado:",
+        timeRemaining: "Tiempo restante:",
+        noClock: "sin reloj (zen)",
+        busy: "(ocupado {seconds}s)",
+        energy: "Energía:",
+        stress: "Tensión:",
+        cantTell: "No se sabe",
+        bottle: "Botella:",
+        thread: "Rosca:",
+        status: "Estado:",
+        open: "ABIERTA",
+        locked: "CERRADA",
+        material: "Material:",
+        log: "REGISTRO:",
+        twistHint: "Giro: p. ej. 'cw 20s 10n' o '10n acw 20s' (en cualquier orden), encadena con ';'",
+        commandsHint: "Comandos: help, rules, status, rest <segundos>, history, pause, save, quit",
+        prompt: "Acción > ",
+        splits: "PARCIALES",
+        vsPb: "vs récord",
+        total: "Total: {delta}",
+        projected: "Previsión: {score} pts",
+        overTime: "Previsión: {warning}",
+        overTimeWarning: "¡fuera de tiempo!",
+        levelComplete: ">>> ¡NIVEL {level} SUPERADO! <<<",
+        replay: "REPETICIÓN x{speed}",
+        welcome: "Bienvenido a la paradoja. Elige bien.",
+        welcomeBack: "Bienvenido de nuevo. El reloj vuelve a correr."
+    },
+
+    narration: {
+        intro: "Escribe un giro, p. ej. 'acw 20s 30n', o 'help' para ver los comandos. 'status' te dice cómo vas.",
+        energy: "Energía {energy}%.",
+        stress: "Tensión {percent}%.",
+        thread: "Rosca: {grip}.",
+        material: "Material: {integrity}.",
+        timeLeft: "Quedan {time}."
+    },
+
+    intro: {
+        story: "HISTORIA",
+        storyBefore: "Recobras el conocimiento en una sala fría y aséptica. Tu último recuerdo\nestá... roto. Ante ti, sobre una mesa de metal, hay 10 botellas cerradas\nque zumban con una energía inquietante. Una voz suena por los altavoces:",
+        storyQuote: "\"Ábrelas todas, o quédate aquí para siempre.\"",
+        storyAfter: "El tiempo se acaba. La energía escasea. Un movimiento en falso...\ny todo se hace añicos.",
+        begin: "Pulsa ENTER para EMPEZAR...",
+        initializing: "Iniciando La Paradoja del Torque..."
+    },
+
+    rules: {
+        objective: "OBJETIVO",
+        objectiveText: "Abre las {levels} botellas en menos de {seconds} segundos.",
+        beatBest: "SUPERA TU RÉCORD",
+        scoring: "PUNTUACIÓN",
+        scoringIntro: "La velocidad lo es todo. Tu puntuación premia terminar rápido:",
+        formulaLabel: "Fórmula:",
+        formula: "({max}s - tiempo usado) {times} 100 + bonus de energía",
+        exampleLabel: "Ejemplo:",
+        example: "120s usados, 50 de energía = (300-120){times}100 + 500 = {total}",
+        exampleTotal: "18.500 puntos",
+        mechanics: "MECÁNICA DEL JUEGO",
+        bottles: "BOTELLAS",
+        bottlesText: "Cada tapón está bloqueado en CW o en ACW. Gíralo en sentido CONTRARIO para abrirlo.\n¿Sentido equivocado? El tapón se aprieta. ¿Sentido correcto? ¡Avanzas!\nUn giro demasiado flojo para abrirlo afloja igualmente la rosca -\ny cuanto más tiempo lo mantienes, más cede.\nNo todas las botellas son iguales: las de cristal, plástico, oxidadas,\na prueba de niños y de doble rosca tienen su truco. Lee la entrada del nivel.",
+        commands: "COMANDOS",
+        commandsText: "Formato: 'cw 20s 10n' (horario, 20 segundos, 10 newtons)\nEl orden da igual: '10n acw 20s' funciona igual\nMayúsculas o minúsculas: 'CW', 'cw', 'Cw' valen todas\nTambién en palabras (en inglés): 'twist left with 1.5kN for 500ms'\n¿Tapón a prueba de niños? Empuja también: 'acw 20s 40n press'\nEncadena giros con ';': 'acw 10s 20n; acw 5s 30n'\nEscribe 'help' durante la partida para rest, status, history, rules y quit",
+        force: "FUERZA Y TIEMPO",
+        forceText: "Aplica fuerza durante un TIEMPO (segundos). Más tiempo = menos energía gastada.\nSe premia la paciencia y la estrategia, no la fuerza bruta.",
+        clock: "EL RELOJ: {model}",
+        energy: "ENERGÍA",
+        energyText: "Empiezas al 100%. Recuperas +{recovery}% por segundo sin hacer nada.\nSi gastas demasiada energía, te desmayas (fin de la partida).\nCada nivel superado te da +{bonus} de energía (hasta el 100%).",
+        breakage: "ROTURA",
+        breakageText: "Aplica DEMASIADA fuerza y la botella SE ROMPE {arrow} fin de la partida.\nLos primeros niveles perdonan. Los últimos son PELIGROSOS. Equilibra fuerza y precisión.\nCada giro al borde de la rotura FATIGA el material: la próxima vez aguanta menos.\nLos tirones rápidos lo desgastan más que los giros lentos y constantes.",
+        progression: "PROGRESIÓN DE DIFICULTAD",
+        earlyLevels: "Niveles 1-3",
+        earlyText: "Fácil. Los márgenes de seguridad son amplios.",
+        middleLevels: "Niveles 4-7",
+        middleText: "Moderado. El peligro aumenta...",
+        lateLevels: "Niveles 8-10",
+        lateBrutal: "BRUTAL.",
+        lateText: "{brutal} La resistencia apenas supera la fuerza necesaria. Hace falta precisión.",
+        tips: "CONSEJOS",
+        tipsText: "Vigila el REGISTRO: te cuenta lo que está pasando.\nLas botellas atascadas necesitan fuerza extra para liberarse.\nGiros largos con fuerza moderada = eficiencia.\nLa energía se recupera sola: ten paciencia cuando haga falta.\nUn giro potente suele ser mejor que varios flojos."
+    },
+
+    best: {
+        daily: "MEJOR DEL DÍA ({date}):",
+        previous: "RÉCORD ANTERIOR ({difficulty}):",
+        score: "Puntuación:",
+        time: "Tiempo:",
+        timeScore: "Puntos por tiempo:",
+        energyRemaining: "Energía restante:",
+        levelPoints: "Puntos por nivel:",
+        energyBonus: "Bonus de energía:",
+        spareTimeScore: "Puntos por tiempo sobrante:",
+        bottlesOpened: "Botellas abiertas:",
+        twists: "Giros:",
+        resets: "Reinicios:",
+        date: "Fecha:",
+        seed: "Semilla:",
+        unverified: "Estos récords se modificaron fuera del juego, así que están marcados como no verificados.",
+        oldScoring: "Se logró antes de que contaran los puntos por nivel, así que no se puede comparar: tu próxima partida con puntuación lo sustituye.",
+        secondsUnit: "segundos",
+        challenge: "¿Puedes superarlo?"
+    },
+
+    storage: {
+        exported: {
+            one: "Récords de {count} perfil exportados a {file}.",
+            other: "Récords de {count} perfiles exportados a {file}."
+        },
+        imported: "Importado {file}.",
+        importedRecords: {
+            one: "{count} récord era nuevo o mejor que el tuyo.",
+            other: "{count} récords eran nuevos o mejores que los tuyos."
+        },
+        importedKept: {
+            one: "{count} récord no mejoraba el tuyo y se ha descartado.",
+            other: "{count} récords no mejoraban los tuyos y se han descartado."
+        },
+        importedProfiles: {
+            one: "{count} perfil nuevo: {names}.",
+            other: "{count} perfiles nuevos: {names}."
+        }
+    },
+
+    profiles: {
+        title: "PERFILES DE JUGADOR",
+        none: "Todavía no hay perfiles. Crea uno para empezar a jugar.",
+        lastUsed: "(el último)",
+        menu: "{n} Nuevo perfil   {r} Renombrar   {d} Borrar   {s} Estadísticas   {a} Logros",
+        select: "Elige un perfil (número o nombre){fallback}: ",
+        enterDefault: " [ENTER = {name}]",
+        newName: "Nombre del nuevo perfil: ",
+        created: "Perfil \"{name}\" creado.",
+        renameWhich: "¿Qué perfil quieres renombrar? ",
+        newNameFor: "Nuevo nombre para \"{name}\": ",
+        renamed: "\"{from}\" ahora se llama \"{to}\". Se conservan sus récords.",
+        deleteWhich: "¿Qué perfil quieres borrar? ",
+        deleteConfirm: "¿Borrar \"{name}\" y todas sus puntuaciones? Escribe {word} para confirmar: ",
+        confirmWord: "SI",
+        deleted: "Perfil \"{name}\" borrado.",
+        deleteCancelled: "Borrado cancelado.",
+        statsWhich: "¿Estadísticas de qué perfil? ",
+        achievementsWhich: "¿Logros de qué perfil? ",
+        noMatch: "Ningún perfil coincide con \"{answer}\".",
+        errors: {
+            notFound: "Ese perfil no existe.",
+            nameEmpty: "El nombre del perfil no puede estar vacío.",
+            nameTooLong: "El nombre del perfil puede tener como mucho {max} caracteres.",
+            nameTaken: "Ya existe un perfil llamado \"{name}\"."
+        }
+    },
+
+    stats: {
+        title: "ESTADÍSTICAS: {name}   Dificultad: {difficulty}",
+        noRuns: "Todavía no hay partidas. ¡A abrir botellas!",
+        allTime: "Siempre",
+        lastN: "Últimas {count}",
+        runs: "Partidas",
+        winRate: "Victorias",
+        averageScore: "Puntuación media",
+        medianScore: "Mediana",
+        averageLevel: "Nivel medio",
+        wrongTwists: "Giros errados",
+        bestSplits: "MEJORES PARCIALES",
+        noneCleared: "Aún no has superado ningún nivel.",
+        levelSplit: "Nivel {level}: {time}",
+        failures: "DERROTAS",
+        neverFailed: "Nunca has perdido. Impresionante.",
+        mostCommon: "La más habitual: {cause}",
+        lastRuns: "ÚLTIMAS {count} PARTIDAS",
+        levelShort: "Nv {level}"
+    },
+
+    // The end-of-run debrief (see debrief.js)
+    debrief: {
+        title: "INFORME: LO QUE DE VERDAD PASABA",
+        level: "Nivel {level}: {bottle}",
+        efficiency: "Eficiencia: {percent} ({rating})",
+        hidden: "Se abre {direction}, pide {required}N y se rompe por encima de {capacity}N",
+        jam: "atascada {jam}N",
+        rust: "{breakaway}N más para despegarla",
+        doubleThread: "doble rosca: la segunda mitad gira al revés",
+        press: "hay que empujarla hacia abajo",
+        noTwists: "Ningún giro en esta botella.",
+        move: "{energy}% de energía (pedía {needed}N y aguantaba {capacity}N)",
+        spent: "Energía gastada: {energy}%. Desperdiciada: {wrong}% girando al revés, {over}% por exceso de fuerza.",
+        cheapest: "Apertura más barata: {twists} por {energy}% de energía",
+        cheapestTwist: "{direction} {force}N {time}s",
+        total: "PARTIDA COMPLETA",
+        totalEfficiency: "Eficiencia en las botellas abiertas: {percent}",
+        ratings: {
+            flawless: "impecable",
+            efficient: "eficiente",
+            wasteful: "derrochadora",
+            brutish: "fuerza bruta",
+            unopened: "sin abrir"
+        },
+        results: {
+            tightened: "la apretó",
+            jamReduced: "alivió el atasco",
+            jamCleared: "quitó el atasco",
+            progress: "la aflojó",
+            opened: "la abrió",
+            slipped: "resbaló sin empujar",
+            stuck: "no la despegó",
+            threadFlipped: "terminó la primera rosca",
+            bottleShattered: "la rompió",
+            bottleReset: "la rompió (reinicio)",
+            exhausted: "te desmayaste"
+        }
+    },
+
+    achievements: {
+        title: "LOGROS: {name}   {count} de {total} desbloqueados",
+        unlocked: "¡Logro desbloqueado: {name}!",
+        unlockedThisRun: "LOGROS DESBLOQUEADOS:",
+        locked: "bloqueado",
+        list: {
+            cleanHands: { name: "Manos limpias", description: "Gana sin girar ni una vez en el sentido equivocado" },
+            oneAndDone: { name: "A la primera", description: "Gana abriendo cada botella con un solo giro" },
+            ironLungs: { name: "Pulmones de acero", description: "Gana con más del {energy}% de energía" },
+            brinkmanship: { name: "Al filo", description: "Abre la última botella a {newtons}N o menos de romperla" },
+            sprinter: { name: "Velocista", description: "Gana en menos de {seconds} segundos" }
+        }
+    },
+
+    events: {
+        levelHeader: "Nivel {level}: {bottle}",
+        levelStarted: "Empieza el nivel {level}: botella {bottle}. {description}",
+        restingRealtime: "Descansas {seconds}s: la energía vuelve mientras corre el reloj.",
+        rested: "Has descansado {seconds}s: +{energy}% de energía.",
+        restedFull: "Has descansado {seconds}s, pero ya tenías la energía al máximo.",
+        restRejected: "No hay tiempo para descansar {seconds}s. Te quedan {remaining}s.",
+        paused: "En pausa.",
+        resumed: "Reanudado tras {time} fuera.",
+        gaveUp: "Dejaste la botella en la mesa y te marchaste.",
+        moveRejected: "No queda tiempo suficiente. Te quedan {remaining}s.",
+        rejectedPaused: "El juego está en pausa: reanúdalo primero.",
+        rejectedBusy: "Todavía tienes las manos ocupadas: faltan {seconds}s.",
+        rejectedNoEnergy: "No tienes energía suficiente: ese giro cuesta {cost}% y te queda {energy}%. Descansa primero.",
+        exhausted: "¡AGOTADO! Te desmayaste antes de abrir la botella.",
+        shattered: "¡CRAC! Aplicaste {force}N durante {time}s. ¡La botella se ha roto!",
+        timeUp: "¡SE ACABÓ EL TIEMPO! La bomba... digo, la botella sigue cerrada.",
+        bottleReset: "Se recogen los cristales y vuelve a la mesa la misma botella (reinicio {resets}).",
+        revealed: "Al descubierto: se abría {direction}, pedía {required}N y aguantaba {capacity}N.",
+        tightened: "Aplicas {force}N {direction} durante {time}s. ¡La botella se ha apretado!",
+        woundBack: "Aplicas {force}N {direction} durante {time}s. El tapón ha vuelto atrás: ¡progreso perdido!",
+        jamReduced: "Aplicas {force}N {direction} durante {time}s. El atasco ha cedido, pero no del todo.",
+        slipped: "Aplicas {force}N {direction} durante {time}s. El tapón gira en vacío: empújalo ('press') mientras giras.",
+        stuck: "Aplicas {force}N {direction} durante {time}s. Oxidado del todo: no se ha movido. Despégalo con más fuerza.",
+        threadFlipped: "Aplicas {force}N {direction} durante {time}s. ¡A mitad de camino! La segunda rosca va en el sentido CONTRARIO.",
+        jamCleared: "Aplicas {force}N {direction} durante {time}s. Atasco liberado, pero hace falta más fuerza.",
+        progress: "Aplicas {force}N {direction} durante {time}s. El tapón ha girado un poco: {grip}.",
+        nothingMoved: "Aplicas {force}N {direction} durante {time}s. No se ha movido nada: necesita un giro más fuerte.",
+        openedJam: "¡CONSEGUIDO! Aplicaste {force}N durante {time}s. ¡El atasco cedió y el tapón salió volando!",
+        opened: "¡POP! Aplicaste {force}N durante {time}s. La botella se abre sin problemas.",
+        bites: "El tapón muerde: la rosca se traba al girar {direction}. Está bloqueado en ese sentido.",
+        creak: "Cruje... la botella gime bajo la carga. Material: {integrity}",
+        hairline: "TIC - ¡una grieta finísima! Has estado a punto de romperla."
+    },
+
+    input: {
+        waitingStep: "Girando... el paso {step} de {steps} empieza en {seconds}s.",
+        sequenceStopped: "(Secuencia detenida en el paso {step} de {steps}.)",
+        stepsDropped: {
+            one: "¡Botella abierta! El último paso de la secuencia era para ella y se ha descartado.",
+            other: "¡Botella abierta! Los últimos {count} pasos de la secuencia eran para ella y se han descartado."
+        },
+        noDuration: "No has dado una duración: lo has mantenido {seconds}s.",
+        didYouMean: "Comando desconocido \"{word}\". ¿Querías decir {suggestions}?",
+        unknownCommand: "Comando desconocido \"{word}\". Escribe 'help' para ver los comandos, o gira así: 'acw 20s 30n'."
+    },
+
+    parser: {
+        unexpectedCharacter: "\"{text}\" inesperado en la posición {position}.",
+        missingUnit: "\"{number}\" necesita una unidad, p. ej. {number}s para segundos o {number}n para newtons.",
+        unknownUnit: "Unidad desconocida \"{unit}\" después de {number}. Usa s, ms, min para el tiempo o n, kN para la fuerza.",
+        duplicateTime: "Dos duraciones: \"{first}\" y \"{second}\". Da solo una.",
+        duplicateForce: "Dos fuerzas: \"{first}\" y \"{second}\". Da solo una.",
+        conflictingDirection: "Dos sentidos: \"{first}\" y \"{second}\". Elige uno.",
+        missingNumber: "\"{unit}\" necesita un número delante, p. ej. 20 {unit}.",
+        unknownWord: "Palabra desconocida \"{text}\" en la posición {position}.",
+        missingDirection: "Falta el sentido. Usa cw / clockwise / right o acw / anticlockwise / left.",
+        missingForce: "Falta la fuerza. Añádela con su unidad, p. ej. 10n o 1.5kN.",
+        notPositiveTime: "El tiempo tiene que ser mayor que 0 (has puesto \"{text}\").",
+        notPositiveForce: "La fuerza tiene que ser mayor que 0 (has puesto \"{text}\")."
+    },
+
+    commands: {
+        title: "COMANDOS",
+        twistUsage: "Giro: sentido, segundos y newtons en cualquier orden (añade 'press' para empujar)",
+        chainUsage: "Encadena pasos con ';': se detiene si uno falla o si se abre la botella",
+        aliases: " (también: {aliases})",
+        help: "Muestra estos comandos",
+        rules: "Vuelve a mostrar las reglas del juego",
+        status: "Cómo vas ahora mismo",
+        restUsage: "rest <duración>",
+        rest: "Gasta tiempo disponible para recuperar energía",
+        history: "Todo el registro de esta partida",
+        pause: "Para el reloj hasta que vuelvas",
+        save: "Guarda la partida y sal; sigue más tarde con --resume",
+        quit: "Abandona esta partida (cuenta en tus estadísticas)",
+        returnToGame: "Pulsa ENTER para volver a la partida{note}...",
+        clockRunning: " (el reloj sigue corriendo)",
+        runLog: "REGISTRO DE LA PARTIDA",
+        nothingYet: "Todavía no ha pasado nada.",
+        statusReport: {
+            one: "Nivel {level}/{total}, botella {bottle}, {count} giro hecho. Energía {energy}%, quedan {remaining} de tiempo disponible. Rosca: {grip}, material: {integrity}, tensión: {stress}.",
+            other: "Nivel {level}/{total}, botella {bottle}, {count} giros hechos. Energía {energy}%, quedan {remaining} de tiempo disponible. Rosca: {grip}, material: {integrity}, tensión: {stress}."
+        },
+        statusReportEndless: {
+            one: "Nivel {level}, botella {bottle}, {count} giro hecho. Energía {energy}%, quedan {remaining} de tiempo disponible. Rosca: {grip}, material: {integrity}, tensión: {stress}.",
+            other: "Nivel {level}, botella {bottle}, {count} giros hechos. Energía {energy}%, quedan {remaining} de tiempo disponible. Rosca: {grip}, material: {integrity}, tensión: {stress}."
+        },
+        statusReportZen: {
+            one: "Nivel {level}/{total}, botella {bottle}, {count} giro hecho. Energía {energy}%. Rosca: {grip}, material: {integrity}, tensión: {stress}.",
+            other: "Nivel {level}/{total}, botella {bottle}, {count} giros hechos. Energía {energy}%. Rosca: {grip}, material: {integrity}, tensión: {stress}."
+        },
+        stressUnknown: "no se sabe",
+        restHelp: "Uso: rest <duración>, p. ej. 'rest 20', 'rest 2.5s' o 'rest 1 min'",
+        quitConfirm: "¿Abandonar esta partida? Contará como derrota en tus estadísticas. (s/N) ",
+        carryOn: "Pues adelante."
+    },
+
+    pause: {
+        title: "EN PAUSA",
+        explain: "el reloj está parado y la energía no se recupera.",
+        prompt: "Pulsa ENTER para seguir, o escribe 'save' para guardar la partida y salir: ",
+        interrupted: "En pausa.",
+        interruptPrompt: "¿Guardar la partida y salir? ({yes} = guardar, {no} = salir sin guardar, ENTER = seguir jugando)",
+        no: "n",
+        saveFailed: "No se pudo guardar la partida. Está en pausa; escribe 'save' para volver a intentarlo.",
+        saved: "Partida guardada en el nivel {level}/{total}. El reloj está parado.",
+        continueWith: "Para seguir: {command}",
+        recorderLost: "{error}: el resto de la partida no se grabará.",
+        saveChanged: "Esta partida guardada se modificó fuera del juego. Puedes terminarla, pero no contará para récords ni logros."
+    },
+
+    gameOver: {
+        congratulations: "¡ENHORABUENA! ¡HAS ABIERTO TODAS LAS BOTELLAS!",
+        finalStats: "ESTADÍSTICAS FINALES:",
+        timeUsed: "Tiempo usado:",
+        timeSaved: "Tiempo ahorrado:",
+        energyRemaining: "Energía restante:",
+        levelPoints: "Puntos por nivel:",
+        timeScore: "Puntos por tiempo:",
+        energyBonus: "Bonus de energía:",
+        spareTimeScore: "Puntos por tiempo sobrante:",
+        bottlesOpened: "Botellas abiertas:",
+        twists: "Giros:",
+        resets: "Reinicios:",
+        totalScore: "PUNTUACIÓN TOTAL:",
+        levelBreakdown: "PUNTOS POR NIVEL:",
+        columns: {
+            level: "Nivel",
+            base: "Base",
+            extraMoves: "Extra",
+            wrongDirection: "Sentido",
+            jam: "Atasco",
+            margin: "Margen",
+            multiplier: "Mult",
+            points: "Puntos"
+        },
+        pointsUnit: "puntos",
+        notBeaten: "No has superado tu récord: {score} puntos",
+        newBest: "¡NUEVO RÉCORD PERSONAL!",
+        improved: "¡Has mejorado {points} puntos (un {percent}% más)!",
+        improvedFromZero: "¡Has mejorado {points} puntos!",
+        replacesOldScoring: "Tu primer récord con puntos por nivel: sustituye al de la puntuación antigua.",
+        firstCompletion: "Es la primera vez que lo completas. ¡Gran comienzo!",
+        firstScore: "Tu primera puntuación en esta tabla. ¡Ahora supérala!",
+        failed: "FIN DE LA PARTIDA - MISIÓN FALLIDA",
+        reason: "Motivo: {reason}",
+        reached: "Llegaste al nivel {level} en {time}",
+        yourBest: "Tu récord: {score} puntos ({time})",
+        replaySaved: "Repetición guardada: {file}",
+        notRecorded: "No se registra: esta partida se reanudó desde una partida guardada modificada fuera del juego.",
+        replayUnfinished: "La partida grabada termina aquí: nunca se llegó a acabar."
+    }
+};
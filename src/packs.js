@@ -0,0 +1,229 @@
+/**
+ * THE TORQUE PARADOX - Level Packs
+ *
+ * A pack is a JSON file of hand-made bottles, played in order instead of the
+ * random ones from generateBottle. The engine builds each level's bottle from
+ * config.levels, so saves, replays and the simulator handle packs unchanged.
+ *
+ * File shape:
+ *   {
+ *     "version": 1,                 optional
+ *     "name": "Workshop",
+ *     "description": "...",         optional
+ *     "levels": [{
+ *       "type": "rusted",           bottle type (see bottles.js), default standard
+ *       "lockedDir": "CW",          the direction that tightens it
+ *       "requiredForce": 40,        newtons to open it in one twist
+ *       "maxCapacity": 60,          newtons it can take before it breaks
+ *       "jam": 0,                   optional, newtons it starts jammed by
+ *       "time": 45,                 optional, seconds on the clock when it appears
+ *       "energy": 70,               optional, energy (%) when it appears instead of the level bonus
+ *       "text": "..."               optional, shown when the bottle appears
+ *     }]
+ *   }
+ *
+ * Time budgets reset the time pool at each bottle, so they go on every level or
+ * none, and the clock can't be the pool (the realtime model).
+ */
+
+import fs from 'fs';
+import { BOTTLE_TYPES } from './bottles.js';
+import { buildBottle, calculateEnergyLoss, cheapestOpening, minimumOpeningForce } from './physics.js';
+
+export const PACK_VERSION = 1;
+
+// What each level value may be set to
+const LEVEL_RULES = {
+    requiredForce: { integer: true, min: 1, max: 5000 },
+    maxCapacity: { integer: true, min: 2, max: 10000 },
+    jam: { min: 0, max: 5000 },
+    time: { integer: true, min: 1, max: 3600 },
+    energy: { min: 1, max: 100 }
+};
+
+const LEVEL_KEYS = ['type', 'lockedDir', 'text', ...Object.keys(LEVEL_RULES)];
+const MAX_LEVELS = 50;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Read a pack file
+ * Throws an Error if the file can't be read or isn't a JSON object
+ */
+export function loadPack(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read level pack ${file}: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Level pack ${file} must contain a JSON object, e.g. { "name": "Workshop", "levels": [...] }`);
+    }
+    return data;
+}
+
+function checkNumber(key, value, problems, where) {
+    const rule = LEVEL_RULES[key];
+    const kind = rule.integer ? "a whole number" : "a number";
+    if (typeof value !== 'number' || !Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+        problems.push(`${where}: ${key} must be ${kind} (got ${JSON.stringify(value)})`);
+        return false;
+    }
+    if (value < rule.min || value > rule.max) {
+        problems.push(`${where}: ${key} must be ${kind} from ${rule.min} to ${rule.max} (got ${value})`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check a level's numbers, then whether its bottle can be opened at all
+ * Returns the problems found, empty when the level is fine
+ */
+function validateLevel(level, index) {
+    const where = `Level ${index + 1}`;
+    const problems = [];
+    if (!level || typeof level !== 'object' || Array.isArray(level)) {
+        return [`${where} must be an object`];
+    }
+
+    for (const key of Object.keys(level)) {
+        if (!LEVEL_KEYS.includes(key)) problems.push(`${where}: unknown setting "${key}". Settings: ${LEVEL_KEYS.join(', ')}`);
+    }
+    const type = level.type ?? 'standard';
+    if (!Object.hasOwn(BOTTLE_TYPES, type)) {
+        problems.push(`${where}: unknown bottle type "${type}". Choose from: ${Object.keys(BOTTLE_TYPES).join(', ')}`);
+    }
+    if (level.lockedDir !== 'CW' && level.lockedDir !== 'ACW') {
+        problems.push(`${where}: lockedDir must be "CW" or "ACW" (got ${JSON.stringify(level.lockedDir)})`);
+    }
+    for (const key of ['requiredForce', 'maxCapacity']) {
+        if (level[key] === undefined) problems.push(`${where}: ${key} is missing`);
+        else checkNumber(key, level[key], problems, where);
+    }
+    for (const key of ['jam', 'time', 'energy']) {
+        if (level[key] !== undefined) checkNumber(key, level[key], problems, where);
+    }
+    if (level.text !== undefined && (typeof level.text !== 'string' || level.text.length > MAX_TEXT_LENGTH)) {
+        problems.push(`${where}: text must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    if (problems.length) return problems;
+
+    // --- WINNABLE? ---
+    if (level.maxCapacity <= level.requiredForce) {
+        return [`${where} is unwinnable: capacity ${level.maxCapacity}N is not above the ${level.requiredForce}N it takes to open`];
+    }
+    const bottle = buildBottle({ ...level, type });
+    if (minimumOpeningForce(bottle) > level.maxCapacity) {
+        return [`${where} is unwinnable: as a ${type} bottle it takes ${minimumOpeningForce(bottle)}N to open, more than the ${level.maxCapacity}N it can take`];
+    }
+    return problems;
+}
+
+/**
+ * Seconds a level has to be opened in: its own time budget, its time attack
+ * countdown, or an even share of what is left of the shared time pool - which a
+ * level before the last must not use up, or the run ends on the next bottle
+ * Zen has no clock, so each bottle may take as long as the pool
+ */
+function levelSeconds(level, index, count, pool, config) {
+    if (level.time !== undefined) return level.time;
+    if (config.mode === 'timeAttack') return Math.floor(config.maxTimeSeconds / count);
+    if (config.mode === 'zen') return config.maxTimeSeconds;
+    return pool / (count - index);
+}
+
+/**
+ * Follow the energy and the time pool through the pack, opening every bottle the cheapest way
+ * A level starts with its own energy budget, or what the last one left plus the
+ * new-bottle bonus, as in the engine
+ * Returns a problem for the first level that can't be paid for - the ones after it are out of reach -
+ * or none
+ */
+function checkEnergy(levels, config) {
+    let energy = 100;
+    let pool = config.maxTimeSeconds; // What the shared time pool has left
+    for (const [i, level] of levels.entries()) {
+        energy = level.energy ?? Math.min(100, energy + config.levelEnergyBonus);
+        const seconds = levelSeconds(level, i, levels.length, pool, config);
+        pool -= seconds;
+        const twists = cheapestOpening(buildBottle({ type: 'standard', ...level }), seconds);
+        const cost = twists.reduce((sum, twist) => sum + calculateEnergyLoss(twist.time, twist.force), 0);
+        // Resting could win energy back, but a budget is meant to be kept without it
+
+        if (cost > energy) {
+            const plan = twists.map(twist => `${twist.force}N for ${formatSeconds(twist.time)}s`).join(" then ");
+            const carried = level.energy === undefined && i > 0 ? " after the levels before it" : "";
+            return [`Level ${i + 1} is unwinnable: the cheapest opening in its ${formatSeconds(seconds)}s (${plan}) costs ${cost}% energy, but it only has ${energy}%${carried}`];
+        }
+        energy -= cost;
+    }
+    return [];
+}
+
+function formatSeconds(seconds) {
+    return Number.isInteger(seconds) ? String(seconds) : seconds.toFixed(1);
+}
+
+/**
+ * Check a whole pack, collecting every problem
+ * config is the one it will be played with: it decides the time pool of levels without a time budget
+ * Returns a list of messages, empty when the pack is fine
+ */
+export function validatePack(pack, config) {
+    const problems = [];
+    if (pack.version !== undefined && pack.version !== PACK_VERSION) {
+        problems.push(`Unsupported pack version ${JSON.stringify(pack.version)} (this game reads version ${PACK_VERSION})`);
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        problems.push("The pack needs a name");
+    }
+    if (pack.description !== undefined && typeof pack.description !== 'string') {
+        problems.push("description must be a string");
+    }
+    if (!Array.isArray(pack.levels) || pack.levels.length === 0 || pack.levels.length > MAX_LEVELS) {
+        problems.push(`levels must be a list of 1 to ${MAX_LEVELS} bottles`);
+        return problems;
+    }
+
+    const levelProblems = pack.levels.flatMap((level, i) => validateLevel(level, i));
+    problems.push(...levelProblems);
+    // Energy carries over from bottle to bottle, so it can only be followed through a pack of sound levels
+    if (levelProblems.length === 0) problems.push(...checkEnergy(pack.levels, config));
+
+    const timed = pack.levels.filter(level => level && level.time !== undefined).length;
+    if (timed > 0 && timed < pack.levels.length) {
+        problems.push(`Give every level a time budget or none (${timed} of ${pack.levels.length} have one)`);
+    }
+    if (timed > 0 && config.timeModel === 'realtime') {
+        problems.push("Levels with time budgets can't be played in the realtime time model - the clock is the time pool there");
+    }
+    if (timed > 0 && config.mode === 'timeAttack') {
+        problems.push("Levels with time budgets already count each bottle down - play them without --mode timeAttack");
+    }
+    if (config.mode === 'endless') {
+        problems.push("A level pack runs out of bottles, so it can't be played in endless mode");
+    }
+    return problems;
+}
+
+/**
+ * The engine config that plays a pack on top of a difficulty's config
+ * With time budgets, the run's time (and the score's yardstick) is their total
+ * Throws an Error listing every problem if the pack is not playable
+ */
+export function packConfig(pack, config) {
+    const problems = validatePack(pack, config);
+    if (problems.length) {
+        throw new Error(`Invalid level pack:\n  - ${problems.join("\n  - ")}`);
+    }
+    const levels = pack.levels.map(level => ({ type: 'standard', jam: 0, ...level }));
+    const timed = levels[0].time !== undefined;
+    return {
+        ...config,
+        totalLevels: levels.length,
+        maxTimeSeconds: timed ? levels.reduce((sum, level) => sum + level.time, 0) : config.maxTimeSeconds,
+        pack: pack.name.trim(),
+        levels
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * Smart input parser - reads a twist from messy, case-insensitive, unordered input
+ *
+ * 'cw 20s 10n', '10N ACW 20S', 'counter-clockwise 1.5kN for 500ms',
+ * 'twist left with 20 newtons for 10 seconds, press' all work.
+ *
+ * The input is split into tokens (numbers and words), then read as:
+ *   quantity  := number unit          ('2.5s', '1 min', '1.5 kN')
+ *   direction := cw | clockwise | right | acw | ccw | anticlockwise | counter clockwise | left ...
+ *   press     := press | push
+ *   filler words ('twist', 'for', 'with', ...) are ignored
+ *
+ * Returns: { direction: 'CW'|'ACW', time: number, force: number, press: boolean,
+ *            timeDefaulted: boolean, valid: boolean, error: string,
+ *            errorCode: string|null, errorAt: number|null, errorParams: object }
+ * time is in seconds, force in newtons. errorAt is the index in the input of the
+ * token the error is about. error is English; errorParams holds the pieces of it
+ * (the offending text, unit, ...) for showing the error in another language.
+ */
+
+export const DEFAULT_TIME_SECONDS = 10; // Used when a twist leaves the duration out
+
+const TIME_UNITS = {
+    ms: 0.001, msec: 0.001, millisecond: 0.001, milliseconds: 0.001,
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+    min: 60, mins: 60, minute: 60, minutes: 60
+};
+
+const FORCE_UNITS = {
+    n: 1, newton: 1, newtons: 1,
+    kn: 1000, kilonewton: 1000, kilonewtons: 1000
+};
+
+// Hyphens are dropped before lookup, so 'anti-clockwise' reads as 'anticlockwise'
+const DIRECTIONS = {
+    cw: 'CW', clockwise: 'CW', right: 'CW',
+    acw: 'ACW', ccw: 'ACW', anticlockwise: 'ACW', counterclockwise: 'ACW', left: 'ACW'
+};
+
+const PRESS_WORDS = new Set(['press', 'push', 'pressing', 'pushing']);
+
+const FILLER_WORDS = new Set([
+    'twist', 'turn', 'rotate', 'apply', 'use', 'give', 'it', 'the', 'cap', 'bottle',
+    'a', 'and', 'then', 'for', 'with', 'at', 'of', 'over', 'by', 'down', 'while'
+]);
+
+/**
+ * Split input into number and word tokens, remembering where each starts
+ * Commas and exclamation marks are treated as spaces; anything else unexpected becomes an 'invalid' token
+ */
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /(\d+(?:\.\d+)?|\.\d+)|([a-zA-Z]+(?:-[a-zA-Z]+)*)|([\s,!]+)|(.)/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        const [text, number, word, space] = match;
+        if (space) continue;
+        const start = match.index;
+        if (number) tokens.push({ kind: 'number', text, value: parseFloat(text), start });
+        else if (word) tokens.push({ kind: 'word', text, value: word.toLowerCase().replace(/-/g, ''), start });
+        else tokens.push({ kind: 'invalid', text, start });
+    }
+    return tokens;
+}
+
+// Round away float noise from unit conversion (1.1kN is 1100, not 1100.0000000000002)
+function roundQuantity(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Read a duration on its own, the way 'rest' takes it: '20', '2.5s', '1 min', '500ms'
+ * A bare number is seconds. Returns the seconds, or null if the text isn't one positive duration
+ */
+export function parseDuration(input) {
+    const [amount, unitToken, ...rest] = tokenize(input);
+    if (!amount || amount.kind !== 'number' || rest.length > 0) return null;
+    if (unitToken && (unitToken.kind !== 'word' || !(unitToken.value in TIME_UNITS))) return null;
+    const seconds = roundQuantity(amount.value * (unitToken ? TIME_UNITS[unitToken.value] : 1));
+    return seconds > 0 ? seconds : null;
+}
+
+export function parseSmartInput(input) {
+    const result = {
+        direction: null,
+        time: null,
+        force: null,
+        press: false,
+        timeDefaulted: false,
+        valid: false,
+        error: "",
+        errorCode: null,
+        errorAt: null,
+        errorParams: {}
+    };
+
+    const fail = (errorCode, error, token = null, errorParams = {}) => {
+        result.errorCode = errorCode;
+        result.error = error;
+        result.errorAt = token ? token.start : null;
+        result.errorParams = errorParams;
+        return result;
+    };
+
+    const tokens = tokenize(input);
+    let directionToken = null;
+    let timeToken = null;
+    let forceToken = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.kind === 'invalid') {
+            return fail('unexpectedCharacter', `Unexpected "${token.text}" at position ${token.start + 1}.`, token,
+                { text: token.text, position: token.start + 1 });
+        }
+
+        // --- QUANTITY: a number and the unit right after it ---
+        if (token.kind === 'number') {
+            const unitToken = tokens[i + 1];
+            const unit = unitToken && unitToken.kind === 'word' ? unitToken.value : null;
+            if (unit === null || (!(unit in TIME_UNITS) && !(unit in FORCE_UNITS))) {
+                return unit === null
+                    ? fail('missingUnit', `"${token.text}" needs a unit, e.g. ${token.text}s for seconds or ${token.text}n for newtons.`, token,
+                        { number: token.text })
+                    : fail('unknownUnit', `Unknown unit "${unitToken.text}" after ${token.text}. Use s, ms, min for time or n, kN for force.`, unitToken,
+                        { unit: unitToken.text, number: token.text });
+            }
+            i++; // The unit is used up
+
+            if (unit in TIME_UNITS) {
+                if (timeToken) {
+                    return fail('duplicateTime', `Two durations: "${timeToken.text}" and "${token.text}${unitToken.text}". Give one.`, token,
+                        { first: timeToken.text, second: `${token.text}${unitToken.text}` });
+                }
+                timeToken = { ...token, text: `${token.text}${unitToken.text}` };
+                result.time = roundQuantity(token.value * TIME_UNITS[unit]);
+            } else {
+                if (forceToken) {
+                    return fail('duplicateForce', `Two forces: "${forceToken.text}" and "${token.text}${unitToken.text}". Give one.`, token,
+                        { first: forceToken.text, second: `${token.text}${unitToken.text}` });
+                }
+                forceToken = { ...token, text: `${token.text}${unitToken.text}` };
+                result.force = roundQuantity(token.value * FORCE_UNITS[unit]);
+            }
+            continue;
+        }
+
+        // --- WORDS ---
+        let word = token.value;
+        // 'counter clockwise' / 'anti clockwise' written as two words
+        if ((word === 'counter' || word === 'anti') && tokens[i + 1] && tokens[i + 1].value === 'clockwise') {
+            word += 'clockwise';
+            i++;
+        }
+
+        if (word in DIRECTIONS) {
+            if (directionToken && DIRECTIONS[word] !== result.direction) {
+                return fail('conflictingDirection', `Two directions: "${directionToken.text}" and "${token.text}". Pick one.`, token,
+                    { first: directionToken.text, second: token.text });
+            }
+            directionToken = token;
+            result.direction = DIRECTIONS[word];
+        } else if (PRESS_WORDS.has(word)) {
+            result.press = true;
+        } else if (word in TIME_UNITS || word in FORCE_UNITS) {
+            return fail('missingNumber', `"${token.text}" needs a number in front of it, e.g. 20 ${token.text}.`, token,
+                { unit: token.text });
+        } else if (!FILLER_WORDS.has(word)) {
+            return fail('unknownWord', `Unknown word "${token.text}" at position ${token.start + 1}.`, token,
+                { text: token.text, position: token.start + 1 });
+        }
+    }
+
+    // --- REQUIRED PARTS ---
+    if (!result.direction) {
+        return fail('missingDirection', "Direction not found. Use cw / clockwise / right or acw / anticlockwise / left.");
+    }
+    if (result.force === null) {
+        return fail('missingForce', "Force not found. Add it with a unit, e.g. 10n or 1.5kN.");
+    }
+    if (result.time === null) {
+        result.time = DEFAULT_TIME_SECONDS;
+        result.timeDefaulted = true;
+    }
+
+    // --- VALIDATION ---
+    if (result.time <= 0) {
+        return fail('notPositive', `Time must be greater than 0 (got "${timeToken.text}").`, timeToken,
+            { text: timeToken.text, quantity: 'time' });
+    }
+    if (result.force <= 0) {
+        return fail('notPositive', `Force must be greater than 0 (got "${forceToken.text}").`, forceToken,
+            { text: forceToken.text, quantity: 'force' });
+    }
+
+    result.valid = true;
+    return result;
+}
@@ -0,0 +1,311 @@
+/**
+ * THE TORQUE PARADOX - Bottle Physics
+ *
+ * Hidden bottle state and what a single twist does to it. No timers, energy or
+ * I/O here - the engine decides whether a twist happens, this decides what it does.
+ *
+ * Model:
+ *   - Twisting the correct way first works off any jam, then pushes against the
+ *     thread. Enough force pops the cap; less than that loosens it for good.
+ *   - How much a partial twist loosens depends on how long it is held (impulse):
+ *     a slow, sustained turn works the thread more than a quick jerk.
+ *   - Any twist close to the bottle's capacity fatigues the material, lowering
+ *     the force it can take from then on. Quick jerks fatigue it faster.
+ *   - Twisting the wrong way undoes loosening first, then jams the cap.
+ *   - Archetype traits (see bottles.js) bend these rules per bottle.
+ */
+
+import { BOTTLE_TYPES, pickBottleType, bottleTraits } from './bottles.js';
+
+export const PHYSICS = Object.freeze({
+    loosenRate: 0.25, // Share of a partial twist's force that permanently loosens the cap
+    fullHoldSeconds: 20, // Holding torque this long gives the full loosening effect
+    maxLoosening: 0.9, // Partial twists can never do more than this share of the work
+    stressThreshold: 0.7, // Twists above this share of capacity fatigue the material
+    fatigueRate: 0.5, // Capacity lost per Newton of force above the threshold
+    burstSeconds: 5, // Twists shorter than this count as jerks...
+    burstFatigueMultiplier: 1.5, // ...and fatigue the material this much faster
+    crackLoad: 0.9 // Twists above this share of capacity leave hairline cracks you can feel
+});
+
+// How bottles get harder level by level (difficulty presets override these)
+export const BOTTLE_SCALING = Object.freeze({
+    baseForce: 20, // Required force before the per-level increase and randomness
+    forcePerLevel: 5, // Extra required force per level
+    safetyMargin: 2.0, // Capacity as a multiple of required force, before the per-level drop
+    marginPerLevel: 0.08 // How much that multiple shrinks per level
+});
+
+/**
+ * Assemble a bottle from its core numbers and archetype
+ * Derived values (breakaway force) are worked out here so every bottle source agrees
+ */
+export function buildBottle({ type = 'standard', lockedDir, requiredForce, maxCapacity, jam = 0 }) {
+    const traits = bottleTraits(type);
+    const margin = maxCapacity - requiredForce;
+    return {
+        ...traits,
+        lockedDir, // 'CW' or 'ACW'
+        requiredForce,
+        maxCapacity, // If force > this (minus fatigue), bottle breaks
+        // Rusted caps: extra force to get them turning, always inside the safety margin
+        breakaway: Math.floor(Math.min(traits.staticFriction * requiredForce, margin * 0.7)),
+        currentTightness: jam, // Errors add to this
+        loosened: 0, // Newtons of the required force already worked off by partial twists
+        fatigue: 0, // Newtons of capacity lost to high-stress twists
+        moving: false, // Has the cap broken loose yet (rusted caps)
+        flipped: false, // Has the second thread taken over (double-threaded caps)
+        load: 0, // Last twist's force as a share of what the bottle could take then
+        isOpen: false
+    };
+}
+
+/**
+ * Build a fresh bottle for the given level
+ * Difficulty scales with level: required force goes up, safety margin goes down
+ * The archetype is drawn from the catalog with level-based weights
+ */
+export function generateBottle(level, random = Math.random, scaling = BOTTLE_SCALING) {
+    const baseForce = scaling.baseForce + (level * scaling.forcePerLevel);
+    const randomness = Math.floor(random() * 20);
+
+    const lockedDir = random() > 0.5 ? 'CW' : 'ACW';
+    const requiredForce = baseForce + randomness;
+    const type = pickBottleType(level, random);
+
+    // Twist: Capacity gets closer to required force as levels go up (Riskier)
+    // Normal: Level 1 capacity is 192% of required, level 10 is 120% of required.
+    // Archetypes widen (plastic) or narrow (glass) that margin.
+    const safetyMargin = scaling.safetyMargin - (level * scaling.marginPerLevel);
+    const margin = requiredForce * (safetyMargin - 1) * BOTTLE_TYPES[type].marginFactor;
+    const maxCapacity = Math.max(requiredForce + 1, Math.floor(requiredForce + margin));
+
+    const bottle = buildBottle({ type, lockedDir, requiredForce, maxCapacity });
+    // Flex and rust add to the force it takes to open; the bottle must always take that much
+    bottle.maxCapacity = Math.max(bottle.maxCapacity, minimumOpeningForce(bottle));
+    return bottle;
+}
+
+/**
+ * Calculate energy loss with inverse proportional physics
+ * Energy loss is inversely proportional to both time and force
+ * Formula: Base energy loss / (time * force scaling factor)
+ *
+ * Longer times = less punishment per second
+ * Higher forces = more punishment overall
+ */
+export function calculateEnergyLoss(time, force) {
+    // Base calculation: force has primary impact
+    // Inverse time scaling: more time = less penalty
+    const timeScalingFactor = Math.max(0.5, time / 10); // Diminishing returns on time
+    const baseEnergyLoss = Math.ceil(force / 2); // Original formula as base
+    const scaledEnergyLoss = Math.ceil(baseEnergyLoss / timeScalingFactor);
+
+    // Additional penalty for high forces with short times (dangerous moves)
+    const dangerPenalty = force > 50 && time < 5 ? Math.ceil(force / 10) : 0;
+
+    return scaledEnergyLoss + dangerPenalty;
+}
+
+/**
+ * Smallest single twist that could open this bottle from scratch
+ */
+export function minimumOpeningForce(bottle) {
+    return Math.ceil(bottle.requiredForce / (1 - bottle.flex)) + bottle.breakaway;
+}
+
+/**
+ * The fewest, gentlest twists that open a bottle from scratch, holding each for
+ * an equal share of the time: [{ direction, force, time }]
+ * Each twist finishes the current thread, so a double thread takes two, the second
+ * one the other way. A jam that would push that twist past what the bottle can take
+ * is worked off first, by twists no harder than the bottle can take at that point.
+ * Rust has to be beaten in one twist, which a bottle can always take (see effectiveCapacity)
+ */
+export function cheapestOpening(bottle, seconds) {
+    const trial = { ...bottle };
+    const twists = [];
+    while (!trial.isOpen) {
+        const direction = trial.lockedDir === 'CW' ? 'ACW' : 'CW';
+        const capacity = effectiveCapacity(trial);
+        let force = forceToFinish(trial);
+        if (force > capacity && trial.currentTightness > 0) {
+            force = Math.min(capacity, Math.ceil(trial.currentTightness / (1 - trial.flex)));
+        }
+        twists.push({ direction, force });
+        // Played out with no hold time: no loosening to count on, the most fatigue
+        applyTwist(trial, { direction, force, time: 0, press: true });
+    }
+    const time = seconds / twists.length;
+    return twists.map(twist => ({ ...twist, time }));
+}
+
+/**
+ * Force a correct-direction twist needs right now to finish the current thread:
+ * work off the jam, break a rusted cap loose and beat what is left of the thread
+ */
+export function forceToFinish(bottle) {
+    const onFirstThread = bottle.doubleThread && !bottle.flipped;
+    const target = (onFirstThread ? bottle.requiredForce / 2 : bottle.requiredForce) - bottle.loosened;
+    const breakaway = bottle.moving ? 0 : bottle.breakaway;
+    return Math.ceil((target + bottle.currentTightness + breakaway) / (1 - bottle.flex));
+}
+
+/**
+ * The force the bottle can take right now
+ * Fatigue eats into the safety margin but never below the force needed to open it,
+ * and nothing lifts it above the bottle's own capacity
+ */
+export function effectiveCapacity(bottle) {
+    return Math.min(bottle.maxCapacity, Math.max(minimumOpeningForce(bottle), bottle.maxCapacity - bottle.fatigue));
+}
+
+/**
+ * How much of a twist's impulse reaches the thread, 0..1
+ */
+export function holdFactor(time) {
+    return Math.min(1, time / PHYSICS.fullHoldSeconds);
+}
+
+function flipThread(bottle) {
+    bottle.flipped = true;
+    bottle.lockedDir = bottle.lockedDir === 'CW' ? 'ACW' : 'CW';
+}
+
+/**
+ * What the hands feel during a twist, worked out from the physics values
+ * 'bites'    - the thread catches and tightens: this is the locked direction
+ * 'creak'    - the load is high enough to fatigue the material
+ * 'hairline' - the load is close to breaking point
+ * Materials without a fatigue warning (glass) never creak or crack first
+ */
+function feelTwist(bottle, result) {
+    const sensations = [];
+    if (result === 'tightened') sensations.push('bites');
+    if (bottle.fatigueWarning && result !== 'slipped') {
+        if (bottle.load > PHYSICS.crackLoad) sensations.push('hairline');
+        else if (bottle.load > PHYSICS.stressThreshold) sensations.push('creak');
+    }
+    return sensations;
+}
+
+/**
+ * Apply one twist that did not break the bottle (mutates it)
+ * Move: { direction, force, time, press }
+ * Returns { result, jamBefore, loosenedBy, fatigueAdded, load, sensations }
+ * result: 'tightened' | 'jamReduced' | 'jamCleared' | 'progress' | 'opened'
+ *       | 'slipped' (child-proof, not pressed) | 'stuck' (rusted, not broken loose)
+ *       | 'threadFlipped' (double-threaded, halfway)
+ */
+export function applyTwist(bottle, { direction, force, time, press = false }) {
+    const jamBefore = bottle.currentTightness;
+    const capacityBefore = effectiveCapacity(bottle);
+    bottle.load = force / capacityBefore;
+    // Plastic soaks up part of every twist before it reaches the thread
+    const torque = force * (1 - bottle.flex);
+    let result = null;
+    let loosenedBy = 0;
+
+    if (bottle.needsPress && !press) {
+        // Child-proof: without pushing down, the cap just clicks round
+        result = 'slipped';
+    } else if (direction === bottle.lockedDir) {
+        // Rotating in the LOCKED direction (Bad): undo loosening, then jam
+        const undone = Math.min(bottle.loosened, torque);
+        bottle.loosened -= undone;
+        loosenedBy = undone ? -undone : 0;
+        bottle.currentTightness += torque - undone;
+        result = 'tightened';
+    } else if (bottle.currentTightness > 0 && torque < bottle.currentTightness) {
+        // Force reduced the jam, but didn't clear it
+        bottle.currentTightness -= torque;
+        result = 'jamReduced';
+    } else {
+        // Overcome the JAM first, remaining force applies to opening
+        let remainingForce = torque - bottle.currentTightness;
+        bottle.currentTightness = 0;
+
+        // Rusted: the first real turn has to break the cap loose
+        if (!bottle.moving && bottle.breakaway > 0) {
+            if (remainingForce <= bottle.breakaway) {
+                result = jamBefore > 0 ? 'jamCleared' : 'stuck';
+            } else {
+                remainingForce -= bottle.breakaway;
+                bottle.moving = true;
+            }
+        }
+
+        if (!result) {
+            // Double thread: the first thread only runs to halfway
+            const onFirstThread = bottle.doubleThread && !bottle.flipped;
+            const target = onFirstThread ? bottle.requiredForce / 2 : bottle.requiredForce;
+
+            if (remainingForce >= target - bottle.loosened) {
+                if (onFirstThread) {
+                    loosenedBy = target - bottle.loosened;
+                    bottle.loosened = target;
+                    flipThread(bottle);
+                    result = 'threadFlipped';
+                } else {
+                    bottle.isOpen = true;
+                    result = 'opened';
+                }
+            } else {
+                // Partial twist: the held part of it works the thread loose for good
+                const ceiling = onFirstThread ? target : bottle.requiredForce * PHYSICS.maxLoosening;
+                loosenedBy = Math.max(0, Math.min(ceiling - bottle.loosened, remainingForce * PHYSICS.loosenRate * holdFactor(time)));
+                bottle.loosened += loosenedBy;
+                if (onFirstThread && bottle.loosened >= target) {
+                    flipThread(bottle);
+                    result = 'threadFlipped';
+                } else {
+                    result = jamBefore > 0 ? 'jamCleared' : 'progress';
+                }
+            }
+        }
+    }
+
+    // High-stress twists (either direction) fatigue the material
+    let fatigueAdded = 0;
+    const threshold = capacityBefore * PHYSICS.stressThreshold;
+    if (!bottle.isOpen && result !== 'slipped' && force > threshold) {
+        const burst = time < PHYSICS.burstSeconds ? PHYSICS.burstFatigueMultiplier : 1;
+        fatigueAdded = (force - threshold) * PHYSICS.fatigueRate * burst;
+        bottle.fatigue += fatigueAdded;
+    }
+
+    return { result, jamBefore, loosenedBy, fatigueAdded, load: bottle.load, sensations: feelTwist(bottle, result) };
+}
+
+/**
+ * Qualitative read of the hidden state - what a player could feel, not the numbers
+ * grip:      'sealed' | 'budged' | 'giving' | 'loose' | 'almostFree'
+ * integrity: 'sound' | 'strained' | 'weakened' | 'fragile' | 'unknown' (no fatigue warning)
+ */
+export function describeCondition(bottle) {
+    const looseness = bottle.loosened / bottle.requiredForce;
+    let grip = 'sealed';
+    if (looseness >= 0.7) grip = 'almostFree';
+    else if (looseness >= 0.45) grip = 'loose';
+    else if (looseness >= 0.2) grip = 'giving';
+    else if (looseness > 0) grip = 'budged';
+
+    const margin = bottle.maxCapacity - minimumOpeningForce(bottle);
+    const wear = margin > 0 ? bottle.fatigue / margin : 0;
+    let integrity = 'sound';
+    if (!bottle.fatigueWarning) integrity = 'unknown';
+    else if (wear >= 0.6) integrity = 'fragile';
+    else if (wear >= 0.25) integrity = 'weakened';
+    else if (wear > 0) integrity = 'strained';
+
+    return { grip, integrity };
+}
+
+/**
+ * The stress meter: the last twist's load rounded down to the meter's precision
+ * Returns a share of capacity in 0..1, or null when the material gives no warning
+ */
+export function readStress(bottle, steps) {
+    if (!bottle.fatigueWarning) return null;
+    return Math.min(steps, Math.floor(bottle.load * steps)) / steps;
+}
@@ -0,0 +1,156 @@
+/**
+ * THE TORQUE PARADOX - Player Profiles
+ *
+ * Several people can share one machine without overwriting each other's records.
+ * Scores stay keyed by the profile's stable id, so renaming a profile keeps its history.
+ *
+ * File shape: { lastUsed: id | null, profiles: { id: { id, name, createdAt, importedId? } } }
+ * importedId is the id an imported profile had on the machine it came from, when it
+ * had to take a new one here.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { writeFileAtomic } from './storage.js';
+
+export const MAX_NAME_LENGTH = 20;
+export const LEGACY_PLAYER_ID = 'player_default'; // Everyone shared this id before profiles existed
+
+function emptyProfiles() {
+    return { lastUsed: null, profiles: {} };
+}
+
+/**
+ * Load profiles from disk
+ * Missing or unreadable files start an empty profile list
+ */
+export function loadProfiles(file) {
+    if (!fs.existsSync(file)) return emptyProfiles();
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!data || typeof data.profiles !== 'object' || Array.isArray(data.profiles)) {
+            return emptyProfiles();
+        }
+        return { lastUsed: data.lastUsed || null, profiles: data.profiles };
+    } catch (e) {
+        console.error("Error reading profiles:", e.message);
+        return emptyProfiles();
+    }
+}
+
+export function saveProfiles(file, data) {
+    try {
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+    } catch (e) {
+        console.error("Error saving profiles:", e.message);
+    }
+}
+
+/**
+ * Profiles sorted by name for menus
+ */
+export function listProfiles(data) {
+    return Object.values(data.profiles).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a profile by id or by name (case-insensitive)
+ */
+export function findProfile(data, nameOrId) {
+    if (!nameOrId) return null;
+    if (data.profiles[nameOrId]) return data.profiles[nameOrId];
+    const wanted = nameOrId.trim().toLowerCase();
+    return Object.values(data.profiles).find(p => p.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * An Error with a code (and the values its message was built from) so a
+ * menu can say the same thing in the player's language
+ */
+function profileError(code, message, params = {}) {
+    return Object.assign(new Error(message), { code, params });
+}
+
+/**
+ * Check a proposed profile name
+ * Throws an Error explaining what is wrong with it: code nameEmpty, nameTooLong or nameTaken
+ */
+function validateName(data, name, exceptId = null) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) {
+        throw profileError('nameEmpty', "Profile name cannot be empty.");
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+        throw profileError('nameTooLong', `Profile name must be at most ${MAX_NAME_LENGTH} characters.`, { max: MAX_NAME_LENGTH });
+    }
+    const clash = findProfile(data, trimmed);
+    if (clash && clash.id !== exceptId) {
+        throw profileError('nameTaken', `A profile named "${clash.name}" already exists.`, { name: clash.name });
+    }
+    return trimmed;
+}
+
+/**
+ * A new profile id: a readable slug of the name plus a random part, so names the
+ * slug can't spell (any non-Latin script) and profiles made on other machines
+ * still get ids of their own
+ */
+function makeId(data, name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'player';
+    let id;
+    do {
+        id = `player_${slug}_${crypto.randomBytes(4).toString('hex')}`;
+    } while (data.profiles[id]);
+    return id;
+}
+
+/**
+ * Add a profile and return it
+ * Pass an id to adopt existing records (used for the legacy default player)
+ */
+export function createProfile(data, name, id = null) {
+    const cleanName = validateName(data, name);
+    const profile = {
+        id: id || makeId(data, cleanName),
+        name: cleanName,
+        createdAt: new Date().toISOString()
+    };
+    data.profiles[profile.id] = profile;
+    return profile;
+}
+
+/**
+ * Add a profile from another machine, keeping its id where it is free so its records stay its own
+ * The same profile (same id, or imported under another one before, and created at the same
+ * moment) is already here. Someone else holding the id gets the import a new one; a clashing
+ * name gets a number
+ * Returns the profile as it is kept here - file its imported records under its id
+ */
+export function importProfile(data, profile) {
+    const same = Object.values(data.profiles).find(p =>
+        (p.id === profile.id || p.importedId === profile.id) && p.createdAt === profile.createdAt);
+    if (same) return same;
+
+    let name = profile.name.trim().slice(0, MAX_NAME_LENGTH);
+    for (let n = 2; findProfile(data, name); n++) {
+        name = `${profile.name.trim().slice(0, MAX_NAME_LENGTH - String(n).length - 1)} ${n}`;
+    }
+    const taken = Boolean(data.profiles[profile.id]);
+    const kept = createProfile(data, name, taken ? null : profile.id);
+    if (profile.createdAt) kept.createdAt = profile.createdAt;
+    if (taken) kept.importedId = profile.id;
+    return kept;
+}
+
+export function renameProfile(data, id, name) {
+    const profile = data.profiles[id];
+    if (!profile) throw profileError('notFound', "No such profile.");
+    profile.name = validateName(data, name, id);
+    return profile;
+}
+
+export function deleteProfile(data, id) {
+    if (!data.profiles[id]) throw profileError('notFound', "No such profile.");
+    delete data.profiles[id];
+    if (data.lastUsed === id) data.lastUsed = null;
+}
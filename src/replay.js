@@ -0,0 +1,220 @@
+/**
+ * THE TORQUE PARADOX - Replays
+ *
+ * Every run is written to a replay file: the seed, the config and each parsed
+ * command (twist, rest, pause, resume, quit, or a tick that ended the run) with
+ * the moment it was made and what it did. Because the engine takes its clock
+ * and random source from outside, feeding the same moves back at the same
+ * moments rebuilds the run exactly.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createGame } from './engine.js';
+import { createRng } from './rng.js';
+import { scoreRun } from './scoring.js';
+
+export const REPLAY_VERSION = 1;
+
+// Event types that describe what a move did, in the order they are checked
+const OUTCOME_EVENTS = ['moveRejected', 'restRejected', 'exhausted', 'bottleShattered', 'bottleReset'];
+
+/**
+ * A clock that only moves when told to - drives the engine during playback
+ */
+export function createManualClock(start = 0) {
+    let current = start;
+    return {
+        now: () => current,
+        set: (ms) => { current = ms; },
+        advance: (ms) => { current += ms; }
+    };
+}
+
+/**
+ * Condense the events of one move into a short outcome label
+ */
+function describeOutcome(events) {
+    const failure = events.find(e => OUTCOME_EVENTS.includes(e.type));
+    if (failure) return failure.type;
+    const applied = events.find(e => e.type === 'moveApplied');
+    if (applied) return applied.result;
+    if (events.some(e => e.type === 'rested')) return 'rested';
+    if (events.some(e => e.type === 'gaveUp')) return 'quit';
+    if (events.some(e => e.type === 'paused')) return 'paused';
+    if (events.some(e => e.type === 'resumed')) return 'resumed';
+    if (events.some(e => e.type === 'timeUp')) return 'timeUp'; // A real-time clock running out on a tick
+    return 'ignored';
+}
+
+/**
+ * The fields of an engine command worth storing, by command type
+ */
+function commandFields(command) {
+    switch (command.type) {
+        case 'rest':
+            return { seconds: command.seconds };
+        case 'pause':
+        case 'resume':
+        case 'tick':
+        case 'quit':
+            return {};
+        default:
+            return { direction: command.direction, time: command.time, force: command.force, press: Boolean(command.press) };
+    }
+}
+
+/**
+ * Turn a recorded entry back into an engine command
+ * Entries from before rests and quitting were recorded have no type: they are twists
+ */
+export function replayCommand(entry) {
+    return { ...entry, type: entry.type || 'move' };
+}
+
+function replayFileName(startedAt, seed) {
+    const stamp = startedAt.replace(/:/g, '-').split('.')[0];
+    const safeSeed = String(seed).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return `${stamp}_${safeSeed}.json`;
+}
+
+/**
+ * Start recording a run
+ *
+ * Options: { dir, seed, daily, config, playerId, playerName, startTime }
+ * The file is rewritten after every move so a crash still leaves a usable replay.
+ */
+export function createRecorder({ dir, seed, daily = null, config, playerId, playerName = null, startTime = Date.now() }) {
+    const startedAt = new Date(startTime).toISOString();
+    const file = path.join(dir, replayFileName(startedAt, seed));
+    return recorderFor(file, {
+        version: REPLAY_VERSION,
+        seed,
+        daily,
+        config,
+        playerId,
+        playerName,
+        startedAt,
+        moves: [],
+        result: null
+    });
+}
+
+/**
+ * Carry on recording into an existing replay file (a resumed run)
+ * Throws an Error like loadReplay if the file is unusable
+ */
+export function resumeRecorder(file) {
+    return recorderFor(file, loadReplay(file));
+}
+
+function recorderFor(file, replay) {
+    const { startedAt } = replay;
+
+    function write() {
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(replay, null, 2));
+        } catch (e) {
+            console.error("Error writing replay:", e.message);
+        }
+    }
+
+    return {
+        file,
+        /**
+         * Log an engine command ({ type: 'move' | 'rest' | 'pause' | 'resume' | 'tick' | 'quit', ... }) and the events it produced
+         * Ticks are only worth recording when they did something (the real-time clock running out)
+         */
+        record(input, command, events) {
+            const first = events[0];
+            if (!first || first.at === undefined) return; // The engine ignored it (game already over)
+            replay.moves.push({
+                at: first.at,
+                timestamp: new Date(Date.parse(startedAt) + first.at).toISOString(),
+                input,
+                type: command.type,
+                ...commandFields(command),
+                outcome: describeOutcome(events),
+                events: events.map(e => e.type)
+            });
+            write();
+        },
+        /**
+         * Store the final result: { outcome, level, timeUsed, energy, score }
+         */
+        finish(result) {
+            replay.result = result;
+            write();
+        }
+    };
+}
+
+/**
+ * Read and sanity-check a replay file
+ * Throws an Error with a readable message if the file is not a usable replay
+ */
+export function loadReplay(file) {
+    let replay;
+    try {
+        replay = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read replay "${file}": ${e.message}`);
+    }
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version in "${file}" (expected ${REPLAY_VERSION}).`);
+    }
+    if (replay.seed === undefined || !Array.isArray(replay.moves)) {
+        throw new Error(`Replay "${file}" is missing its seed or move list.`);
+    }
+    return replay;
+}
+
+/**
+ * Summarise the end of a run in the same shape the recorder stores
+ */
+export function summarizeRun(state, timeUsed, config) {
+    const scored = scoreRun(state, timeUsed, config);
+    return {
+        outcome: state.outcome,
+        level: state.level,
+        timeUsed,
+        energy: Math.floor(state.energy),
+        score: scored ? scored.score : null
+    };
+}
+
+/**
+ * Re-simulate a replay headlessly and compare it with what was recorded
+ * Returns { ok, expected, actual, mismatches } where mismatches lists readable differences
+ */
+export function verifyReplay(replay) {
+    const clock = createManualClock();
+    const game = createGame({ config: replay.config, clock: clock.now, random: createRng(replay.seed) });
+    const mismatches = [];
+
+    game.start();
+    replay.moves.forEach((move, i) => {
+        clock.set(move.at);
+        const { events } = game.dispatch(replayCommand(move));
+        const outcome = describeOutcome(events);
+        if (outcome !== move.outcome) {
+            mismatches.push(`Move ${i + 1} ("${move.input}"): recorded ${move.outcome}, simulated ${outcome}`);
+        }
+    });
+
+    const actual = summarizeRun(game.getState(), game.getTimeElapsed(), game.config);
+    const expected = replay.result;
+
+    if (!expected) {
+        mismatches.push("Replay has no recorded result (the run was not finished).");
+    } else {
+        for (const key of Object.keys(actual)) {
+            if (actual[key] !== expected[key]) {
+                mismatches.push(`Final ${key}: recorded ${expected[key]}, simulated ${actual[key]}`);
+            }
+        }
+    }
+
+    return { ok: mismatches.length === 0, expected, actual, mismatches };
+}
@@ -0,0 +1,65 @@
+/**
+ * THE TORQUE PARADOX - Seeded Random Numbers
+ *
+ * A small deterministic PRNG so a seed fully decides every bottle in a run.
+ * Same seed, same bottles - runs become comparable and bug reports reproducible.
+ */
+
+/**
+ * Hash any seed value (string or number) into a 32-bit unsigned integer
+ * FNV-1a over the string form, so "42" and 42 give the same bottles
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random source (mulberry32)
+ * Returns a function with the same contract as Math.random: () => [0, 1)
+ * The seed and internal position are exposed so a run can be saved and resumed
+ */
+export function createRng(seed) {
+    let position = hashSeed(seed);
+
+    const random = () => {
+        position = (position + 0x6D2B79F5) >>> 0;
+        let t = position;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    random.seed = String(seed);
+    random.getPosition = () => position;
+    random.setPosition = (value) => { position = value >>> 0; };
+
+    return random;
+}
+
+/**
+ * Pick a short, human-friendly seed for runs started without --seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * Daily challenge key - the UTC date, so the whole team gets the same bottles
+ * no matter which time zone they play from
+ */
+export function dailyKey(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Seed for the daily challenge on the given date
+ */
+export function dailySeed(date = new Date()) {
+    return `daily-${dailyKey(date)}`;
+}
@@ -0,0 +1,72 @@
+/**
+ * THE TORQUE PARADOX - Saved Runs
+ *
+ * A run in progress can be saved and picked up later with --resume. The save
+ * holds everything the engine needs to carry on exactly: the config, the paused
+ * state (current bottle included) and the random source's position, so the
+ * bottles still to come are the ones the seed would have given anyway.
+ * Each player has one save slot; resuming uses it up.
+ *
+ * Saves carry the same checksum as the score file. A save changed outside the game
+ * can still be played, but the run it continues records no scores or achievements.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic, signDocument, checksumMatches } from './storage.js';
+
+export const SAVE_VERSION = 1;
+
+/**
+ * Where a player's saved run lives
+ */
+export function saveFileFor(dir, playerId) {
+    return path.join(dir, `${playerId}.json`);
+}
+
+/**
+ * Write a save: { playerId, playerName, seed, daily, unverified, config, rngPosition, state, tracker, log, replayFile }
+ * Returns the file written, or null if it could not be written
+ */
+export function writeSave(dir, save) {
+    const file = saveFileFor(dir, save.playerId);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        writeFileAtomic(file, JSON.stringify(signDocument({ version: SAVE_VERSION, savedAt: new Date().toISOString(), ...save }), null, 2));
+        return file;
+    } catch (e) {
+        console.error("Error saving run:", e.message);
+        return null;
+    }
+}
+
+/**
+ * Read a save and check it can be continued
+ * unverified is true if the save, or one it was resumed from, was changed outside the game
+ * Throws an Error with a readable message if it can't be continued
+ */
+export function loadSave(file) {
+    let save;
+    try {
+        save = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Cannot read saved run "${file}": ${e.message}`);
+    }
+    if (!save || save.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported saved run version in "${file}" (expected ${SAVE_VERSION}).`);
+    }
+    if (!save.state || save.state.status !== 'playing' || save.rngPosition === undefined) {
+        throw new Error(`Saved run "${file}" is not a run in progress.`);
+    }
+    const unverified = save.unverified === true || !checksumMatches(save);
+    delete save.checksum;
+    return { ...save, unverified };
+}
+
+export function deleteSave(file) {
+    try {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    } catch (e) {
+        console.error("Error removing saved run:", e.message);
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * THE TORQUE PARADOX - Scoring
+ *
+ * Each mode scores a run its own way; higher is always better, so every mode's
+ * personal best table compares the same way.
+ *
+ *   classic    - level points, plus (maxTimeSeconds - timeUsed) * 100 + energy bonus for a win
+ *   endless    - bottles opened, for any finished run
+ *   timeAttack - level points, plus seconds left on each bottle's countdown * 100 + energy bonus for a win
+ *   zen        - 1000, minus 20 per twist beyond one a bottle and 100 per reset, for a win
+ *
+ * Level points are the partial credit a failed run keeps: every opened bottle
+ * earns them, whether or not the run is won (see scoreLevel).
+ */
+
+const ZEN_BASE = 1000;
+const ZEN_TWIST_PENALTY = 20;
+const ZEN_RESET_PENALTY = 100;
+
+// What an opened bottle is worth. Its points are
+//   (base - extra twists - wrong-direction twists - jam + margin bonus) * level multiplier
+// and never less than 0
+export const LEVEL_SCORING = Object.freeze({
+    base: 500,
+    extraMovePenalty: 40, // Per twist beyond the one that could have opened it
+    wrongDirectionPenalty: 75, // Per twist the wrong way
+    jamPenalty: 5, // Per newton of jam those twists added
+    marginBonus: 200, // Times the share of capacity the strongest twist left unused
+    multiplierPerLevel: 0.1 // Level 1 counts x1, level 10 x1.9
+});
+
+// What each mode's score is made of, in the order the end screens list them
+// points: whether the part is counted in points (the rest are counts)
+export const SCORE_PARTS = Object.freeze({
+    classic: [{ key: 'levelPoints', points: true }, { key: 'timeScore', points: true }, { key: 'energyBonus', points: true }],
+    endless: [{ key: 'bottlesOpened', points: false }],
+    timeAttack: [{ key: 'levelPoints', points: true }, { key: 'spareTimeScore', points: true }, { key: 'energyBonus', points: true }],
+    zen: [{ key: 'twists', points: false }, { key: 'resets', points: false }]
+});
+
+// The items of a level's points, in the order the breakdown lists them
+export const LEVEL_PARTS = Object.freeze(['base', 'extraMoves', 'wrongDirection', 'jam', 'margin']);
+
+function energyBonus(energyRemaining) {
+    return Math.floor(energyRemaining * 10); // Max +1000 points
+}
+
+/**
+ * The time and energy score of a completed classic run
+ * Returns { score, timeScore, energyBonus }
+ */
+export function calculateScore(timeUsed, energyRemaining, maxTimeSeconds) {
+    // Primary: Time-based (faster = higher)
+    // Bonus: Energy remaining adds bonus points
+    const timeScore = (maxTimeSeconds - timeUsed) * 100;
+    const bonus = energyBonus(energyRemaining);
+    return { score: timeScore + bonus, timeScore, energyBonus: bonus };
+}
+
+/**
+ * Points for one opened bottle, from the engine's record of how it was opened
+ * ({ level, moves, wrongDirection, jamAdded, maxLoad })
+ * Returns { level, base, extraMoves, wrongDirection, jam, margin, multiplier, points }
+ * with the penalties as negative numbers
+ */
+export function scoreLevel(result) {
+    const items = {
+        base: LEVEL_SCORING.base,
+        extraMoves: -Math.max(0, result.moves - 1) * LEVEL_SCORING.extraMovePenalty,
+        wrongDirection: -result.wrongDirection * LEVEL_SCORING.wrongDirectionPenalty,
+        jam: -Math.round(result.jamAdded * LEVEL_SCORING.jamPenalty),
+        margin: Math.round(Math.max(0, 1 - result.maxLoad) * LEVEL_SCORING.marginBonus)
+    };
+    const multiplier = Math.round((1 + (result.level - 1) * LEVEL_SCORING.multiplierPerLevel) * 10) / 10;
+    const subtotal = LEVEL_PARTS.reduce((sum, key) => sum + items[key], 0);
+    return { level: result.level, ...items, multiplier, points: Math.max(0, Math.round(subtotal * multiplier)) };
+}
+
+/**
+ * Points for every level a run opened
+ * Returns { levelPoints, levels } - levels is the itemised scoreLevel of each
+ */
+export function scoreLevels(levelResults = []) {
+    const levels = levelResults.map(scoreLevel);
+    return { levelPoints: levels.reduce((sum, level) => sum + level.points, 0), levels };
+}
+
+/**
+ * Score a finished run by its mode (config.mode, classic if unset)
+ * Returns { score, ...parts } with the parts named in SCORE_PARTS (and the itemised
+ * levels where level points count), or null when the run earns no score (zen, lost)
+ */
+export function scoreRun(state, timeUsed, config) {
+    const won = state.status === 'won';
+    switch (config.mode ?? 'classic') {
+        case 'endless': {
+            const bottlesOpened = state.splits.length;
+            return { score: bottlesOpened, bottlesOpened };
+        }
+        case 'timeAttack': {
+            const { levelPoints, levels } = scoreLevels(state.levelResults);
+            if (!won) return { score: levelPoints, levelPoints, spareTimeScore: 0, energyBonus: 0, levels };
+            // Each bottle's countdown is its share of the time pool (see engine.js)
+            const bottleSeconds = Math.floor(config.maxTimeSeconds / config.totalLevels);
+            const spare = state.splits.reduce((sum, ms) => sum + Math.max(0, bottleSeconds - Math.floor(ms / 1000)), 0);
+            const spareTimeScore = spare * 100;
+            const bonus = energyBonus(state.energy);
+            return { score: levelPoints + spareTimeScore + bonus, levelPoints, spareTimeScore, energyBonus: bonus, levels };
+        }
+        case 'zen': {
+            if (!won) return null;
+            const twists = state.movesUsed;
+            const extra = Math.max(0, twists - state.splits.length);
+            const score = Math.max(0, ZEN_BASE - extra * ZEN_TWIST_PENALTY - state.resets * ZEN_RESET_PENALTY);
+            return { score, twists, resets: state.resets };
+        }
+        default: {
+            const { levelPoints, levels } = scoreLevels(state.levelResults);
+            if (!won) return { score: levelPoints, levelPoints, timeScore: 0, energyBonus: 0, levels };
+            const { timeScore, energyBonus: bonus } = calculateScore(timeUsed, state.energy, config.maxTimeSeconds);
+            return { score: levelPoints + timeScore + bonus, levelPoints, timeScore, energyBonus: bonus, levels };
+        }
+    }
+}
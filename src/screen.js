@@ -0,0 +1,186 @@
+/**
+ * THE TORQUE PARADOX - Screen
+ *
+ * Differential renderer for the HUD. The screen remembers what it drew last as
+ * a grid of cells (a character and its colour) and each frame rewrites only the
+ * cells that changed, so the once-a-second redraw neither flickers nor touches
+ * the line the player is typing on.
+ *
+ * While active it runs on the terminal's alternate screen: the frame sits at the
+ * top, and the rows below it are a scroll region holding the input line, so
+ * prompts and typing can never push the HUD off screen. The normal screen comes
+ * back on leave() and when the process exits.
+ *
+ * When the output isn't a terminal every frame is printed in full, as before.
+ */
+
+const RESET = '\x1b[0m';
+const SAVE_CURSOR = '\x1b7'; // Also keeps the colour the cursor had
+const RESTORE_CURSOR = '\x1b8';
+const ENTER_ALTERNATE = '\x1b[?1049h';
+const LEAVE_ALTERNATE = '\x1b[?1049l';
+const CLEAR_ALL = '\x1b[H\x1b[J';
+const CLEAR_TO_END = '\x1b[J';
+const CLEAR_LINE_END = '\x1b[K';
+const RESET_SCROLL_REGION = '\x1b[r';
+const MIN_INPUT_ROWS = 2; // The input line plus one to scroll into
+
+function moveTo(row, col) {
+    return `\x1b[${row + 1};${col + 1}H`;
+}
+
+/**
+ * Split a line with ANSI colour codes into cells: [{ char, style }]
+ * style is every colour code since the last reset; the line is cut at width
+ */
+function toCells(line, width) {
+    const cells = [];
+    let style = '';
+    for (const [text, codes] of line.matchAll(/\x1b\[([0-9;]*)m|[\s\S]/gu)) {
+        if (codes !== undefined) {
+            style = codes === '' || codes === '0' ? '' : style + text;
+        } else if (cells.length < width) {
+            cells.push({ char: text, style });
+        }
+    }
+    return cells;
+}
+
+function sameCell(a, b) {
+    return a !== undefined && b !== undefined && a.char === b.char && a.style === b.style;
+}
+
+/**
+ * What to write to turn one drawn row into another: each run of changed cells,
+ * then a clear for whatever the old row had past the end of the new one
+ */
+function diffRow(row, before, after) {
+    let out = '';
+    let style = null;
+    let col = 0;
+    while (col < after.length) {
+        if (sameCell(before[col], after[col])) {
+            col++;
+            continue;
+        }
+        out += moveTo(row, col);
+        while (col < after.length && !sameCell(before[col], after[col])) {
+            const cell = after[col];
+            if (cell.style !== style) {
+                out += RESET + cell.style;
+                style = cell.style;
+            }
+            out += cell.char;
+            col++;
+        }
+    }
+    if (before.length > after.length) out += moveTo(row, after.length) + RESET + CLEAR_LINE_END;
+    return out;
+}
+
+/**
+ * Create a screen on an output stream
+ *
+ * Options:
+ *   output      - where to draw (default process.stdout)
+ *   interactive - draw differentially (default: when output is a terminal); false prints every frame in full
+ *   onResize    - called after the terminal was resized and the frame redrawn,
+ *                 to put back whatever sits on the input line
+ *
+ * Returns:
+ *   interactive  - true when drawing differentially
+ *   enter()      - switch to the alternate screen
+ *   leave()      - back to the normal screen, as it was
+ *   render(lines) - draw a frame; the input line is the row below the tallest frame so far
+ *   focusInput() - put the cursor at the start of a cleared input line
+ *   clear()      - blank the screen for full-screen text; the next frame is drawn whole
+ */
+export function createScreen({ output = process.stdout, interactive = Boolean(output.isTTY), onResize = null } = {}) {
+    let active = false;
+    let cells = []; // What is on screen now, row by row
+    let height = 0; // Rows reserved for the frame - it only grows, so the input line stays put
+    let frame = null; // Last frame drawn, to redraw after a resize
+    let exitHookAdded = false;
+
+    const size = () => ({ rows: output.rows || 24, columns: output.columns || 80 });
+
+    function handleResize() {
+        if (!active) return;
+        const lines = frame;
+        clear();
+        if (lines === null) return;
+        render(lines);
+        if (onResize) onResize();
+    }
+
+    function enter() {
+        if (!interactive || active) return;
+        active = true;
+        output.write(ENTER_ALTERNATE + CLEAR_ALL);
+        cells = [];
+        height = 0;
+        frame = null;
+        output.on('resize', handleResize);
+        if (!exitHookAdded) {
+            // However the process ends, don't leave the terminal on the alternate screen
+            process.on('exit', leave);
+            exitHookAdded = true;
+        }
+    }
+
+    function leave() {
+        if (!active) return;
+        active = false;
+        output.off('resize', handleResize);
+        output.write(RESET + RESET_SCROLL_REGION + LEAVE_ALTERNATE);
+    }
+
+    function render(lines) {
+        if (!active) {
+            output.write(CLEAR_ALL + lines.map(line => line + '\n').join(''));
+            return;
+        }
+        frame = lines;
+        const { rows, columns } = size();
+        const fits = Math.max(1, rows - MIN_INPUT_ROWS);
+        const next = lines.slice(0, fits).map(line => toCells(line, columns));
+
+        let out = '';
+        const wanted = Math.min(fits, Math.max(height, next.length));
+        if (wanted !== height) {
+            height = wanted;
+            // Keep scrolling below the frame (this also homes the cursor - it is restored below)
+            out += `\x1b[${height + 1};${rows}r`;
+        }
+        for (let row = 0; row < height; row++) {
+            out += diffRow(row, cells[row] || [], next[row] || []);
+        }
+        cells = next;
+        if (out) output.write(SAVE_CURSOR + out + RESET + RESTORE_CURSOR);
+    }
+
+    function focusInput() {
+        if (!active) return;
+        output.write(moveTo(height, 0) + RESET + CLEAR_TO_END);
+    }
+
+    function clear() {
+        if (!active) {
+            output.write(CLEAR_ALL);
+            return;
+        }
+        output.write(RESET + RESET_SCROLL_REGION + CLEAR_ALL);
+        cells = [];
+        height = 0;
+        frame = null;
+    }
+
+    return {
+        interactive,
+        enter,
+        leave,
+        render,
+        focusInput,
+        clear
+    };
+}
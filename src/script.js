@@ -0,0 +1,138 @@
+/**
+ * THE TORQUE PARADOX - Scripted Mode
+ *
+ * Plays a run from lines of text (a file or a pipe) with no screen at all:
+ * every engine event comes out as one JSON object per line. Bots and
+ * regression scenarios drive the physics through this.
+ *
+ * Script lines are what the prompt takes - twists, ';' sequences, 'rest <s>',
+ * 'pause', 'resume', 'quit' - plus 'wait <s>' to move the clock, since
+ * scripts don't take any time to think. Blank lines and '# comments' are skipped.
+ */
+
+import { createGame, describeCondition, readStress } from './engine.js';
+import { createRng } from './rng.js';
+import { createManualClock, summarizeRun } from './replay.js';
+import { parseSmartInput, parseDuration, DEFAULT_TIME_SECONDS } from './parser.js';
+import { splitSequence, splitCommandWord } from './commands.js';
+
+// Script words that aren't twists, and the engine command each one becomes
+const SCRIPT_COMMANDS = {
+    rest: (seconds) => ({ type: 'rest', seconds }),
+    wait: (seconds) => ({ type: 'tick', wait: seconds }),
+    pause: () => ({ type: 'pause' }),
+    resume: () => ({ type: 'resume' }),
+    quit: () => ({ type: 'quit' })
+};
+
+const NEEDS_SECONDS = new Set(['rest', 'wait']);
+
+/**
+ * Turn one step of a script line into an engine command
+ * Returns { command } or { error: { code, message, at } }
+ */
+export function parseScriptStep(step) {
+    const { word, argText } = splitCommandWord(step);
+    if (Object.hasOwn(SCRIPT_COMMANDS, word)) {
+        if (!NEEDS_SECONDS.has(word)) return { command: SCRIPT_COMMANDS[word]() };
+        const seconds = parseDuration(argText);
+        if (seconds === null) {
+            return { error: { code: 'badSeconds', message: `Usage: ${word} <duration>, e.g. '${word} 20', '${word} 2.5s' or '${word} 1 min'`, at: null } };
+        }
+        return { command: SCRIPT_COMMANDS[word](seconds) };
+    }
+
+    const parsed = parseSmartInput(step);
+    if (!parsed.valid) {
+        return { error: { code: parsed.errorCode, message: parsed.error, at: parsed.errorAt } };
+    }
+    const { direction, time, force, press, timeDefaulted } = parsed;
+    return { command: { type: 'move', direction, time, force, press }, timeDefaulted };
+}
+
+/**
+ * Play a script
+ *
+ * Options:
+ *   lines  - async iterable of script lines (a readline interface)
+ *   config - resolved engine config
+ *   seed   - seed for the bottles
+ *   daily  - daily challenge date, if playing one
+ *   write  - called with each output object
+ *
+ * Output objects:
+ *   { type: 'start', seed, daily, config }
+ *   every engine event, with the script line it came from
+ *   { type: 'error', line, input, code, message, at } for a step that couldn't run
+ *   { type: 'notice', line, message } when a twist left its duration out
+ *   { type: 'state', line, status, level, energy, remainingTime, timeUsed, grip, integrity, stress } after every line
+ *   { type: 'end', finished, outcome, level, timeUsed, energy, score } once, last
+ *
+ * The clock starts at 0 and only moves on 'wait'. Reading stops when the run ends.
+ * Returns the 'end' object.
+ */
+export async function runScript({ lines, config, seed, daily = null, write }) {
+    const clock = createManualClock();
+    const game = createGame({ config, clock: clock.now, random: createRng(seed) });
+
+    write({ type: 'start', seed, daily, config: game.config });
+    const emit = (line, events) => events.forEach(event => write({ type: event.type, line, ...event }));
+    emit(0, game.start().events);
+
+    let lineNumber = 0;
+    for await (const input of lines) {
+        lineNumber++;
+        const text = input.trim();
+        if (!text || text.startsWith('#')) continue;
+
+        runLine(text, lineNumber);
+        writeState(lineNumber);
+        if (game.getState().status !== 'playing') break;
+    }
+
+    const state = game.getState();
+    const end = { type: 'end', finished: state.status !== 'playing', ...summarizeRun(state, game.getTimeElapsed(), game.config) };
+    write(end);
+    return end;
+
+    /**
+     * Run a line's steps in order, stopping like the prompt does:
+     * at a step that fails, or when the bottle it was meant for opens
+     */
+    function runLine(text, line) {
+        const steps = splitSequence(text);
+        for (let i = 0; i < steps.length; i++) {
+            const { command, error, timeDefaulted } = parseScriptStep(steps[i]);
+            if (error) {
+                write({ type: 'error', line, input: steps[i], ...error });
+                return;
+            }
+            if (timeDefaulted) write({ type: 'notice', line, message: `No duration given - held for ${DEFAULT_TIME_SECONDS}s.` });
+
+            const level = game.getState().level;
+            if (command.wait) clock.advance(command.wait * 1000);
+            const { state, events } = game.dispatch(command);
+            emit(line, events);
+
+            const rejected = events.some(e => e.type === 'moveRejected' || e.type === 'restRejected');
+            if (rejected || state.status !== 'playing' || state.level !== level) return;
+        }
+    }
+
+    function writeState(line) {
+        const state = game.getState();
+        const { grip, integrity } = describeCondition(state.bottle);
+        write({
+            type: 'state',
+            line,
+            status: state.status,
+            level: state.level,
+            energy: state.energy,
+            remainingTime: state.remainingTime,
+            timeUsed: game.getTimeElapsed(),
+            grip,
+            integrity,
+            stress: readStress(state.bottle, game.config.stressMeterSteps)
+        });
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * THE TORQUE PARADOX - Balancing Simulator
+ *
+ * Plays many seeded games headlessly with an autoplayer strategy and reports
+ * how far it gets: win rate per level, energy on arrival, what ends the runs
+ * and how the scores spread. Used to tune the bottle formulas with numbers
+ * instead of gut feeling.
+ */
+
+import { createGame, describeCondition, readStress } from './engine.js';
+import { BOTTLE_TYPES } from './bottles.js';
+import { createRng } from './rng.js';
+import { createManualClock, summarizeRun } from './replay.js';
+import { average, median } from './stats.js';
+
+export const THINK_SECONDS = 2; // Simulated thinking time before every command
+const MAX_COMMANDS = 500; // A strategy still going after this many commands has stalled
+
+export const FAILURE_OUTCOMES = ['shattered', 'exhausted', 'timeUp', 'stalled'];
+
+/**
+ * What a strategy gets to see - the HUD, not the hidden bottle numbers
+ */
+function playerView(game) {
+    const state = game.getState();
+    const { grip, integrity } = describeCondition(state.bottle);
+    const { name, ...traits } = BOTTLE_TYPES[state.bottle.type];
+    return {
+        level: state.level,
+        energy: state.energy,
+        remainingTime: state.remainingTime,
+        bottleType: state.bottle.type,
+        traits,
+        grip,
+        integrity,
+        stress: readStress(state.bottle, game.config.stressMeterSteps)
+    };
+}
+
+/**
+ * Play one game with a strategy
+ * Returns { seed, outcome, won, levelReached, timeUsed, energy, score, energyAtLevel }
+ * energyAtLevel[i] is the energy when level i + 1 started
+ */
+export function simulateGame({ strategy, config, seed, thinkSeconds = THINK_SECONDS }) {
+    const clock = createManualClock();
+    const game = createGame({ config, clock: clock.now, random: createRng(seed) });
+    // The strategy gets its own random source so it can't shift the bottles
+    const player = strategy.create({ config: game.config, random: createRng(`${seed}/player`) });
+    const energyAtLevel = [];
+
+    const track = (events) => {
+        for (const event of events) {
+            if (event.type === 'levelStarted') energyAtLevel.push(event.energy);
+        }
+    };
+    track(game.start().events);
+
+    let commands = 0;
+    while (game.getState().status === 'playing' && commands < MAX_COMMANDS) {
+        // Think, and in real time wait out the last twist
+        clock.advance((thinkSeconds + game.getBusySeconds()) * 1000);
+        const ticked = game.tick().events;
+        track(ticked);
+        if (game.getState().status !== 'playing') break;
+
+        const { events } = game.dispatch(player.next(playerView(game)));
+        track(events);
+        player.observe(events);
+        commands++;
+    }
+
+    const state = game.getState();
+    const summary = summarizeRun(state, game.getTimeElapsed(), game.config);
+    return {
+        seed,
+        ...summary,
+        outcome: state.status === 'playing' ? 'stalled' : summary.outcome,
+        won: state.status === 'won',
+        levelReached: state.level,
+        energyAtLevel
+    };
+}
+
+function percentile(sorted, share) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
+/**
+ * Split scores into equal-width buckets: [{ from, to, count }]
+ */
+function histogram(scores, buckets) {
+    if (scores.length === 0) return [];
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    const width = Math.max(1, Math.ceil((max - min + 1) / buckets));
+    const rows = Array.from({ length: buckets }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width - 1, count: 0 }));
+    for (const score of scores) rows[Math.min(buckets - 1, Math.floor((score - min) / width))].count++;
+    return rows.filter(row => row.from <= max);
+}
+
+/**
+ * Play `games` seeded games (seeds '<seedPrefix>-1', '-2', ...) and aggregate them
+ *
+ * Returns:
+ *   games, wins, winRate
+ *   levels   - per level: { level, reached, cleared, clearRate, averageEnergy, failures: { outcome: count } }
+ *   failures - { outcome: count } over all lost runs
+ *   scores   - { count, min, p25, median, p75, max, average, histogram } over runs that scored
+ *              (every run; in zen, won runs only)
+ */
+export function simulate({ strategy, config, games, seedPrefix = 'sim', thinkSeconds = THINK_SECONDS, buckets = 8 }) {
+    const results = [];
+    for (let i = 1; i <= games; i++) {
+        results.push(simulateGame({ strategy, config, seed: `${seedPrefix}-${i}`, thinkSeconds }));
+    }
+
+    // Endless runs go as far as the furthest game got
+    const totalLevels = config.mode === 'endless' ? Math.max(...results.map(r => r.levelReached)) : config.totalLevels;
+    const levels = [];
+    for (let level = 1; level <= totalLevels; level++) {
+        const reached = results.filter(r => r.levelReached >= level);
+        const cleared = reached.filter(r => r.levelReached > level || r.won);
+        const failures = Object.fromEntries(FAILURE_OUTCOMES.map(outcome => [outcome, 0]));
+        for (const r of reached) {
+            if (!r.won && r.levelReached === level && r.outcome in failures) failures[r.outcome]++;
+        }
+        levels.push({
+            level,
+            reached: reached.length,
+            cleared: cleared.length,
+            clearRate: reached.length ? cleared.length / reached.length : null,
+            averageEnergy: average(reached.map(r => r.energyAtLevel[level - 1])),
+            failures
+        });
+    }
+
+    const failures = Object.fromEntries(FAILURE_OUTCOMES.map(outcome => [outcome, 0]));
+    for (const r of results) {
+        if (!r.won && r.outcome in failures) failures[r.outcome]++;
+    }
+
+    const scores = results.filter(r => r.score !== null).map(r => r.score).sort((a, b) => a - b);
+    const wins = results.filter(r => r.won).length;
+    return {
+        games,
+        wins,
+        winRate: games ? wins / games : null,
+        levels,
+        failures,
+        scores: {
+            count: scores.length,
+            min: scores.length ? scores[0] : null,
+            p25: percentile(scores, 0.25),
+            median: median(scores),
+            p75: percentile(scores, 0.75),
+            max: scores.length ? scores[scores.length - 1] : null,
+            average: average(scores),
+            histogram: histogram(scores, buckets)
+        }
+    };
+}
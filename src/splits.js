@@ -0,0 +1,62 @@
+/**
+ * THE TORQUE PARADOX - Split Comparison
+ *
+ * Speedrun-style comparison of the current run against a personal best's
+ * per-level split times. All times are in seconds.
+ */
+
+/**
+ * Milliseconds to seconds with one decimal, the precision splits are stored at
+ */
+export function toSplitSeconds(ms) {
+    return Math.round(ms / 100) / 10;
+}
+
+/**
+ * Compare the run so far with the personal best splits
+ *
+ * Input:
+ *   splits        - seconds for each level cleared this run
+ *   level         - the level being played now
+ *   levelElapsed  - seconds spent on the current level so far
+ *   pbSplits      - the personal best's splits (may be empty)
+ *   totalLevels
+ *
+ * Returns { rows, delta, projectedTime }
+ *   rows          - one per level: { level, time, pb, delta, status: 'done'|'current'|'upcoming' }
+ *   delta         - time ahead (negative) or behind (positive) the PB over cleared levels
+ *   projectedTime - estimated total time for the run, or null if there is nothing to go on
+ */
+export function compareSplits({ splits, level, levelElapsed, pbSplits = [], totalLevels }) {
+    const rows = [];
+    let delta = 0;
+
+    // Pace for levels the PB has no split for: this run's own average so far
+    const ownPace = splits.length ? splits.reduce((sum, t) => sum + t, 0) / splits.length : null;
+    let projectedTime = 0;
+    let projectable = true;
+
+    for (let lvl = 1; lvl <= totalLevels; lvl++) {
+        const pb = pbSplits[lvl - 1] ?? null;
+        const estimate = pb ?? ownPace;
+
+        if (lvl <= splits.length) {
+            const time = splits[lvl - 1];
+            const rowDelta = pb === null ? null : time - pb;
+            if (rowDelta !== null) delta += rowDelta;
+            rows.push({ level: lvl, time, pb, delta: rowDelta, status: 'done' });
+            projectedTime += time;
+        } else if (lvl === level) {
+            rows.push({ level: lvl, time: levelElapsed, pb, delta: pb === null ? null : levelElapsed - pb, status: 'current' });
+            // Still on it: at least what has passed, at best the PB pace
+            if (estimate === null) projectable = false;
+            projectedTime += Math.max(levelElapsed, estimate ?? 0);
+        } else {
+            rows.push({ level: lvl, time: null, pb, delta: null, status: 'upcoming' });
+            if (estimate === null) projectable = false;
+            projectedTime += estimate ?? 0;
+        }
+    }
+
+    return { rows, delta, projectedTime: projectable ? Math.round(projectedTime) : null };
+}
@@ -0,0 +1,74 @@
+/**
+ * THE TORQUE PARADOX - Statistics
+ *
+ * Pure number crunching over run history records (see history.js).
+ */
+
+export function average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+export function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Headline numbers for a set of runs
+ * Scores count every run that earned one - failed runs keep their level points -
+ * or only wins when scoredWins is set (zen, where a failed run scores nothing)
+ */
+function summarize(runs, scoredWins) {
+    const wins = runs.filter(r => r.won);
+    const scores = (scoredWins ? wins : runs).map(r => r.score).filter(score => typeof score === 'number');
+    return {
+        runs: runs.length,
+        wins: wins.length,
+        winRate: runs.length ? wins.length / runs.length : null,
+        averageScore: average(scores),
+        medianScore: median(scores),
+        averageLevel: average(runs.map(r => r.levelReached)),
+        averageWrongDirection: average(runs.map(r => r.wrongDirection || 0))
+    };
+}
+
+/**
+ * Compute the stats screen for a player's runs (oldest first)
+ * scoredWins: average and median only the won runs' scores (zen)
+ *
+ * Returns:
+ *   overall       - summary over every run
+ *   recent        - the same summary over the last `last` runs, for trends
+ *   recentRuns    - those runs, newest last
+ *   bestSplits    - fastest clear per level in seconds (index = level - 1)
+ *   failures      - { cause: count } for lost runs
+ *   topFailure    - the most common cause, or null
+ */
+export function computeStats(runs, { last = 10, scoredWins = false } = {}) {
+    const recentRuns = runs.slice(-last);
+
+    const bestSplits = [];
+    for (const run of runs) {
+        (run.splits || []).forEach((split, i) => {
+            if (bestSplits[i] === undefined || split < bestSplits[i]) bestSplits[i] = split;
+        });
+    }
+
+    const failures = {};
+    for (const run of runs) {
+        if (!run.won) failures[run.outcome] = (failures[run.outcome] || 0) + 1;
+    }
+    const topFailure = Object.entries(failures).sort((a, b) => b[1] - a[1])[0] || null;
+
+    return {
+        overall: summarize(runs, scoredWins),
+        recent: summarize(recentRuns, scoredWins),
+        recentRuns,
+        bestSplits,
+        failures,
+        topFailure: topFailure ? { cause: topFailure[0], count: topFailure[1] } : null
+    };
+}
@@ -0,0 +1,426 @@
+/**
+ * THE TORQUE PARADOX - Score Storage
+ *
+ * Player records live in a per-user data directory, not next to the game. The
+ * score file is written atomically (a temp file renamed over it), the version each
+ * session starts from is kept as a rotated backup, and it carries a schema version
+ * so older files are migrated instead of misread.
+ *
+ * File shape (version 3):
+ *   {
+ *     "version": 3,
+ *     "unverified": false,          true once the file was found changed outside the game
+ *     "bests": { difficultyKey: { playerId: record } },   record.oldScoring: set before level points
+ *     "daily": { date: { playerId: record } },
+ *     "achievements": { playerId: { achievementId: { date, seed, difficulty } } },
+ *     "checksum": "..."             HMAC of everything above
+ *   }
+ *
+ * The checksum is an integrity check, not tamper protection: it is keyed with a
+ * constant every copy of the game shares, so exported records can be checked on
+ * another machine, and anyone who reads this file can sign scores. It catches
+ * corruption and casual edits.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+export const SCORES_VERSION = 3;
+export const EXPORT_FORMAT = 'torque-paradox-scores';
+
+const APP_DIR = 'torque-paradox';
+const CHECKSUM_KEY = 'the-torque-paradox/scores';
+const BACKUP_COUNT = 3; // personalscores.json.1 is the newest
+
+// Files noticed changed outside the game, so each is only reported once a session
+const reported = new Set();
+// Files already backed up this session - the backups keep earlier sessions, not every write
+const rotated = new Set();
+
+// --- DATA DIRECTORY ---
+
+/**
+ * Where player data lives when --data-dir doesn't say
+ * $XDG_DATA_HOME/torque-paradox, or the platform's usual place for it
+ */
+export function defaultDataDir(env = process.env, platform = process.platform, home = os.homedir()) {
+    if (env.XDG_DATA_HOME && path.isAbsolute(env.XDG_DATA_HOME)) return path.join(env.XDG_DATA_HOME, APP_DIR);
+    if (platform === 'win32') return path.join(env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_DIR);
+    if (platform === 'darwin') return path.join(home, 'Library', 'Application Support', APP_DIR);
+    return path.join(home, '.local', 'share', APP_DIR);
+}
+
+/**
+ * Create the data directory
+ * Files an older version kept next to the game (names, relative to legacyDir) are
+ * copied in the first time; the originals are left where they are
+ * Throws an Error if the directory can't be created
+ */
+export function prepareDataDir(dir, legacyDir, names) {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+    } catch (e) {
+        throw new Error(`Cannot create data directory ${dir}: ${e.message}`);
+    }
+    if (path.resolve(dir) === path.resolve(legacyDir)) return;
+    for (const name of names) {
+        const from = path.join(legacyDir, name);
+        const to = path.join(dir, name);
+        if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+        try {
+            fs.cpSync(from, to, { recursive: true });
+        } catch (e) {
+            console.error(`Error copying ${name} to the data directory:`, e.message);
+        }
+    }
+}
+
+// --- ATOMIC WRITES ---
+
+/**
+ * Replace a file in one step: write a temp file beside it, flush it, rename it over
+ * A crash mid-write leaves the old file whole instead of half a new one
+ */
+export function writeFileAtomic(file, text) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+        const fd = fs.openSync(temp, 'w');
+        try {
+            fs.writeSync(fd, text);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(temp, file);
+    } catch (e) {
+        fs.rmSync(temp, { force: true });
+        throw e;
+    }
+}
+
+function backupName(file, n) {
+    return `${file}.${n}`;
+}
+
+/**
+ * Keep a copy of a file before a session first replaces it: .1 is the newest of BACKUP_COUNT
+ */
+function rotateBackups(file) {
+    if (rotated.has(file)) return;
+    rotated.add(file);
+    if (!fs.existsSync(file)) return;
+    for (let n = BACKUP_COUNT - 1; n >= 1; n--) {
+        if (fs.existsSync(backupName(file, n))) fs.renameSync(backupName(file, n), backupName(file, n + 1));
+    }
+    fs.copyFileSync(file, backupName(file, 1));
+}
+
+// --- CHECKSUM ---
+
+/**
+ * JSON with object keys sorted, so reformatting a file doesn't change its checksum
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function checksum(document) {
+    const { checksum: _stored, ...rest } = document;
+    return crypto.createHmac('sha256', CHECKSUM_KEY).update(canonicalJson(rest)).digest('hex');
+}
+
+/**
+ * The document with its checksum added - saved runs are signed the same way
+ */
+export function signDocument(document) {
+    return { ...document, checksum: checksum(document) };
+}
+
+/**
+ * Whether a signed document is as the game wrote it
+ */
+export function checksumMatches(document) {
+    return typeof document.checksum === 'string' && document.checksum === checksum(document);
+}
+
+// --- SCHEMA ---
+
+export function emptyScores() {
+    return { version: SCORES_VERSION, unverified: false, bests: {}, daily: {}, achievements: {} };
+}
+
+// Upgrades from each version to the next
+const MIGRATIONS = {
+    // 1: unversioned and flat - normal bests at the top level, the other tables under reserved keys
+    1: (data) => {
+        const { _daily = {}, _difficulty = {}, _achievements = {}, ...normal } = data;
+        const bests = { ..._difficulty };
+        if (Object.keys(normal).length) bests[DEFAULT_DIFFICULTY] = normal;
+        return { version: 2, unverified: false, bests, daily: _daily, achievements: _achievements };
+    },
+    // 2: records from before level points scored a win by time and energy alone, so
+    // they can't be compared with newer ones; they are marked oldScoring
+    2: (data) => ({
+        ...data,
+        version: 3,
+        bests: markOldScoring(data.bests ?? {}),
+        daily: markOldScoring(data.daily ?? {})
+    })
+};
+
+// Table names of the modes whose scores level points didn't change
+const UNCHANGED_SCORING = /\+(endless|zen)$/;
+
+function markOldScoring(group) {
+    return Object.fromEntries(Object.entries(group).map(([name, table]) => [
+        name,
+        UNCHANGED_SCORING.test(name) ? table : Object.fromEntries(Object.entries(table).map(([playerId, record]) => [
+            playerId,
+            record.levelPoints === undefined ? { ...record, oldScoring: true } : record
+        ]))
+    ]));
+}
+
+/**
+ * Bring score data of any known version up to SCORES_VERSION
+ * Returns { scores, from } - from is the version it started at
+ * Throws an Error for a version newer than this game
+ */
+export function migrateScores(data) {
+    const from = data.version ?? 1;
+    if (!Number.isInteger(from) || from < 1 || from > SCORES_VERSION) {
+        throw new Error(`Unknown score data version ${JSON.stringify(data.version)} - this game reads versions 1 to ${SCORES_VERSION}. A newer game may have written it.`);
+    }
+    let scores = data;
+    for (let version = from; version < SCORES_VERSION; version++) scores = MIGRATIONS[version](scores);
+    return { scores, from };
+}
+
+function isScoreData(data) {
+    return Boolean(data) && typeof data === 'object' && !Array.isArray(data);
+}
+
+/**
+ * Read a score file as JSON
+ * Throws an Error if it can't be read or isn't a JSON object
+ */
+function parseScores(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!isScoreData(data)) throw new Error(`${file} does not contain a JSON object`);
+    return data;
+}
+
+/**
+ * Upgrade parsed score data and check its checksum
+ * Returns { scores, from, changed } - changed when the checksum doesn't match
+ */
+function upgradeScores(data) {
+    // Checked as it was written, before any migration; files from before checksums have nothing to check
+    const changed = (data.version ?? 1) >= 2 && !checksumMatches(data);
+    const { scores, from } = migrateScores(data);
+    const { checksum: _stored, ...document } = scores;
+    return { scores: { ...emptyScores(), ...document }, from, changed };
+}
+
+/**
+ * Load the score file
+ * A file from an older version is migrated and rewritten, with the original kept as
+ * <file>.v<version>. A file changed outside the game is marked unverified for good.
+ * An unreadable file is moved aside and the newest readable backup restored.
+ * Throws an Error only for a file from a newer version of the game, which must not be overwritten.
+ */
+export function loadScores(file) {
+    if (!fs.existsSync(file)) return emptyScores();
+
+    let data;
+    try {
+        data = parseScores(file);
+    } catch (e) {
+        return recoverScores(file, e);
+    }
+
+    let upgraded;
+    try {
+        upgraded = upgradeScores(data);
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+    const { scores, from, changed } = upgraded;
+    if (from < SCORES_VERSION) {
+        if (changed) scores.unverified = true;
+        try {
+            fs.copyFileSync(file, `${file}.v${from}`);
+        } catch (e) {
+            console.error("Error keeping the old scores file:", e.message);
+        }
+        saveScores(file, scores);
+    } else if (changed && !scores.unverified) {
+        scores.unverified = true;
+        saveScores(file, scores);
+    }
+    if (changed && !reported.has(file)) {
+        reported.add(file);
+        console.error(`Warning: ${file} was changed outside the game. Its records are marked unverified.`);
+    }
+    return scores;
+}
+
+/**
+ * Set an unreadable score file aside and fall back on its backups
+ */
+function recoverScores(file, error) {
+    const aside = `${file}.corrupt-${Date.now()}`;
+    console.error("Error reading scores:", error.message);
+    try {
+        fs.renameSync(file, aside);
+        console.error(`The unreadable file was kept as ${aside}.`);
+    } catch (e) {
+        console.error("Error moving the unreadable scores file:", e.message);
+        return emptyScores();
+    }
+
+    for (let n = 1; n <= BACKUP_COUNT; n++) {
+        const backup = backupName(file, n);
+        if (!fs.existsSync(backup)) continue;
+        try {
+            const { scores, changed } = upgradeScores(parseScores(backup));
+            if (changed) scores.unverified = true;
+            saveScores(file, scores);
+            console.error(`Restored scores from ${backup}.`);
+            return scores;
+        } catch {
+            // Try the next one
+        }
+    }
+    return emptyScores();
+}
+
+/**
+ * Sign and write the scores; the first write of a session keeps the file it replaces as a backup
+ * Returns false if they could not be written
+ */
+export function saveScores(file, scores) {
+    try {
+        rotateBackups(file);
+        writeFileAtomic(file, JSON.stringify(signDocument({ ...scores, version: SCORES_VERSION }), null, 2));
+        return true;
+    } catch (e) {
+        console.error("Error saving scores:", e.message);
+        return false;
+    }
+}
+
+// --- EXPORT & IMPORT ---
+
+/**
+ * Records to carry to another machine: the scores of the given players (all if
+ * playerIds is null) and their profiles, signed like the score file
+ */
+export function exportScores(scores, profiles, playerIds = null) {
+    const wanted = (id) => playerIds === null || playerIds.includes(id);
+    const pick = (table) => Object.fromEntries(Object.entries(table).filter(([id]) => wanted(id)));
+    const pickTables = (group) => Object.fromEntries(
+        Object.entries(group).map(([name, table]) => [name, pick(table)]).filter(([, table]) => Object.keys(table).length)
+    );
+
+    return signDocument({
+        format: EXPORT_FORMAT,
+        version: SCORES_VERSION,
+        exportedAt: new Date().toISOString(),
+        unverified: scores.unverified,
+        profiles: pick(profiles),
+        bests: pickTables(scores.bests),
+        daily: pickTables(scores.daily),
+        achievements: pick(scores.achievements)
+    });
+}
+
+/**
+ * Read and check an export file
+ * Returns { profiles, scores }; throws an Error if it can't be used
+ */
+export function readExport(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read export file ${file}: ${e.message}`);
+    }
+    if (!isScoreData(data) || data.format !== EXPORT_FORMAT) {
+        throw new Error(`${file} is not a score export (made with: node game.js export <file>)`);
+    }
+    if (data.checksum !== checksum(data)) {
+        throw new Error(`${file} was changed after it was exported - its checksum doesn't match. Nothing was imported.`);
+    }
+    const { format: _format, exportedAt: _exportedAt, checksum: _checksum, profiles = {}, ...rest } = data;
+    const { scores } = migrateScores(rest);
+    return { profiles, scores: { ...emptyScores(), ...scores } };
+}
+
+/**
+ * Imported scores with their players' ids changed: ids is { importedId: idHere }
+ * Players not in ids keep theirs
+ */
+export function remapPlayers(scores, ids) {
+    const idFor = (playerId) => ids[playerId] ?? playerId;
+    const remapTable = (table) => Object.fromEntries(
+        Object.entries(table).map(([playerId, record]) => [idFor(playerId), { ...record, playerId: idFor(playerId) }])
+    );
+    const remapGroup = (group) => Object.fromEntries(Object.entries(group).map(([name, table]) => [name, remapTable(table)]));
+    return {
+        ...scores,
+        bests: remapGroup(scores.bests),
+        daily: remapGroup(scores.daily),
+        achievements: Object.fromEntries(Object.entries(scores.achievements).map(([playerId, unlocks]) => [idFor(playerId), unlocks]))
+    };
+}
+
+/**
+ * Whether an imported record should replace ours: a record with level points always
+ * beats one marked oldScoring, otherwise the higher score wins
+ */
+function beats(record, ours) {
+    if (Boolean(record.oldScoring) !== Boolean(ours.oldScoring)) return !record.oldScoring;
+    return record.score > ours.score;
+}
+
+/**
+ * Merge imported scores into ours: the better record wins each table (see beats), and each
+ * achievement keeps its earliest unlock. Imported unverified records make ours unverified.
+ * Returns { added, improved, kept } - counts of records
+ */
+export function mergeScores(scores, incoming) {
+    const counts = { added: 0, improved: 0, kept: 0 };
+    for (const group of ['bests', 'daily']) {
+        for (const [name, table] of Object.entries(incoming[group])) {
+            const ours = scores[group][name] = scores[group][name] || {};
+            for (const [playerId, record] of Object.entries(table)) {
+                if (!ours[playerId]) {
+                    counts.added++;
+                } else if (beats(record, ours[playerId])) {
+                    counts.improved++;
+                } else {
+                    counts.kept++;
+                    continue;
+                }
+                ours[playerId] = record;
+            }
+        }
+    }
+    for (const [playerId, unlocks] of Object.entries(incoming.achievements)) {
+        const ours = scores.achievements[playerId] = scores.achievements[playerId] || {};
+        for (const [id, unlock] of Object.entries(unlocks)) {
+            if (!ours[id] || unlock.date < ours[id].date) ours[id] = unlock;
+        }
+    }
+    if (incoming.unverified) scores.unverified = true;
+    return counts;
+}
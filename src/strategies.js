@@ -0,0 +1,198 @@
+/**
+ * THE TORQUE PARADOX - Autoplayer Strategies
+ *
+ * A strategy plays the game through the same window a person has: the HUD.
+ * It never sees the hidden bottle numbers, only the level, energy, time,
+ * the announced bottle type, how the cap and material feel and the stress
+ * meter - plus the events each of its commands produced.
+ *
+ * Interface: a strategy is { description, create({ config, random }) } and
+ * create() returns a player for one game:
+ *   next(view)      - the engine command to send next ({ type: 'move', ... } or { type: 'rest', ... })
+ *   observe(events) - the events that command produced
+ *
+ * view: { level, energy, remainingTime, bottleType, traits, grip, integrity, stress }
+ * traits are the announced type's (see bottles.js): needsPress, flex, doubleThread, ...
+ */
+
+import { calculateEnergyLoss } from './engine.js';
+
+const HOLD_SECONDS = 20; // Full hold: the most loosening and the cheapest energy per twist
+const PROBE = { force: 6, time: 2 }; // Short, gentle twist to find the lock and take a first stress reading
+
+function otherDirection(direction) {
+    return direction === 'CW' ? 'ACW' : 'CW';
+}
+
+/**
+ * Least and most force a bottle on this level could need from scratch, from the public config
+ * (required force is the level's base plus up to 19 of randomness)
+ */
+function forceRange(config, level, traits) {
+    const base = config.baseForce + level * config.forcePerLevel;
+    const scale = (required) => Math.ceil(required * (1 + traits.staticFriction) / (1 - traits.flex));
+    return { least: Math.ceil(base / (1 - traits.flex)), most: scale(base + 19) };
+}
+
+/**
+ * Build a twist, or a rest first if the twist would cost more energy than is left
+ */
+function twistOrRest(view, config, move) {
+    const time = Math.max(1, Math.min(move.time, view.remainingTime));
+    const cost = calculateEnergyLoss(time, move.force);
+    if (cost >= view.energy && config.recoveryPerSecond > 0) {
+        const seconds = Math.ceil((cost + 1 - view.energy) / config.recoveryPerSecond);
+        if (seconds < view.remainingTime - time) return { type: 'rest', seconds };
+    }
+    return { type: 'move', ...move, time };
+}
+
+/**
+ * Cautious: find the lock with a gentle probe, then binary-search the force between
+ * what has failed and the level's worst case, never past what the stress meter says
+ * the bottle can take
+ */
+function createCautious({ config }) {
+    const steps = config.stressMeterSteps;
+    let level = null;
+    let openDirection = null; // Unknown until the probe
+    let low = 0; // Highest force known (or certain) not to open it
+    let high = 0; // Force certain to be enough
+    let ceiling = Infinity; // Most force the latest stress reading says is safe
+    let hairline = Infinity; // Never go back to a force that nearly broke it
+    let press = false;
+    let last = null; // Last twist sent
+
+    function startLevel(view) {
+        level = view.level;
+        openDirection = null;
+        const range = forceRange(config, view.level, view.traits);
+        low = range.least - 1;
+        high = range.most;
+        ceiling = Infinity;
+        hairline = Infinity;
+        press = view.traits.needsPress;
+        last = null;
+    }
+
+    return {
+        next(view) {
+            if (view.level !== level) startLevel(view);
+
+            // The latest reading puts the capacity above force / (reading + one step)
+            if (last && view.stress !== null) {
+                ceiling = Math.floor(0.85 * last.force / (view.stress + 1 / steps));
+            }
+
+            let move;
+            if (openDirection === null) {
+                move = { direction: 'ACW', ...PROBE, press };
+            } else {
+                if (high <= low + 1) high = Math.ceil(low * 1.25) + 2;
+                const force = Math.max(1, Math.min(ceiling, hairline - 1, Math.ceil((low + high) / 2)));
+                move = { direction: openDirection, force, time: HOLD_SECONDS, press };
+            }
+            const command = twistOrRest(view, config, move);
+            last = command.type === 'move' ? command : null;
+            return command;
+        },
+
+        observe(events) {
+            for (const event of events) {
+                if (event.type !== 'moveApplied') continue;
+                switch (event.result) {
+                    case 'tightened':
+                        // The probe (or a wrong guess) found the lock: open the other way, past the jam it added
+                        openDirection = otherDirection(event.direction);
+                        low += event.force;
+                        high += event.force;
+                        break;
+                    case 'slipped':
+                        press = true;
+                        break;
+                    case 'threadFlipped':
+                        // Half the work is done; the rest goes the other way
+                        openDirection = otherDirection(event.direction);
+                        low = 0;
+                        high = Math.ceil(high / 2);
+                        break;
+                    default: // progress, stuck, jamReduced, jamCleared: right way, not enough
+                        openDirection = event.direction;
+                        low = Math.max(low, event.force);
+                        break;
+                }
+                if (event.sensations.includes('hairline')) hairline = Math.min(hairline, event.force);
+            }
+        }
+    };
+}
+
+/**
+ * Greedy: one hard twist at the worst-case force for the level, a guess at the direction,
+ * and more force every time that isn't enough. Quick, and blind to the stress meter.
+ */
+function createGreedy({ config, random }) {
+    let level = null;
+    let direction = 'ACW';
+    let force = 0;
+    let press = false;
+
+    return {
+        next(view) {
+            if (view.level !== level) {
+                level = view.level;
+                direction = random() < 0.5 ? 'CW' : 'ACW';
+                force = forceRange(config, view.level, view.traits).most;
+                press = view.traits.needsPress;
+            }
+            return twistOrRest(view, config, { direction, force, time: 10, press });
+        },
+
+        observe(events) {
+            for (const event of events) {
+                if (event.type !== 'moveApplied') continue;
+                if (event.result === 'tightened' || event.result === 'threadFlipped') {
+                    direction = otherDirection(event.direction);
+                } else if (event.result === 'slipped') {
+                    press = true;
+                } else {
+                    force = Math.ceil(force * 1.2);
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Random: any direction, force and duration. The floor every other strategy should beat.
+ */
+function createRandom({ config, random }) {
+    return {
+        next(view) {
+            const { most } = forceRange(config, view.level, view.traits);
+            return {
+                type: 'move',
+                direction: random() < 0.5 ? 'CW' : 'ACW',
+                force: 1 + Math.floor(random() * most * 1.5),
+                time: Math.max(1, Math.min(view.remainingTime, 1 + Math.floor(random() * 30))),
+                press: random() < 0.5
+            };
+        },
+        observe() {}
+    };
+}
+
+export const STRATEGIES = Object.freeze({
+    cautious: {
+        description: "Probe for the lock, then binary-search the force under the stress meter's limit",
+        create: createCautious
+    },
+    greedy: {
+        description: "One hard, quick twist at the level's worst-case force; guess the direction",
+        create: createGreedy
+    },
+    random: {
+        description: "Random direction, force and duration",
+        create: createRandom
+    }
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame } from '../src/engine.js';
+import { createRng } from '../src/rng.js';
+import { createManualClock } from '../src/replay.js';
+
+// One hand-made bottle: ACW opens it with 40N, it breaks above 60N
+const LEVELS = [{ type: 'standard', lockedDir: 'CW', requiredForce: 40, maxCapacity: 60, jam: 0 }];
+
+function newGame(config = {}, seed = 'test') {
+    const clock = createManualClock();
+    const game = createGame({ config, clock: clock.now, random: createRng(seed) });
+    return { game, clock };
+}
+
+test('the same seed draws the same bottles', () => {
+    const first = newGame().game.start().state.bottle;
+    const second = newGame().game.start().state.bottle;
+    const other = newGame({}, 'other').game.start().state.bottle;
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(first, other);
+});
+
+test('start begins the first level', () => {
+    const { game } = newGame();
+    assert.equal(game.getState().status, 'ready');
+    const { state, events } = game.start();
+    assert.equal(state.status, 'playing');
+    assert.equal(state.level, 1);
+    assert.deepEqual(events.map(e => e.type), ['levelStarted']);
+});
+
+test('a twist the locked way tightens the cap', () => {
+    const { game, clock } = newGame({ totalLevels: 1, levels: LEVELS });
+    game.start();
+    clock.advance(2000);
+    const { state, events } = game.dispatch({ type: 'move', direction: 'CW', time: 10, force: 20 });
+    assert.equal(events.find(e => e.type === 'moveApplied').result, 'tightened');
+    assert.equal(state.status, 'playing');
+    assert.ok(state.energy < 100);
+});
+
+test('the required force the other way opens the bottle and wins a one-level run', () => {
+    const { game, clock } = newGame({ totalLevels: 1, levels: LEVELS });
+    game.start();
+    clock.advance(5000);
+    const { state, events } = game.dispatch({ type: 'move', direction: 'ACW', time: 10, force: 40 });
+    assert.ok(events.some(e => e.type === 'levelCleared'));
+    assert.equal(state.status, 'won');
+    assert.equal(state.levelResults.length, 1);
+});
+
+test('too much force shatters the bottle', () => {
+    const { game } = newGame({ totalLevels: 1, levels: LEVELS });
+    game.start();
+    const { state, events } = game.dispatch({ type: 'move', direction: 'ACW', time: 10, force: 61 });
+    assert.ok(events.some(e => e.type === 'bottleShattered'));
+    assert.equal(state.outcome, 'shattered');
+});
+
+test('time paused does not count as play', () => {
+    const { game, clock } = newGame();
+    game.start();
+    clock.advance(3000);
+    game.pause();
+    clock.advance(60000);
+    const { events } = game.dispatch({ type: 'move', direction: 'ACW', time: 1, force: 1 });
+    assert.equal(events[0].reason, 'paused');
+    game.resume();
+    assert.equal(game.getTimeElapsed(), 3);
+});
+
+test('dispatch returns copies, not the engine state', () => {
+    const { game } = newGame();
+    const { state } = game.start();
+    state.energy = 0;
+    state.bottle.requiredForce = 0;
+    assert.equal(game.getState().energy, 100);
+    assert.notEqual(game.getState().bottle.requiredForce, 0);
+});
+
+test('an unknown command throws', () => {
+    const { game } = newGame();
+    assert.throws(() => game.dispatch({ type: 'dance' }), /Unknown command type/);
+});
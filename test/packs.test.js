@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPack, validatePack, packConfig } from '../src/packs.js';
+import { resolveConfig } from '../src/difficulty.js';
+import { createGame } from '../src/engine.js';
+import { createRng } from '../src/rng.js';
+import { createManualClock } from '../src/replay.js';
+
+const CONFIG = resolveConfig();
+
+// One 100N twist in 10 seconds costs 50% energy
+const HEAVY = { type: 'standard', lockedDir: 'CW', requiredForce: 100, maxCapacity: 150 };
+
+function pack(levels) {
+    return { name: 'Test', levels };
+}
+
+test('the example pack is playable', () => {
+    assert.deepEqual(validatePack(loadPack(new URL('../packs/workshop.json', import.meta.url)), CONFIG), []);
+});
+
+test('a bottle that breaks before it opens is unwinnable', () => {
+    const problems = validatePack(pack([{ type: 'plastic', lockedDir: 'CW', requiredForce: 40, maxCapacity: 45 }]), CONFIG);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /Level 1 is unwinnable: as a plastic bottle/);
+});
+
+test('a heavy jam is worked off within the capacity', () => {
+    assert.deepEqual(validatePack(pack([{ lockedDir: 'CW', requiredForce: 40, maxCapacity: 60, jam: 50 }]), CONFIG), []);
+});
+
+test('energy carries over between levels without their own budget', () => {
+    const config = { ...CONFIG, levelEnergyBonus: 20 };
+    const timed = { ...HEAVY, time: 10 };
+    assert.deepEqual(validatePack(pack([timed, timed]), config), []);
+
+    const problems = validatePack(pack([timed, timed, timed]), config);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /Level 3 is unwinnable: .* costs 50% energy, but it only has 40% after the levels before it/);
+
+    assert.deepEqual(validatePack(pack([timed, timed, { ...timed, energy: 60 }]), config), []);
+});
+
+test('levels without a time budget share what is left of the time pool', () => {
+    const config = { ...CONFIG, levelEnergyBonus: 20 };
+    assert.deepEqual(validatePack(pack([HEAVY, HEAVY]), { ...config, maxTimeSeconds: 20 }), []);
+
+    // 5s each: the first twist costs all 100%, and the second bottle starts with the 20% bonus
+    const problems = validatePack(pack([HEAVY, HEAVY]), { ...config, maxTimeSeconds: 10 });
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /Level 2 is unwinnable: the cheapest opening in its 5s .* costs 100% energy, but it only has 20%/);
+});
+
+test('time attack plans each bottle inside its own countdown', () => {
+    const config = { ...CONFIG, mode: 'timeAttack', levelEnergyBonus: 20 };
+    assert.deepEqual(validatePack(pack([HEAVY, HEAVY]), { ...config, maxTimeSeconds: 20 }), []);
+    assert.match(validatePack(pack([HEAVY, HEAVY]), { ...config, maxTimeSeconds: 11 })[0], /Level 2 is unwinnable: the cheapest opening in its 5s/);
+});
+
+test('a pack that passes can be won by playing its cheapest openings', () => {
+    const config = packConfig(pack([HEAVY, HEAVY]), { ...CONFIG, maxTimeSeconds: 20, levelEnergyBonus: 20 });
+    const clock = createManualClock();
+    const game = createGame({ config, clock: clock.now, random: createRng('test') });
+    game.start();
+    let state;
+    for (let level = 0; level < 2; level++) {
+        ({ state } = game.dispatch({ type: 'move', direction: 'ACW', force: 100, time: 10 }));
+    }
+    assert.equal(state.status, 'won');
+});
+
+test('time budgets go on every level or none', () => {
+    const problems = validatePack(pack([{ ...HEAVY, time: 60 }, HEAVY]), CONFIG);
+    assert.deepEqual(problems, ["Give every level a time budget or none (1 of 2 have one)"]);
+});
+
+test('packConfig plays the levels in order and totals their time budgets', () => {
+    const config = packConfig(pack([{ ...HEAVY, time: 60 }, { ...HEAVY, time: 40 }]), CONFIG);
+    assert.equal(config.totalLevels, 2);
+    assert.equal(config.maxTimeSeconds, 100);
+    assert.equal(config.levels[0].jam, 0);
+    assert.throws(() => packConfig(pack([]), CONFIG), /Invalid level pack/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSmartInput, parseDuration, DEFAULT_TIME_SECONDS } from '../src/parser.js';
+import { parseScriptStep } from '../src/script.js';
+
+test('a twist reads in any order, with units and decimals', () => {
+    const parsed = parseSmartInput('1.5kN counter clockwise for 500ms, press');
+    assert.equal(parsed.valid, true);
+    assert.equal(parsed.direction, 'ACW');
+    assert.equal(parsed.force, 1500);
+    assert.equal(parsed.time, 0.5);
+    assert.equal(parsed.press, true);
+});
+
+test('a twist without a duration takes the default one', () => {
+    const parsed = parseSmartInput('cw 20n');
+    assert.equal(parsed.time, DEFAULT_TIME_SECONDS);
+    assert.equal(parsed.timeDefaulted, true);
+});
+
+test('a twist names what is wrong with it', () => {
+    assert.equal(parseSmartInput('cw 20').errorCode, 'missingUnit');
+    assert.equal(parseSmartInput('cw acw 20n').errorCode, 'conflictingDirection');
+    assert.equal(parseSmartInput('20n 10s').errorCode, 'missingDirection');
+    assert.equal(parseSmartInput('cw 10s').errorCode, 'missingForce');
+});
+
+test('a duration on its own is seconds, or takes a time unit', () => {
+    assert.equal(parseDuration('20'), 20);
+    assert.equal(parseDuration('2.5s'), 2.5);
+    assert.equal(parseDuration('1 min'), 60);
+    assert.equal(parseDuration('500ms'), 0.5);
+    for (const bad of ['', '0', 'soon', '20n', '20 s 5']) assert.equal(parseDuration(bad), null, bad);
+});
+
+test('script rest reads its duration the same way', () => {
+    assert.deepEqual(parseScriptStep('rest 1 min').command, { type: 'rest', seconds: 60 });
+    assert.equal(parseScriptStep('rest 20n').error.code, 'badSeconds');
+});
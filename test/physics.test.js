@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBottle, generateBottle, effectiveCapacity, minimumOpeningForce, cheapestOpening, applyTwist, BOTTLE_SCALING } from '../src/physics.js';
+import { BOTTLE_TYPES } from '../src/bottles.js';
+import { DIFFICULTIES } from '../src/difficulty.js';
+import { createRng } from '../src/rng.js';
+
+test('generated bottles can always take the force that opens them', () => {
+    for (const preset of Object.values(DIFFICULTIES)) {
+        const scaling = { ...BOTTLE_SCALING, ...preset };
+        const random = createRng('capacity');
+        for (let i = 0; i < 200; i++) {
+            for (let level = 1; level <= 10; level++) {
+                const bottle = generateBottle(level, random, scaling);
+                assert.ok(minimumOpeningForce(bottle) <= bottle.maxCapacity, `${bottle.type} level ${level}`);
+            }
+        }
+    }
+});
+
+test('effective capacity never rises above the bottle capacity', () => {
+    for (const type of Object.keys(BOTTLE_TYPES)) {
+        const bottle = buildBottle({ type, lockedDir: 'CW', requiredForce: 50, maxCapacity: 55 });
+        assert.ok(effectiveCapacity(bottle) <= bottle.maxCapacity, type);
+    }
+});
+
+test('fatigue lowers the capacity, but not below the force that opens the bottle', () => {
+    const bottle = buildBottle({ lockedDir: 'CW', requiredForce: 40, maxCapacity: 60 });
+    bottle.fatigue = 5;
+    assert.equal(effectiveCapacity(bottle), 55);
+    bottle.fatigue = 100;
+    assert.equal(effectiveCapacity(bottle), 40);
+});
+
+test('the cheapest opening works a heavy jam off without breaking the bottle', () => {
+    for (const type of Object.keys(BOTTLE_TYPES)) {
+        const bottle = buildBottle({ type, lockedDir: 'CW', requiredForce: 40, maxCapacity: 64, jam: 120 });
+        const twists = cheapestOpening(bottle, 60);
+        assert.ok(twists.length > 1, type);
+        for (const twist of twists) {
+            assert.ok(twist.force <= effectiveCapacity(bottle), `${type}: ${twist.force}N`);
+            applyTwist(bottle, { ...twist, press: true });
+        }
+        assert.equal(bottle.isOpen, true, type);
+    }
+});
+
+test('the cheapest opening of an unjammed bottle is one twist per thread', () => {
+    const bottle = buildBottle({ type: 'doubleThread', lockedDir: 'CW', requiredForce: 40, maxCapacity: 64 });
+    assert.deepEqual(cheapestOpening(bottle, 60), [
+        { direction: 'ACW', force: 20, time: 30 },
+        { direction: 'CW', force: 20, time: 30 }
+    ]);
+});
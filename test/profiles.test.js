@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProfile, importProfile, findProfile } from '../src/profiles.js';
+
+function emptyData() {
+    return { lastUsed: null, profiles: {} };
+}
+
+test('names the id slug cannot spell still get ids of their own', () => {
+    const data = emptyData();
+    const first = createProfile(data, 'अनिल');
+    const second = createProfile(data, 'सुनीता');
+    assert.notEqual(first.id, second.id);
+    assert.match(first.id, /^player_player_[0-9a-f]{8}$/);
+});
+
+test('the same profile name on two machines gets two ids', () => {
+    assert.notEqual(createProfile(emptyData(), 'Tess').id, createProfile(emptyData(), 'Tess').id);
+});
+
+test('importing a profile keeps its id and creation time', () => {
+    const there = createProfile(emptyData(), 'Ana');
+    const data = emptyData();
+    const kept = importProfile(data, there);
+    assert.deepEqual(kept, there);
+    assert.equal(importProfile(data, there), kept);
+});
+
+test('a different player holding the id gets the import a new one', () => {
+    const data = emptyData();
+    const here = createProfile(data, 'अनिल', 'player_player');
+    const there = { id: 'player_player', name: 'सुनीता', createdAt: '2026-01-01T00:00:00.000Z' };
+
+    const kept = importProfile(data, there);
+    assert.notEqual(kept.id, here.id);
+    assert.equal(kept.importedId, 'player_player');
+    assert.equal(kept.name, 'सुनीता');
+    assert.equal(data.profiles[here.id].name, 'अनिल');
+    // Importing it again finds it under its new id
+    assert.equal(importProfile(data, there), kept);
+    assert.equal(Object.keys(data.profiles).length, 2);
+});
+
+test('a clashing name gets a number', () => {
+    const data = emptyData();
+    createProfile(data, 'Alice');
+    const kept = importProfile(data, { id: 'player_alice', name: 'Alice', createdAt: '2026-01-01T00:00:00.000Z' });
+    assert.equal(kept.name, 'Alice 2');
+    assert.equal(findProfile(data, 'alice 2'), kept);
+});
@@ -0,0 +1,45 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeSave, loadSave } from '../src/savegame.js';
+
+const SAVE = {
+    playerId: 'p1',
+    playerName: 'Tess',
+    seed: 'abc',
+    daily: null,
+    unverified: false,
+    config: {},
+    rngPosition: 3,
+    state: { status: 'playing', level: 2 }
+};
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'torque-saves-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(root, 'run-'));
+}
+
+test('a save loads back as the game wrote it', () => {
+    const file = writeSave(tempDir(), SAVE);
+    const save = loadSave(file);
+    assert.equal(save.unverified, false);
+    assert.equal(save.checksum, undefined);
+    assert.deepEqual(save.state, SAVE.state);
+});
+
+test('a save changed outside the game loads unverified', () => {
+    const file = writeSave(tempDir(), SAVE);
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.state.level = 9;
+    fs.writeFileSync(file, JSON.stringify(data));
+    assert.equal(loadSave(file).unverified, true);
+});
+
+test('saving again keeps a run unverified', () => {
+    const file = writeSave(tempDir(), { ...SAVE, unverified: true });
+    assert.equal(loadSave(file).unverified, true);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateScore, scoreLevel, scoreLevels, scoreRun, LEVEL_SCORING } from '../src/scoring.js';
+import { createGame } from '../src/engine.js';
+import { createRng } from '../src/rng.js';
+import { createManualClock } from '../src/replay.js';
+
+const CLEAN = { level: 1, moves: 1, wrongDirection: 0, jamAdded: 0, maxLoad: 0.5 };
+
+test('a bottle opened in one twist earns the base and the margin bonus', () => {
+    const scored = scoreLevel(CLEAN);
+    assert.equal(scored.margin, LEVEL_SCORING.marginBonus / 2);
+    assert.equal(scored.points, LEVEL_SCORING.base + LEVEL_SCORING.marginBonus / 2);
+});
+
+test('extra twists, wrong-way twists and jam cost points', () => {
+    const scored = scoreLevel({ level: 1, moves: 3, wrongDirection: 1, jamAdded: 10, maxLoad: 1 });
+    assert.equal(scored.extraMoves, -2 * LEVEL_SCORING.extraMovePenalty);
+    assert.equal(scored.wrongDirection, -LEVEL_SCORING.wrongDirectionPenalty);
+    assert.equal(scored.jam, -10 * LEVEL_SCORING.jamPenalty);
+    assert.equal(scored.margin, 0);
+    assert.equal(scored.points, 500 - 80 - 75 - 50);
+});
+
+test('later levels count for more, and a level never scores below 0', () => {
+    assert.equal(scoreLevel({ ...CLEAN, level: 10 }).multiplier, 1.9);
+    assert.equal(scoreLevel({ ...CLEAN, level: 10 }).points, Math.round(600 * 1.9));
+    assert.equal(scoreLevel({ ...CLEAN, moves: 40 }).points, 0);
+});
+
+test('level points add up over the levels opened', () => {
+    const { levelPoints, levels } = scoreLevels([CLEAN, { ...CLEAN, level: 2 }]);
+    assert.equal(levels.length, 2);
+    assert.equal(levelPoints, 600 + 660);
+    assert.deepEqual(scoreLevels(), { levelPoints: 0, levels: [] });
+});
+
+test('a classic win adds time and energy to the level points', () => {
+    assert.deepEqual(calculateScore(100, 50.5, 300), { score: 20505, timeScore: 20000, energyBonus: 505 });
+    const state = { status: 'won', energy: 50.5, levelResults: [CLEAN] };
+    const scored = scoreRun(state, 100, { maxTimeSeconds: 300 });
+    assert.equal(scored.score, 600 + 20000 + 505);
+    assert.equal(scored.levels.length, 1);
+});
+
+test('a lost run keeps the points of the bottles it opened', () => {
+    const state = { status: 'lost', energy: 80, levelResults: [CLEAN] };
+    assert.equal(scoreRun(state, 100, { mode: 'classic', maxTimeSeconds: 300 }).score, 600);
+    assert.equal(scoreRun({ ...state, levelResults: [] }, 100, { maxTimeSeconds: 300 }).score, 0);
+});
+
+test('each mode scores its own way', () => {
+    const state = { status: 'won', energy: 10, splits: [20000, 50000], levelResults: [], movesUsed: 4, resets: 1 };
+    assert.deepEqual(scoreRun(state, 70, { mode: 'endless' }), { score: 2, bottlesOpened: 2 });
+    assert.equal(scoreRun(state, 70, { mode: 'timeAttack', maxTimeSeconds: 60, totalLevels: 2 }).spareTimeScore, 1000);
+    assert.deepEqual(scoreRun(state, 70, { mode: 'zen' }), { score: 1000 - 2 * 20 - 100, twists: 4, resets: 1 });
+    assert.equal(scoreRun({ ...state, status: 'lost' }, 70, { mode: 'zen' }), null);
+});
+
+test('the engine records what a level is scored by', () => {
+    const clock = createManualClock();
+    const levels = [{ type: 'standard', lockedDir: 'CW', requiredForce: 40, maxCapacity: 60, jam: 0 }];
+    const game = createGame({ config: { totalLevels: 1, levels }, clock: clock.now, random: createRng('test') });
+    game.start();
+    clock.advance(2000);
+    const { state } = game.dispatch({ type: 'move', direction: 'ACW', time: 10, force: 45 });
+    assert.equal(state.status, 'won');
+    assert.equal(scoreLevel(state.levelResults[0]).points, LEVEL_SCORING.base + Math.round((1 - 45 / 60) * LEVEL_SCORING.marginBonus));
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats } from '../src/stats.js';
+
+function runRecord(won, score, extra = {}) {
+    return { won, score, outcome: won ? 'won' : 'shattered', levelReached: 3, wrongDirection: 0, splits: [], ...extra };
+}
+
+test('scores count failed runs that earned level points', () => {
+    const { overall } = computeStats([runRecord(false, 400), runRecord(false, 600)]);
+    assert.equal(overall.wins, 0);
+    assert.equal(overall.averageScore, 500);
+    assert.equal(overall.medianScore, 500);
+});
+
+test('runs without a score are left out of the scores', () => {
+    const { overall } = computeStats([runRecord(true, 9000), runRecord(false, null), runRecord(false, 1000)]);
+    assert.equal(overall.averageScore, 5000);
+    assert.equal(overall.runs, 3);
+});
+
+test('zen scores only its wins', () => {
+    const runs = [runRecord(true, 900), runRecord(false, 300)];
+    assert.equal(computeStats(runs, { scoredWins: true }).overall.averageScore, 900);
+    assert.equal(computeStats(runs).overall.averageScore, 600);
+});
+
+test('recent numbers cover the last runs only', () => {
+    const runs = [runRecord(true, 100), runRecord(false, 200), runRecord(false, 400)];
+    const stats = computeStats(runs, { last: 2 });
+    assert.equal(stats.recent.runs, 2);
+    assert.equal(stats.recent.averageScore, 300);
+    assert.deepEqual(stats.failures, { shattered: 2 });
+});
@@ -0,0 +1,150 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    loadScores, saveScores, migrateScores, exportScores, readExport, mergeScores, remapPlayers, emptyScores, signDocument, SCORES_VERSION
+} from '../src/storage.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'torque-scores-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function scoreFile() {
+    return path.join(fs.mkdtempSync(path.join(root, 'data-')), 'personalscores.json');
+}
+
+function record(score) {
+    return { playerId: 'p1', score, timeUsed: 100, date: '2026-10-19' };
+}
+
+test('a version 1 file is migrated and the original kept', () => {
+    const file = scoreFile();
+    const v1 = { p1: record(900), _daily: { '2026-10-19': { p1: record(50) } }, _difficulty: { hard: { p1: record(300) } } };
+    fs.writeFileSync(file, JSON.stringify(v1));
+
+    const scores = loadScores(file);
+    assert.equal(scores.version, SCORES_VERSION);
+    assert.equal(scores.unverified, false);
+    assert.equal(scores.bests.normal.p1.score, 900);
+    assert.equal(scores.bests.hard.p1.score, 300);
+    assert.equal(scores.daily['2026-10-19'].p1.score, 50);
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.v1`, 'utf8')), v1);
+    assert.deepEqual(loadScores(file), scores);
+});
+
+test('records from before level points are marked when a version 2 file is upgraded', () => {
+    const file = scoreFile();
+    const v2 = {
+        version: 2,
+        unverified: false,
+        bests: { normal: { p1: record(900), p2: { ...record(1200), levelPoints: 600 } }, 'normal+zen': { p1: record(880) } },
+        daily: { '2026-10-19': { p1: record(50) } },
+        achievements: {}
+    };
+    fs.writeFileSync(file, JSON.stringify(signDocument(v2)));
+
+    const scores = loadScores(file);
+    assert.equal(scores.version, SCORES_VERSION);
+    assert.equal(scores.unverified, false);
+    assert.equal(scores.bests.normal.p1.oldScoring, true);
+    assert.equal(scores.bests.normal.p2.oldScoring, undefined);
+    assert.equal(scores.bests['normal+zen'].p1.oldScoring, undefined);
+    assert.equal(scores.daily['2026-10-19'].p1.oldScoring, true);
+    assert.ok(fs.existsSync(`${file}.v2`));
+});
+
+test('a version 2 file changed outside the game stays unverified after the upgrade', () => {
+    const file = scoreFile();
+    const v2 = signDocument({ version: 2, unverified: false, bests: { normal: { p1: record(900) } }, daily: {}, achievements: {} });
+    v2.bests.normal.p1.score = 90000;
+    fs.writeFileSync(file, JSON.stringify(v2));
+    assert.equal(loadScores(file).unverified, true);
+});
+
+test('a file from a newer game is refused', () => {
+    assert.throws(() => migrateScores({ version: SCORES_VERSION + 1 }), /Unknown score data version/);
+    const file = scoreFile();
+    fs.writeFileSync(file, JSON.stringify({ version: SCORES_VERSION + 1 }));
+    assert.throws(() => loadScores(file), /newer game/);
+});
+
+test('a file changed outside the game is marked unverified for good', () => {
+    const file = scoreFile();
+    saveScores(file, { ...emptyScores(), bests: { normal: { p1: record(100) } } });
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.bests.normal.p1.score = 99999;
+    fs.writeFileSync(file, JSON.stringify(data));
+
+    assert.equal(loadScores(file).unverified, true);
+    assert.equal(loadScores(file).unverified, true);
+});
+
+test('an unreadable file is set aside and the newest backup restored', () => {
+    const file = scoreFile();
+    saveScores(file, { ...emptyScores(), bests: { normal: { p1: record(100) } } });
+    // A later session backs up the file it found before writing
+    fs.copyFileSync(file, `${file}.1`);
+    fs.writeFileSync(file, '{ not json');
+
+    const scores = loadScores(file);
+    assert.equal(scores.bests.normal.p1.score, 100);
+    assert.equal(fs.readdirSync(path.dirname(file)).filter(name => name.includes('.corrupt-')).length, 1);
+});
+
+test('backups are taken once a session, not on every write', () => {
+    const file = scoreFile();
+    fs.writeFileSync(file, JSON.stringify(emptyScores()));
+    for (let score = 1; score <= 5; score++) saveScores(file, { ...emptyScores(), bests: { normal: { p1: record(score) } } });
+    assert.ok(fs.existsSync(`${file}.1`));
+    assert.ok(!fs.existsSync(`${file}.2`));
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.1`, 'utf8')), emptyScores());
+});
+
+test('an export imports on another machine, keeping the better records', () => {
+    const ours = { ...emptyScores(), bests: { normal: { p1: record(500), p2: record(200) } } };
+    const theirs = {
+        ...emptyScores(),
+        bests: { normal: { p1: record(400), p2: record(300) }, hard: { p1: record(100) } },
+        achievements: { p1: { firstOpen: { date: '2026-10-01' } } }
+    };
+    const file = path.join(root, 'export.json');
+    fs.writeFileSync(file, JSON.stringify(exportScores(theirs, { p1: { name: 'Tess' }, p2: { name: 'Ana' } })));
+
+    const imported = readExport(file);
+    assert.deepEqual(Object.keys(imported.profiles), ['p1', 'p2']);
+    assert.deepEqual(mergeScores(ours, imported.scores), { added: 1, improved: 1, kept: 1 });
+    assert.equal(ours.bests.normal.p1.score, 500);
+    assert.equal(ours.bests.normal.p2.score, 300);
+    assert.equal(ours.bests.hard.p1.score, 100);
+    assert.deepEqual(ours.achievements.p1.firstOpen, { date: '2026-10-01' });
+});
+
+test('an imported record with level points beats one from the old scoring', () => {
+    const ours = { ...emptyScores(), bests: { normal: { p1: { ...record(20000), oldScoring: true }, p2: { ...record(500), levelPoints: 500 } } } };
+    const incoming = { ...emptyScores(), bests: { normal: { p1: { ...record(3000), levelPoints: 3000 }, p2: { ...record(9000), oldScoring: true } } } };
+    assert.deepEqual(mergeScores(ours, incoming), { added: 0, improved: 1, kept: 1 });
+    assert.equal(ours.bests.normal.p1.score, 3000);
+    assert.equal(ours.bests.normal.p2.score, 500);
+});
+
+test('imported records can be filed under another player id', () => {
+    const incoming = {
+        ...emptyScores(),
+        bests: { normal: { player_player: record(300), p2: record(200) } },
+        achievements: { player_player: { firstOpen: { date: '2026-10-01' } } }
+    };
+    const remapped = remapPlayers(incoming, { player_player: 'player_player_1a2b3c4d' });
+    assert.deepEqual(Object.keys(remapped.bests.normal), ['player_player_1a2b3c4d', 'p2']);
+    assert.equal(remapped.bests.normal.player_player_1a2b3c4d.playerId, 'player_player_1a2b3c4d');
+    assert.deepEqual(Object.keys(remapped.achievements), ['player_player_1a2b3c4d']);
+    assert.ok(incoming.bests.normal.player_player);
+});
+
+test('an export changed after it was made is refused', () => {
+    const file = path.join(root, 'edited.json');
+    const data = exportScores({ ...emptyScores(), bests: { normal: { p1: record(10) } } }, {});
+    data.bests.normal.p1.score = 10000;
+    fs.writeFileSync(file, JSON.stringify(data));
+    assert.throws(() => readExport(file), /checksum doesn't match/);
+});